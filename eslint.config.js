@@ -38,6 +38,7 @@ const kaplayGlobals = {
   onKeyPress: 'readonly',
   onKeyRelease: 'readonly',
   onLoad: 'readonly',
+  onSceneLeave: 'readonly',
   onScroll: 'readonly',
   onUpdate: 'readonly',
   opacity: 'readonly',
@@ -57,6 +58,8 @@ const kaplayGlobals = {
   sprite: 'readonly',
   text: 'readonly',
   time: 'readonly',
+  toWorld: 'readonly',
+  tween: 'readonly',
   vec2: 'readonly',
   wait: 'readonly',
   width: 'readonly',
@@ -29,6 +29,27 @@ export const GAME_CONFIG = {
   fritelleRespawnMax: 8, // Max seconds before respawn
 };
 
+// Map entities' static bodies, shared with the multiplayer server's collision
+// checks (server/src/services/world-collision.ts)
+
+// Building sprites are drawn at this scale (increased for larger canvas); asset
+// collision shapes are fractions of the scaled sprite
+export const BUILDING_SPRITE_SCALE = 1.4;
+
+// NPCs stand in the middle of their map footprint (the asset's tileWidth/tileHeight)
+// with the player's sprite scale and collision box (unscaled sprite px)
+export const NPC_FOOTPRINT_TILES = 6;
+export const NPC_SCALE = 2.4;
+export const NPC_AREA = { x: -5, y: -2, w: 10, h: 14 };
+
+// The NPC's static body in world pixels, relative to where it stands
+export const NPC_BODY = {
+  x: NPC_AREA.x * NPC_SCALE,
+  y: NPC_AREA.y * NPC_SCALE,
+  w: NPC_AREA.w * NPC_SCALE,
+  h: NPC_AREA.h * NPC_SCALE,
+};
+
 export const COLORS = {
   grass: [88, 160, 40],
   grassDark: [64, 128, 32],
@@ -144,6 +165,20 @@ export const CHARACTERS = [
   { id: 'Fisherman_Fin', name: 'Fin', role: 'Fisherman', cols: 9, rows: 13 },
 ];
 
+// Emote wheel entries, in wheel order (keys 1-9 pick the first nine).
+// icon is drawn as text above the player; animation is one of: bounce, float,
+// pulse, shake, pop, spin (see js/systems/emotes.js). The server accepts any id listed here.
+export const EMOTES = [
+  { id: 'wave', name: 'Wave', icon: '👋', animation: 'shake' },
+  { id: 'laugh', name: 'Laugh', icon: '😂', animation: 'bounce' },
+  { id: 'heart', name: 'Love', icon: '❤️', animation: 'pulse' },
+  { id: 'thumbs-up', name: 'Nice', icon: '👍', animation: 'pop' },
+  { id: 'surprised', name: 'Wow', icon: '😮', animation: 'pop' },
+  { id: 'confused', name: 'Huh?', icon: '❓', animation: 'float' },
+  { id: 'sleepy', name: 'Sleepy', icon: '💤', animation: 'float' },
+  { id: 'party', name: 'Party', icon: '🎉', animation: 'spin' },
+];
+
 // Get selected character from localStorage (or default)
 export function getSelectedCharacter() {
   const saved = localStorage.getItem('selectedCharacter');
@@ -7,13 +7,26 @@
  * NOTE: World objects do NOT use uiScale - only UI overlays scale with viewport.
  */
 
-import { GAME_CONFIG } from '../config.js';
+import { GAME_CONFIG, BUILDING_SPRITE_SCALE } from '../config.js';
 import { isLoggedIn, generateSSOToken } from '../systems/auth.js';
+import { TOOL_STATUS_COLORS } from '../systems/tool-status.js';
+import { isReducedMotion } from '../systems/settings.js';
+
+// Sprite tint while the tool is down
+const DOWN_TINT = [140, 140, 160];
+// Window lights, as fractions of the building size (sprites differ, so roughly mid-facade)
+const WINDOW_SPOTS = [
+  [0.3, 0.55],
+  [0.5, 0.55],
+  [0.7, 0.55],
+];
+const SMOKE_INTERVAL = 0.5; // seconds between puffs
 
 /**
  * Open a tool URL, with SSO token for Wordle if user is logged in
+ * Also used by NPC dialog choices that link to a tool.
  */
-async function openToolUrl(toolId, toolUrl) {
+export async function openToolUrl(toolId, toolUrl) {
   let url = toolUrl;
 
   // Special handling for Wordle - add SSO token if logged in
@@ -36,11 +49,10 @@ export function createBuilding(tool) {
   const isActive = tool.live;
 
   // Building dimensions - use actual sprite size from config, scaled 40%
-  const spriteScale = 1.4; // Increased for larger canvas
   const baseWidth = tool.spriteWidth || 144; // Fallback for tools without dimensions
   const baseHeight = tool.spriteHeight || 128;
-  const bWidth = baseWidth * spriteScale;
-  const bHeight = baseHeight * spriteScale;
+  const bWidth = baseWidth * BUILDING_SPRITE_SCALE;
+  const bHeight = baseHeight * BUILDING_SPRITE_SCALE;
 
   // Sign styling (wooden style) - fixed sizes, not scaled
   const signPadding = 8;
@@ -84,6 +96,7 @@ export function createBuilding(tool) {
   ]);
 
   // Building sprite (or fallback to colored rectangle)
+  let buildingSprite = null;
   if (tool.sprite) {
     // Check if this is a sprite sheet piece
     if (tool.pieceData && tool.fullAsset) {
@@ -100,17 +113,24 @@ export function createBuilding(tool) {
       const qw = piece.width / fullWidth;
       const qh = 1; // Full height
 
-      add([
+      buildingSprite = add([
         sprite(tool.sprite, {
           quad: quad(qx, qy, qw, qh),
         }),
         pos(x, y),
-        scale(spriteScale),
+        scale(BUILDING_SPRITE_SCALE),
+        color(255, 255, 255), // Neutral tint, see setStatus
         z(4),
       ]);
     } else {
       // Regular full sprite
-      add([sprite(tool.sprite), pos(x, y), scale(spriteScale), z(4)]);
+      buildingSprite = add([
+        sprite(tool.sprite),
+        pos(x, y),
+        scale(BUILDING_SPRITE_SCALE),
+        color(255, 255, 255),
+        z(4),
+      ]);
     }
   } else {
     // Fallback procedural building for tools without sprites
@@ -169,20 +189,37 @@ export function createBuilding(tool) {
       toolUrl: tool.url,
       isLive: tool.live,
       toolColor: tool.color,
+      interior: tool.interior || null, // Lobby map in maps/interiors/ (see scenes/interior.js)
+      statusKey: tool.statusKey || null, // Key in GET /api/status/details
+      status: 'unknown',
+      lastIncidentAt: null,
       buildingWidth: bWidth,
       buildingHeight: bHeight,
 
+      /**
+       * Show the tool's live status (see systems/tool-status.js)
+       * @param {'up'|'down'|'unknown'} status
+       * @param {number|null} lastIncidentAt - ms epoch
+       */
+      setStatus(status, lastIncidentAt) {
+        this.status = status;
+        this.lastIncidentAt = lastIncidentAt;
+        statusIndicators?.show(status);
+      },
+
       interact() {
         if (this.toolUrl) {
           // Flash effect
-          add([
-            rect(width(), height()),
-            pos(0, 0),
-            color(255, 255, 255),
-            opacity(0.8),
-            z(100),
-            lifespan(0.1),
-          ]);
+          if (!isReducedMotion()) {
+            add([
+              rect(width(), height()),
+              pos(0, 0),
+              color(255, 255, 255),
+              opacity(0.8),
+              z(100),
+              lifespan(0.1),
+            ]);
+          }
 
           wait(0.1, () => {
             openToolUrl(this.toolId, this.toolUrl);
@@ -192,6 +229,11 @@ export function createBuilding(tool) {
     },
   ]);
 
+  const statusIndicators = tool.statusKey
+    ? addStatusIndicators({ x, y, width: bWidth, height: bHeight, sprite: buildingSprite })
+    : null;
+  statusIndicators?.show(building.status);
+
   // Hover effect on sign - highlight on mouseover
   signBg.onHover(() => {
     signBg.color = rgb(170, 90, 30); // Lighter wood
@@ -203,3 +245,84 @@ export function createBuilding(tool) {
 
   return building;
 }
+
+/**
+ * Status indicators for a monitored building
+ * up: lit windows and chimney smoke; down: dimmed with a warning sign at the door;
+ * unknown: a grey "?" sign.
+ * @returns {{show: (status: 'up'|'down'|'unknown') => void}}
+ */
+function addStatusIndicators({ x, y, width: bWidth, height: bHeight, sprite: buildingSprite }) {
+  let current = null;
+
+  const windows = WINDOW_SPOTS.map(([fx, fy]) =>
+    add([
+      rect(8, 8, { radius: 2 }),
+      pos(x + fx * bWidth, y + fy * bHeight),
+      anchor('center'),
+      color(255, 220, 120),
+      opacity(0),
+      z(5),
+    ])
+  );
+  windows.forEach((light, i) => {
+    light.onUpdate(() => {
+      light.opacity = current === 'up' ? 0.75 + Math.sin(time() * 3 + i) * 0.15 : 0;
+    });
+  });
+
+  // Sign beside the door: "!" when down, "?" when unknown
+  const signX = x + bWidth / 2 + 36;
+  const signY = y + bHeight - 18;
+  const sign = add([
+    rect(22, 22, { radius: 4 }),
+    pos(signX, signY),
+    anchor('center'),
+    color(...TOOL_STATUS_COLORS.unknown),
+    outline(2, rgb(40, 40, 40)),
+    opacity(0),
+    z(6),
+  ]);
+  const signText = add([
+    text('?', { size: 16 }),
+    pos(signX, signY + 1),
+    anchor('center'),
+    color(255, 255, 255),
+    opacity(0),
+    z(7),
+  ]);
+  sign.onUpdate(() => {
+    if (current !== 'down') return;
+    // Blink to draw the eye
+    sign.opacity = signText.opacity = Math.sin(time() * 6) > -0.3 ? 1 : 0.4;
+  });
+
+  loop(SMOKE_INTERVAL, () => {
+    if (current !== 'up') return;
+    const puff = add([
+      circle(rand(4, 7)),
+      pos(x + bWidth * 0.7 + rand(-3, 3), y + bHeight * 0.1),
+      color(220, 220, 220),
+      opacity(0.6),
+      move(vec2(0, -1), 18),
+      lifespan(2, { fade: 1.5 }),
+      z(6),
+    ]);
+    puff.onUpdate(() => {
+      puff.pos.x += Math.sin(time() * 2 + puff.pos.y * 0.1) * 0.2;
+    });
+  });
+
+  return {
+    show(status) {
+      current = status;
+      const signShown = status !== 'up';
+      sign.opacity = signText.opacity = signShown ? 1 : 0;
+      sign.color = rgb(...TOOL_STATUS_COLORS[status]);
+      signText.text = status === 'down' ? '!' : '?';
+      if (buildingSprite) {
+        buildingSprite.color = status === 'down' ? rgb(...DOWN_TINT) : rgb(255, 255, 255);
+      }
+    },
+  };
+}
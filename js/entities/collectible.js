@@ -2,16 +2,19 @@
  * Collectible Entity
  *
  * Handles fritelle collectibles that spawn randomly around the world.
- * Avoids spawning on buildings, trees, and other obstacles.
+ * Where they spawn, how many are out and how often one is golden come from
+ * the map's spawn rules (js/spawn-rules.js), the same ones the server uses.
  */
 
-import { GAME_CONFIG, TOOLS, TREES } from '../config.js';
+import { GAME_CONFIG } from '../config.js';
+import { getSpawnRules, pickSpawnPosition, rollGolden } from '../spawn-rules.js';
 import { playSound } from '../systems/audio.js';
+import { isReducedMotion } from '../systems/settings.js';
 import {
   sendCollect,
   sendThrow,
-  sendHit,
   getLocalPlayerId,
+  isCombatEnabled,
   useServerFritelles,
   isMultiplayerConnected,
 } from '../systems/multiplayer.js';
@@ -19,123 +22,29 @@ import {
 // Track collected fritelles (persists across scene transitions)
 let fritelleCount = 0;
 
+// Spawn rules for the current map (set in initFritelleSystem)
+let spawnRules = null;
+
 // HUD elements
 let _hudIcon = null; // Reserved for future HUD icon reference
 let hudText = null;
 
 /**
- * Check if a position overlaps with any building
- * NOTE: Uses per-tool sprite dimensions from config
+ * Is a world position inside a building or tree collider?
  */
-function isOnBuilding(x, y, padding = 24) {
-  const TILE = GAME_CONFIG.tileSize;
-  const spriteScale = 1.2;
-
-  for (const tool of TOOLS) {
-    const bx = tool.position.x * TILE;
-    const by = tool.position.y * TILE;
-
-    // Use actual sprite dimensions from config (with fallback)
-    const buildingWidth = (tool.spriteWidth || 144) * spriteScale;
-    const buildingHeight = (tool.spriteHeight || 128) * spriteScale;
-
-    // Check if point is within building bounds (with padding)
-    if (
-      x >= bx - padding &&
-      x <= bx + buildingWidth + padding &&
-      y >= by - padding &&
-      y <= by + buildingHeight + padding
-    ) {
-      return true;
-    }
-  }
-  return false;
+function isBlocked(x, y) {
+  const point = vec2(x, y);
+  return [...get('building'), ...get('tree')].some((obj) => obj.hasPoint(point));
 }
 
 /**
- * Check if a position overlaps with any tree
+ * Add a fritelle entity (with a pulsing halo if golden)
+ * @param {string|null} networkId - Server id when the server owns it, null for local ones
  */
-function isOnTree(x, y, padding = 20) {
-  const TILE = GAME_CONFIG.tileSize;
-
-  for (const tree of TREES) {
-    const tx = tree.x * TILE;
-    const ty = tree.y * TILE;
-
-    if (
-      x >= tx - padding &&
-      x <= tx + TILE + padding &&
-      y >= ty - padding &&
-      y <= ty + TILE * 2 + padding
-    ) {
-      return true;
-    }
-  }
-  return false;
-}
-
-/**
- * Check if position is near the welcome sign
- */
-function isOnSign(x, y, padding = 30) {
-  const TILE = GAME_CONFIG.tileSize;
-  const signX = 18 * TILE;
-  const signY = 13 * TILE;
-  const signW = 4 * TILE;
-  const signH = 2 * TILE;
-
-  return (
-    x >= signX - padding &&
-    x <= signX + signW + padding &&
-    y >= signY - padding &&
-    y <= signY + signH + padding
-  );
-}
-
-/**
- * Get a random valid spawn position
- */
-function getRandomSpawnPosition() {
-  const TILE = GAME_CONFIG.tileSize;
-  const { worldWidth, worldHeight } = GAME_CONFIG;
-  const margin = TILE * 2;
-
-  let attempts = 0;
-  const maxAttempts = 50;
-
-  while (attempts < maxAttempts) {
-    const x = margin + Math.random() * (worldWidth - margin * 2);
-    const y = margin + Math.random() * (worldHeight - margin * 2);
-
-    if (!isOnBuilding(x, y) && !isOnTree(x, y) && !isOnSign(x, y)) {
-      return { x, y };
-    }
-    attempts++;
-  }
-
-  // Fallback: return a position in the bottom area (usually safe)
-  return {
-    x: margin + Math.random() * (worldWidth - margin * 2),
-    y: worldHeight - margin * 3,
-  };
-}
-
-/**
- * Create a single fritelle at a random valid position
- */
-export function createFritelle() {
-  // Safety cap - don't spawn if too many on screen
-  const currentFritelles = get('fritelle').length;
-  if (currentFritelles >= 12) return null;
-
-  const spawnPos = getRandomSpawnPosition();
-
-  // 4% chance for golden fritelle (worth 15x)
-  const isGolden = Math.random() < 0.04;
-
+function addFritelle(x, y, isGolden, networkId = null) {
   const fritelle = add([
     sprite('fritelle'),
-    pos(spawnPos.x, spawnPos.y),
+    pos(x, y),
     area(),
     anchor('center'),
     z(8),
@@ -144,6 +53,7 @@ export function createFritelle() {
     {
       isGolden: isGolden,
       value: isGolden ? 15 : 1,
+      networkId,
     },
   ]);
 
@@ -151,7 +61,7 @@ export function createFritelle() {
   if (isGolden) {
     const halo = add([
       circle(20),
-      pos(spawnPos.x, spawnPos.y),
+      pos(x, y),
       color(255, 215, 0),
       opacity(0.7),
       anchor('center'),
@@ -177,9 +87,49 @@ export function createFritelle() {
 }
 
 /**
- * Spawn multiple fritelles
+ * Create a single fritelle at a random valid position
  */
-export function spawnFritelles(count = 8) {
+export function createFritelle() {
+  // Don't spawn past the map's max count
+  if (get('fritelle').length >= spawnRules.maxCount) return null;
+
+  const spawnPos = pickSpawnPosition(spawnRules, isBlocked);
+  if (!spawnPos) return null;
+
+  // Golden fritelles are worth 15x
+  return addFritelle(spawnPos.x, spawnPos.y, rollGolden(spawnRules));
+}
+
+/**
+ * Render a fritelle owned by the multiplayer server
+ * @param {{id: string, x: number, y: number, isGolden: boolean}} data - From init or fritelleSpawned
+ */
+export function addServerFritelle(data) {
+  return addFritelle(data.x, data.y, data.isGolden, data.id);
+}
+
+/**
+ * Remove every fritelle, local or server-owned (halos follow their fritelle)
+ */
+export function clearFritelles() {
+  get('fritelle').forEach((f) => destroy(f));
+}
+
+/**
+ * Swap server-owned fritelles for locally spawned ones
+ * Used when the multiplayer connection is lost for good.
+ */
+export function startLocalFritelles() {
+  get('fritelle')
+    .filter((f) => f.networkId)
+    .forEach((f) => destroy(f));
+  spawnFritelles(spawnRules.maxCount - get('fritelle').length);
+}
+
+/**
+ * Spawn multiple fritelles (defaults to the map's max count)
+ */
+export function spawnFritelles(count = spawnRules.maxCount) {
   const fritelles = [];
   for (let i = 0; i < count; i++) {
     fritelles.push(createFritelle());
@@ -187,10 +137,29 @@ export function spawnFritelles(count = 8) {
   return fritelles;
 }
 
+/**
+ * Replace a collected fritelle after a delay, retrying while no spot is free
+ */
+function scheduleRespawn() {
+  wait(rand(3, 8), () => {
+    // The server took over (connected since the collection)
+    if (useServerFritelles()) return;
+    if (!createFritelle() && get('fritelle').length < spawnRules.maxCount) scheduleRespawn();
+  });
+}
+
 /**
  * Initialize the fritelle collection system
+ * @param {object} player - Local player entity
+ * @param {object|null} mapData - Map JSON with the spawn rules (null uses the defaults)
  */
-export function initFritelleSystem(player) {
+export function initFritelleSystem(player, mapData) {
+  const TILE = GAME_CONFIG.tileSize;
+  spawnRules = getSpawnRules(
+    mapData || { width: GAME_CONFIG.worldWidth / TILE, height: GAME_CONFIG.worldHeight / TILE },
+    TILE
+  );
+
   // Load the fritelle sprite
   loadSprite('fritelle', 'assets/sprites/fritelle-v2.png');
 
@@ -216,37 +185,38 @@ export function initFritelleSystem(player) {
   ]);
 
   // Spawn initial fritelles (only in single-player mode)
-  // In multiplayer, server spawns them via state sync
+  // In multiplayer, the server's fritelles replace these when init arrives
   if (!useServerFritelles()) {
-    spawnFritelles(8);
+    spawnFritelles();
   }
 
   // Handle collection
   player.onCollide('fritelle', (f) => {
-    // In multiplayer, notify server and let it handle the state
-    if (isMultiplayerConnected() && f.networkId) {
+    if (f.networkId) {
+      // Server-owned: it can only be collected while connected (not mid-reconnect)
+      if (!isMultiplayerConnected()) return;
+
+      // Hide it right away for responsiveness; the server confirms with
+      // fritelleCollected (and our new count) or sends it back if rejected
       sendCollect(f.networkId);
-      // Server will remove from state, which triggers client-side destruction
-      // But we still play effects locally for responsiveness
+      destroy(f);
     } else {
       // Single-player: handle locally
       destroy(f);
 
       // Respawn a new one after a delay (single-player only)
-      wait(rand(3, 8), () => {
-        createFritelle();
-      });
-    }
+      scheduleRespawn();
 
-    // Increment counter (golden = 15, regular = 1)
-    fritelleCount += f.value || 1;
-    updateHUD();
+      // Increment counter (golden = 15, regular = 1)
+      fritelleCount += f.value || 1;
+      updateHUD();
+    }
 
     // Play sound (different for golden)
     playSound(f.isGolden ? 'powerup' : 'pickup', { volume: 0.35 });
 
     // Sparkle effect (bigger for golden)
-    const sparkleCount = f.isGolden ? 15 : 5;
+    const sparkleCount = isReducedMotion() ? 0 : f.isGolden ? 15 : 5;
     const sparkleColor = f.isGolden ? [255, 200, 50] : [255, 220, 100];
     const sparkleSize = f.isGolden ? 5 : 3;
 
@@ -297,6 +267,14 @@ export function getFritelleCount() {
   return fritelleCount;
 }
 
+/**
+ * Set fritelle count (restored from the server when a session resumes)
+ */
+export function setFritelleCount(count) {
+  fritelleCount = count;
+  updateHUD();
+}
+
 /**
  * Reset fritelle count (for new game)
  */
@@ -373,10 +351,10 @@ export function throwFritelle(playerPos, direction) {
     destroy(thrown);
   });
 
-  // Hit other players in multiplayer
+  // Splat on other players in combat instances (the server decides the actual hit)
   thrown.onCollide('other-player-hitbox', (target) => {
-    if (target.playerId === getLocalPlayerId()) return;
-    sendHit(target.playerId);
+    if (!isCombatEnabled() || target.playerId === getLocalPlayerId()) return;
+    if (target.invulnerableUntil > Date.now()) return;
     createSplat(thrown.pos);
     destroy(thrown);
   });
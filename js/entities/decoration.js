@@ -7,6 +7,7 @@
 
 import { GAME_CONFIG, COLORS } from '../config.js';
 import { renderTileMap, loadMapData } from '../systems/tilemap.js';
+import { getInstanceMapPath } from '../systems/instances.js';
 
 const TILE = GAME_CONFIG.tileSize;
 // Use world dimensions for map size (not viewport)
@@ -25,7 +26,7 @@ let _currentTileEntities = null; // Reserved for future tile cleanup functionali
 export async function drawGround() {
   if (USE_TILEMAP) {
     try {
-      const mapData = await loadMapData('maps/village.json');
+      const mapData = await loadMapData(getInstanceMapPath());
       _currentTileEntities = renderTileMap(mapData);
       return;
     } catch (error) {
@@ -0,0 +1,95 @@
+/**
+ * NPC Entity
+ *
+ * Villagers placed with the map editor (ASSET_LIBRARY.npcs). They stand
+ * still, block the player like a building does, and start their dialog tree
+ * (see js/systems/dialog-tree.js) when the player presses ENTER next to them.
+ *
+ * NPCs reuse the player character sheets, so their sprites are already loaded.
+ */
+
+import { GAME_CONFIG, CHARACTERS, NPC_FOOTPRINT_TILES, NPC_SCALE, NPC_AREA } from '../config.js';
+import { openConversation } from '../systems/dialog.js';
+import { validateDialogTree } from '../systems/dialog-tree.js';
+import { isLoggedIn } from '../systems/auth.js';
+import { addNameLabelBackdrop } from '../systems/settings.js';
+import { openToolUrl } from './building.js';
+
+// What an NPC says when its map entity has no usable dialog
+const FALLBACK_DIALOG = { nodes: { start: { lines: ['Hello there!'] } } };
+
+/**
+ * Create an NPC
+ * @param {Object} npc
+ * @param {string} npc.id - Map entity ID
+ * @param {string} npc.name - Shown above the NPC and in the dialog box
+ * @param {string} npc.sprite - Character sprite (an id from CHARACTERS)
+ * @param {{x: number, y: number}} npc.position - Top-left of the footprint, in tiles
+ * @param {Object} [npc.dialog] - Dialog tree
+ * @returns {Object} The interactable entity (like createBuilding's)
+ */
+export function createNpc(npc) {
+  const TILE = GAME_CONFIG.tileSize;
+  const x = (npc.position.x + NPC_FOOTPRINT_TILES / 2) * TILE;
+  const y = (npc.position.y + NPC_FOOTPRINT_TILES / 2) * TILE;
+
+  let dialog = npc.dialog || FALLBACK_DIALOG;
+  const errors = validateDialogTree(dialog);
+  if (errors.length > 0) {
+    console.warn(`[NPC] Bad dialog for ${npc.id}:`, errors);
+    dialog = FALLBACK_DIALOG;
+  }
+
+  add([
+    sprite(npc.sprite, { anim: 'idle-down' }),
+    pos(x, y),
+    area({ shape: new Rect(vec2(NPC_AREA.x, NPC_AREA.y), NPC_AREA.w, NPC_AREA.h) }),
+    body({ isStatic: true }),
+    anchor('center'),
+    scale(NPC_SCALE),
+    z(10),
+    'npc',
+  ]);
+
+  const nameLabel = add([
+    text(npc.name, { size: 12 }),
+    pos(x, y - 70),
+    anchor('center'),
+    color(240, 192, 0),
+    z(11),
+    'npc-name',
+  ]);
+  addNameLabelBackdrop(nameLabel);
+
+  const character = CHARACTERS.find((c) => c.id === npc.sprite);
+  const portrait = character
+    ? { image: `assets/sprites/${character.id}.png`, cols: character.cols, rows: character.rows }
+    : null;
+
+  // Invisible interaction area whose bottom-center (what player.interact
+  // measures from) is the NPC's position
+  const size = 2 * TILE;
+  return add([
+    rect(size, size),
+    pos(x - size / 2, y - size),
+    opacity(0),
+    z(2),
+    'interactable',
+    {
+      npcId: npc.id,
+      npcName: npc.name,
+      buildingWidth: size,
+      buildingHeight: size,
+
+      interact() {
+        openConversation({
+          speaker: npc.name,
+          tree: dialog,
+          context: { loggedIn: isLoggedIn() },
+          portrait,
+          onLink: (url) => openToolUrl(npc.id, url),
+        });
+      },
+    },
+  ]);
+}
@@ -6,16 +6,45 @@
  */
 
 import { GAME_CONFIG, getSelectedCharacter } from '../config.js';
-import { virtualInput, setInteractCallback, setThrowCallback } from '../systems/input.js';
+import {
+  KEY_BINDINGS,
+  virtualInput,
+  setInteractCallback,
+  setThrowCallback,
+  setPauseCallback,
+  onActionPress,
+} from '../systems/input.js';
+import { addNameLabelBackdrop } from '../systems/settings.js';
 import { updateCamera } from '../systems/camera.js';
 import { throwFritelle } from './collectible.js';
 import { sendPosition, isMultiplayerConnected } from '../systems/multiplayer.js';
+import { isConversationOpen, advanceConversation, closeConversation } from '../systems/dialog.js';
 
-export function createPlayer(startPos) {
+// A route ends if the player makes no headway for this long (e.g. someone in the way)
+const ROUTE_STUCK_SECONDS = 1;
+
+// Facing for a route heading, by 45° sector clockwise from right. The sheets
+// only have up/down/side animations, so diagonals face up or down like
+// holding two arrow keys does.
+const SECTOR_FACING = ['right', 'down', 'down', 'down', 'left', 'up', 'up', 'up'];
+
+/**
+ * Create the local player
+ * @param {{x: number, y: number}} startPos
+ * @param {Object} [options]
+ * @param {{width: number, height: number}} [options.room] - Indoors (building
+ *   interiors): the player stays in this area, can't throw and doesn't send
+ *   its position to the multiplayer server
+ */
+export function createPlayer(startPos, { room = null } = {}) {
   const TILE = GAME_CONFIG.tileSize;
   const speed = GAME_CONFIG.playerSpeed;
   const selectedChar = getSelectedCharacter();
 
+  // Waypoints the player is walking by itself (see walkRoute)
+  // { points, onArrive, lastDist, stuckFor }
+  let route = null;
+
   // Create player with sprite (64x64 frames, scaled to 96px = 4x tile size)
   // NOTE: Don't use offset with anchor('center') + scale() - it breaks positioning
   const player = add([
@@ -41,7 +70,38 @@ export function createPlayer(startPos) {
         this.isMoving = false;
       },
 
+      /**
+       * Walk through waypoints by itself (from pathfinding.js findPath)
+       * Any movement input or an NPC conversation cancels the route.
+       * @param {Array<{x: number, y: number}>} points - World positions
+       * @param {() => void} [onArrive]
+       */
+      walkRoute(points, onArrive) {
+        if (points.length === 0) {
+          route = null;
+          onArrive?.();
+          return;
+        }
+        route = { points: [...points], onArrive, lastDist: Infinity, stuckFor: 0 };
+      },
+
+      cancelRoute() {
+        if (!route) return;
+        route = null;
+        this.stopMoving();
+      },
+
+      isOnRoute() {
+        return route !== null;
+      },
+
       interact() {
+        // ENTER / A moves an open NPC conversation along instead
+        if (isConversationOpen()) {
+          advanceConversation();
+          return;
+        }
+
         const buildings = get('interactable');
         const nearby = buildings.find((b) => {
           const dist = this.pos.dist(b.pos.add(vec2(b.buildingWidth / 2, b.buildingHeight)));
@@ -99,6 +159,7 @@ export function createPlayer(startPos) {
     z(10.9),
     'player-name-shadow',
   ]);
+  addNameLabelBackdrop(nameLabel);
 
   // Update animation when moving or direction changes
   let wasMoving = false;
@@ -111,16 +172,19 @@ export function createPlayer(startPos) {
       isKeyDown('right') ||
       isKeyDown('up') ||
       isKeyDown('down') ||
-      isKeyDown('a') ||
-      isKeyDown('d') ||
-      isKeyDown('w') ||
-      isKeyDown('s') ||
+      isKeyDown(KEY_BINDINGS.left) ||
+      isKeyDown(KEY_BINDINGS.right) ||
+      isKeyDown(KEY_BINDINGS.up) ||
+      isKeyDown(KEY_BINDINGS.down) ||
       virtualInput.left ||
       virtualInput.right ||
       virtualInput.up ||
       virtualInput.down;
 
-    player.isMoving = isMovingNow;
+    if (route && (isMovingNow || isConversationOpen())) player.cancelRoute();
+    if (route) followRoute();
+
+    player.isMoving = (isMovingNow || route !== null) && !isConversationOpen();
 
     // Update animation when state changes
     if (player.isMoving !== wasMoving || player.direction !== lastDir) {
@@ -130,50 +194,64 @@ export function createPlayer(startPos) {
     }
   });
 
+  // One frame along the route, straight toward the next waypoint
+  function followRoute() {
+    const toTarget = vec2(route.points[0].x, route.points[0].y).sub(player.pos);
+    const dist = toTarget.len();
+
+    if (dist <= speed * dt()) {
+      player.pos = vec2(route.points[0].x, route.points[0].y);
+      route.points.shift();
+      route.lastDist = Infinity;
+      if (route.points.length === 0) {
+        const { onArrive } = route;
+        player.cancelRoute();
+        onArrive?.();
+      }
+      return;
+    }
+
+    route.stuckFor = dist < route.lastDist - 0.5 ? 0 : route.stuckFor + dt();
+    route.lastDist = Math.min(dist, route.lastDist);
+    if (route.stuckFor > ROUTE_STUCK_SECONDS) {
+      player.cancelRoute();
+      return;
+    }
+
+    const sector = (Math.round(toTarget.angle() / 45) + 8) % 8;
+    player.startMoving(SECTOR_FACING[sector]);
+    player.move(toTarget.unit().scale(speed));
+  }
+
+  // Walk for one frame (not while talking to an NPC)
+  function walk(direction, dx, dy) {
+    if (isConversationOpen()) return;
+    player.direction = direction;
+    player.move(dx, dy);
+  }
+
   // Keyboard controls
-  onKeyDown('left', () => {
-    player.direction = 'left';
-    player.move(-speed, 0);
-  });
+  onKeyDown('left', () => walk('left', -speed, 0));
 
-  onKeyDown('right', () => {
-    player.direction = 'right';
-    player.move(speed, 0);
-  });
+  onKeyDown('right', () => walk('right', speed, 0));
 
-  onKeyDown('up', () => {
-    player.direction = 'up';
-    player.move(0, -speed);
-  });
+  onKeyDown('up', () => walk('up', 0, -speed));
 
-  onKeyDown('down', () => {
-    player.direction = 'down';
-    player.move(0, speed);
-  });
+  onKeyDown('down', () => walk('down', 0, speed));
 
-  // WASD support
-  onKeyDown('a', () => {
-    player.direction = 'left';
-    player.move(-speed, 0);
-  });
-  onKeyDown('d', () => {
-    player.direction = 'right';
-    player.move(speed, 0);
-  });
-  onKeyDown('w', () => {
-    player.direction = 'up';
-    player.move(0, -speed);
-  });
-  onKeyDown('s', () => {
-    player.direction = 'down';
-    player.move(0, speed);
-  });
+  // WASD support (rebindable, see KEY_BINDINGS)
+  onKeyDown(KEY_BINDINGS.left, () => walk('left', -speed, 0));
+  onKeyDown(KEY_BINDINGS.right, () => walk('right', speed, 0));
+  onKeyDown(KEY_BINDINGS.up, () => walk('up', 0, -speed));
+  onKeyDown(KEY_BINDINGS.down, () => walk('down', 0, speed));
 
-  // Interaction (Enter or A button only - Space is for throwing)
-  onKeyPress('enter', () => player.interact());
+  // Interaction (Enter by default, or A button - Space is for throwing)
+  onActionPress('interact', () => player.interact());
 
-  // Pause menu
-  onKeyPress('escape', () => go('pause'));
+  // Pause menu (or leave an NPC conversation), also the gamepad's Start button
+  const pauseOrLeave = () => (isConversationOpen() ? closeConversation() : go('pause'));
+  onKeyPress('escape', pauseOrLeave);
+  setPauseCallback(pauseOrLeave);
 
   // Register virtual A button for interaction
   setInteractCallback(() => player.interact());
@@ -184,10 +262,10 @@ export function createPlayer(startPos) {
       dy = 0;
 
     // Check all movement keys
-    if (isKeyDown('left') || isKeyDown('a') || virtualInput.left) dx -= 1;
-    if (isKeyDown('right') || isKeyDown('d') || virtualInput.right) dx += 1;
-    if (isKeyDown('up') || isKeyDown('w') || virtualInput.up) dy -= 1;
-    if (isKeyDown('down') || isKeyDown('s') || virtualInput.down) dy += 1;
+    if (isKeyDown('left') || isKeyDown(KEY_BINDINGS.left) || virtualInput.left) dx -= 1;
+    if (isKeyDown('right') || isKeyDown(KEY_BINDINGS.right) || virtualInput.right) dx += 1;
+    if (isKeyDown('up') || isKeyDown(KEY_BINDINGS.up) || virtualInput.up) dy -= 1;
+    if (isKeyDown('down') || isKeyDown(KEY_BINDINGS.down) || virtualInput.down) dy += 1;
 
     // If moving, return normalized vec2 for diagonal support
     if (dx !== 0 || dy !== 0) {
@@ -198,42 +276,33 @@ export function createPlayer(startPos) {
     return player.direction;
   }
 
+  function throwForward() {
+    if (!room && !isConversationOpen()) throwFritelle(player.pos, getThrowDirection());
+  }
+
   // Register virtual B button for throwing fritelles
-  setThrowCallback(() => throwFritelle(player.pos, getThrowDirection()));
+  setThrowCallback(throwForward);
 
-  // Keyboard B or Space for throwing
-  onKeyPress('b', () => throwFritelle(player.pos, getThrowDirection()));
-  onKeyPress('space', () => throwFritelle(player.pos, getThrowDirection()));
+  // Keyboard B or the throw key (Space by default)
+  onKeyPress('b', throwForward);
+  onActionPress('throw', throwForward);
 
   // Virtual D-pad input (from on-screen buttons)
   player.onUpdate(() => {
-    if (virtualInput.left) {
-      player.direction = 'left';
-      player.move(-speed, 0);
-    }
-    if (virtualInput.right) {
-      player.direction = 'right';
-      player.move(speed, 0);
-    }
-    if (virtualInput.up) {
-      player.direction = 'up';
-      player.move(0, -speed);
-    }
-    if (virtualInput.down) {
-      player.direction = 'down';
-      player.move(0, speed);
-    }
+    if (virtualInput.left) walk('left', -speed, 0);
+    if (virtualInput.right) walk('right', speed, 0);
+    if (virtualInput.up) walk('up', 0, -speed);
+    if (virtualInput.down) walk('down', 0, speed);
   });
 
   // Keep player in bounds (use world dimensions, not viewport)
   player.onUpdate(() => {
-    const worldW = GAME_CONFIG.worldWidth;
-    const worldH = GAME_CONFIG.worldHeight;
-    player.pos.x = clamp(player.pos.x, TILE, worldW - TILE);
-    player.pos.y = clamp(player.pos.y, TILE * 2, worldH - TILE);
+    const world = room || { width: GAME_CONFIG.worldWidth, height: GAME_CONFIG.worldHeight };
+    player.pos.x = clamp(player.pos.x, TILE, world.width - TILE);
+    player.pos.y = clamp(player.pos.y, TILE * 2, world.height - TILE);
 
     // Update camera to follow player
-    updateCamera(player.pos);
+    updateCamera(player.pos, world);
 
     // Update name label position to follow player
     nameLabel.pos = vec2(player.pos.x, player.pos.y - 70);
@@ -243,7 +312,7 @@ export function createPlayer(startPos) {
   // Multiplayer: Send position updates (throttled to 20 times/sec)
   let lastNetworkUpdate = 0;
   player.onUpdate(() => {
-    if (isMultiplayerConnected() && time() - lastNetworkUpdate > 0.05) {
+    if (!room && isMultiplayerConnected() && time() - lastNetworkUpdate > 0.05) {
       sendPosition(player.pos.x, player.pos.y, player.direction);
       lastNetworkUpdate = time();
     }
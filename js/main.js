@@ -10,6 +10,7 @@ import { GAME_CONFIG, COLORS } from './config.js';
 import { loadingScene } from './scenes/loading.js';
 import { overworldScene } from './scenes/overworld.js';
 import { pauseScene } from './scenes/pause.js';
+import { interiorScene } from './scenes/interior.js';
 import { spriteTestScene } from './scenes/sprite-test.js';
 import { initInput } from './systems/input.js';
 import { initAuth } from './auth.js';
@@ -44,6 +45,7 @@ async function init() {
   scene('loading', loadingScene);
   scene('overworld', overworldScene);
   scene('pause', pauseScene);
+  scene('interior', interiorScene);
   scene('sprite-test', spriteTestScene);
 
   // Initialize virtual button inputs (D-pad, A, B)
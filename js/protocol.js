@@ -0,0 +1,245 @@
+/**
+ * EPCVIP Tools Hub - Overworld Wire Protocol
+ *
+ * Message schema shared by the game client (js/systems/multiplayer.js) and the
+ * multiplayer server (server/src/index.ts, loaded like js/config.js), so both
+ * sides agree on which message types exist and how they are encoded.
+ *
+ * Two encodings, negotiated with the WebSocket subprotocol during the handshake:
+ * - json: every message is a JSON text frame (easy to read in devtools)
+ * - binary: high-frequency messages (move, snapshot) are compact binary frames,
+ *   everything else stays JSON text
+ *
+ * Set window.MULTIPLAYER_ENCODING = 'json' before connecting to debug with JSON only.
+ */
+
+export const PROTOCOL_VERSION = 1;
+
+export const ENCODINGS = ['binary', 'json'];
+
+// WebSocket subprotocol per encoding (client offers, server picks)
+export const SUBPROTOCOLS = {
+  binary: `overworld.binary.v${PROTOCOL_VERSION}`,
+  json: `overworld.json.v${PROTOCOL_VERSION}`,
+};
+
+// Every message type on the wire; anything else is dropped on decode
+export const MESSAGE_TYPES = {
+  // Client -> server
+  client: ['move', 'collect', 'throw', 'setName', 'setAppearance', 'chat', 'emote'],
+
+  // Server -> client
+  server: [
+    'init',
+    'playerEnteredRange',
+    'playerLeftRange',
+    'playerLeft',
+    'playerDisconnected',
+    'playerReconnected',
+    'replacedByNewConnection',
+    'snapshot',
+    'positionCorrected',
+    'fritelleCollected',
+    'fritelleSpawned',
+    'fritelleThrown',
+    'fritelleRush',
+    'playerHit',
+    'playerRenamed',
+    'playerAppearanceChanged',
+    'chat',
+    'emote',
+    'error',
+  ],
+};
+
+const KNOWN_TYPES = new Set([...MESSAGE_TYPES.client, ...MESSAGE_TYPES.server]);
+
+// Longest name the server's setName schema accepts (server/src/services/message-schema.ts)
+export const MAX_NAME_LENGTH = 24;
+
+// Facing directions, sent as their index in binary frames
+export const DIRECTIONS = ['down', 'up', 'left', 'right'];
+
+// First byte of a binary frame
+const BINARY_IDS = {
+  move: 1,
+  snapshot: 2,
+};
+
+// Snapshot entry flags: which fields follow the player id
+const HAS_X = 1;
+const HAS_Y = 2;
+const HAS_DIRECTION = 4;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * Encoding for a negotiated subprotocol (JSON when none was agreed)
+ * @param {string} subprotocol - WebSocket.protocol
+ * @returns {'binary' | 'json'}
+ */
+export function getEncoding(subprotocol) {
+  return subprotocol === SUBPROTOCOLS.binary ? 'binary' : 'json';
+}
+
+/**
+ * Pick the subprotocol to accept from the ones a client offered
+ * @param {Iterable<string>} offered - Subprotocols from the upgrade request
+ * @returns {string | false} Accepted subprotocol, or false for plain JSON
+ */
+export function selectSubprotocol(offered) {
+  const protocols = new Set(offered);
+  for (const encoding of ENCODINGS) {
+    if (protocols.has(SUBPROTOCOLS[encoding])) return SUBPROTOCOLS[encoding];
+  }
+  return false;
+}
+
+/**
+ * Encode a message for the wire
+ * @param {object} msg - Message with a `type`
+ * @param {'binary' | 'json'} encoding - Negotiated encoding
+ * @returns {string | Uint8Array} JSON text, or bytes for types with a binary layout
+ */
+export function encodeMessage(msg, encoding) {
+  if (encoding === 'binary') {
+    const bytes = encodeBinary(msg);
+    if (bytes) return bytes;
+  }
+  return JSON.stringify(msg);
+}
+
+/**
+ * Decode a frame from the wire
+ * @param {string | ArrayBuffer | ArrayBufferView} data - Text frame or binary frame
+ * @returns {object | null} Message, or null if the type isn't in the schema
+ */
+export function decodeMessage(data) {
+  const msg = typeof data === 'string' ? JSON.parse(data) : decodeBinary(data);
+  if (!msg || typeof msg !== 'object' || !KNOWN_TYPES.has(msg.type)) return null;
+  return msg;
+}
+
+/**
+ * Binary layout for move/snapshot (big-endian)
+ * Returns null when the message has no binary layout or a field can't be packed.
+ */
+function encodeBinary(msg) {
+  switch (msg.type) {
+    case 'move': {
+      // [id u8][x f32][y f32][direction u8]
+      const direction = DIRECTIONS.indexOf(msg.direction);
+      if (direction < 0) return null;
+      const view = new DataView(new ArrayBuffer(10));
+      view.setUint8(0, BINARY_IDS.move);
+      view.setFloat32(1, msg.x);
+      view.setFloat32(5, msg.y);
+      view.setUint8(9, direction);
+      return new Uint8Array(view.buffer);
+    }
+
+    case 'snapshot': {
+      // [id u8][t f64][count u16] then per player:
+      // [idLength u8][id utf8][flags u8][x f32]?[y f32]?[direction u8]?
+      const entries = [];
+      let size = 11;
+      for (const p of msg.players) {
+        const id = textEncoder.encode(p.id);
+        const direction = p.direction === undefined ? -1 : DIRECTIONS.indexOf(p.direction);
+        if (id.length > 255 || (p.direction !== undefined && direction < 0)) return null;
+
+        let flags = 0;
+        if (p.x !== undefined) flags |= HAS_X;
+        if (p.y !== undefined) flags |= HAS_Y;
+        if (direction >= 0) flags |= HAS_DIRECTION;
+
+        entries.push({ p, id, flags, direction });
+        size += 2 + id.length;
+        if (flags & HAS_X) size += 4;
+        if (flags & HAS_Y) size += 4;
+        if (flags & HAS_DIRECTION) size += 1;
+      }
+
+      const bytes = new Uint8Array(size);
+      const view = new DataView(bytes.buffer);
+      view.setUint8(0, BINARY_IDS.snapshot);
+      view.setFloat64(1, msg.t);
+      view.setUint16(9, entries.length);
+
+      let offset = 11;
+      for (const { p, id, flags, direction } of entries) {
+        view.setUint8(offset++, id.length);
+        bytes.set(id, offset);
+        offset += id.length;
+        view.setUint8(offset++, flags);
+        if (flags & HAS_X) {
+          view.setFloat32(offset, p.x);
+          offset += 4;
+        }
+        if (flags & HAS_Y) {
+          view.setFloat32(offset, p.y);
+          offset += 4;
+        }
+        if (flags & HAS_DIRECTION) view.setUint8(offset++, direction);
+      }
+      return bytes;
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Inverse of encodeBinary()
+ * Returns null for unknown ids; throws RangeError on truncated frames.
+ */
+function decodeBinary(data) {
+  const view = ArrayBuffer.isView(data)
+    ? new DataView(data.buffer, data.byteOffset, data.byteLength)
+    : new DataView(data);
+
+  switch (view.getUint8(0)) {
+    case BINARY_IDS.move:
+      return {
+        type: 'move',
+        x: view.getFloat32(1),
+        y: view.getFloat32(5),
+        direction: DIRECTIONS[view.getUint8(9)],
+      };
+
+    case BINARY_IDS.snapshot: {
+      const t = view.getFloat64(1);
+      const count = view.getUint16(9);
+      const players = [];
+
+      let offset = 11;
+      for (let i = 0; i < count; i++) {
+        const idLength = view.getUint8(offset++);
+        if (offset + idLength > view.byteLength) throw new RangeError('Truncated snapshot');
+        const id = textDecoder.decode(
+          new Uint8Array(view.buffer, view.byteOffset + offset, idLength)
+        );
+        offset += idLength;
+
+        const flags = view.getUint8(offset++);
+        const p = { id };
+        if (flags & HAS_X) {
+          p.x = view.getFloat32(offset);
+          offset += 4;
+        }
+        if (flags & HAS_Y) {
+          p.y = view.getFloat32(offset);
+          offset += 4;
+        }
+        if (flags & HAS_DIRECTION) p.direction = DIRECTIONS[view.getUint8(offset++)];
+        players.push(p);
+      }
+      return { type: 'snapshot', t, players };
+    }
+
+    default:
+      return null;
+  }
+}
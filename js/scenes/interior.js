@@ -0,0 +1,265 @@
+/**
+ * Interior Scene
+ *
+ * The lobby inside a tool's building. Buildings with an `interior` property
+ * in the map lead here when the player walks through their door: a room
+ * built from maps/interiors/<interior>.json with a board showing the tool's
+ * live status and recent changes, a launch terminal that opens the tool,
+ * and a portal back outside.
+ *
+ * Besides the usual map fields (tiles and furniture from the map editor), an
+ * interior file can have an `interior` section, with positions in tiles:
+ *   spawn     { x, y }                   where the player appears
+ *   exit      { x, y, width, height }    portal back outside
+ *   terminal  { x, y }                   launch terminal
+ *   board     { x, y }                   status and changelog board
+ *   changelog [{ date, text }]           newest first
+ * Anything left out is laid out from the room size.
+ */
+
+import { GAME_CONFIG, COLORS } from '../config.js';
+import { createPlayer } from '../entities/player.js';
+import { openToolUrl } from '../entities/building.js';
+import { renderTileMap } from '../systems/tilemap.js';
+import { loadEntities } from '../systems/entity-loader.js';
+import { initDialog, showDialog, clearDialog } from '../systems/dialog.js';
+import {
+  fetchToolStatus,
+  getToolStatus,
+  describeLastIncident,
+  TOOL_STATUS_LABELS,
+  TOOL_STATUS_COLORS,
+} from '../systems/tool-status.js';
+import { isReducedMotion } from '../systems/settings.js';
+import { KEY_BINDINGS, getKeyName } from '../systems/input.js';
+
+const MAX_CHANGELOG_ENTRIES = 5;
+const BOARD_WIDTH = 10; // tiles
+const TERMINAL_SIZE = 2; // tiles
+const HINT_DISTANCE = 60; // px, same as building hints in the overworld
+
+/**
+ * @param {Object} args
+ * @param {{id: string, name: string, url: string|null, statusKey: string|null}} args.building
+ * @param {string} args.interior - Map name in maps/interiors/
+ * @param {{x: number, y: number}} args.returnTo - Where the player comes back out
+ */
+export async function interiorScene({ building, interior, returnTo }) {
+  const TILE = GAME_CONFIG.tileSize;
+  const leave = () => go('overworld', { spawnAt: returnTo });
+
+  let mapData;
+  try {
+    const response = await fetch(`maps/interiors/${interior}.json`);
+    if (!response.ok) throw new Error(`Failed to load interior: ${response.status}`);
+    mapData = await response.json();
+  } catch (error) {
+    console.warn(`[Interior] ${interior}:`, error);
+    leave();
+    return;
+  }
+
+  const layout = getLayout(mapData);
+  const room = { width: mapData.width * TILE, height: mapData.height * TILE };
+
+  // Outside the room is dark, inside is the map's floor
+  add([rect(width(), height()), pos(0, 0), color(...COLORS.dark), fixed(), z(-10)]);
+  renderTileMap(mapData);
+  loadEntities(mapData); // Furniture placed in the map editor
+  add([
+    rect(room.width, room.height, { fill: false }),
+    pos(0, 0),
+    outline(6, rgb(90, 60, 30)),
+    z(1),
+  ]);
+
+  const exit = addExit(layout.exit);
+  const terminal = addTerminal(layout.terminal, building);
+  addBoard(layout.board, building, layout.changelog);
+
+  const player = createPlayer({ x: layout.spawn.x * TILE, y: layout.spawn.y * TILE }, { room });
+
+  initDialog();
+  showDialog(`Welcome to the ${building.name} lobby!`);
+  const welcomeUntil = time() + 3;
+
+  const terminalPoint = terminal.pos.add(vec2(terminal.buildingWidth / 2, terminal.buildingHeight));
+
+  // The portal only works once the player has stepped off it
+  let exitArmed = false;
+  onUpdate(() => {
+    const onExit = exit.hasPoint(player.pos);
+    if (onExit && exitArmed) {
+      leave();
+      return;
+    }
+    if (!onExit) exitArmed = true;
+
+    if (player.pos.dist(terminalPoint) < HINT_DISTANCE) {
+      const interactKey = getKeyName(KEY_BINDINGS.interact).toUpperCase();
+      const status = building.url
+        ? `Press ${interactKey} to open ${building.name}!`
+        : 'Coming Soon!';
+      showDialog(`Launch terminal: ${status}`);
+    } else if (time() > welcomeUntil) {
+      clearDialog();
+    }
+  });
+}
+
+/**
+ * Positions from the interior section, or defaults from the room size
+ */
+function getLayout(mapData) {
+  const { width, height } = mapData;
+  const section = mapData.interior || {};
+  const centerX = Math.floor(width / 2);
+
+  return {
+    exit: section.exit || { x: centerX - 1, y: height - 1, width: 2, height: 1 },
+    spawn: section.spawn || { x: centerX, y: height - 3 },
+    terminal: section.terminal || { x: centerX - TERMINAL_SIZE / 2, y: 2 },
+    board: section.board || { x: 1, y: 1 },
+    changelog: section.changelog || [],
+  };
+}
+
+function addExit(zone) {
+  const TILE = GAME_CONFIG.tileSize;
+  const exit = add([
+    rect(zone.width * TILE, zone.height * TILE),
+    pos(zone.x * TILE, zone.y * TILE),
+    color(...COLORS.gold),
+    opacity(0.5),
+    area(),
+    z(2),
+    'interior-exit',
+  ]);
+  exit.onUpdate(() => {
+    exit.opacity = 0.35 + Math.sin(time() * 4) * 0.15;
+  });
+  add([
+    text('EXIT', { size: 10 }),
+    pos(exit.pos.x + exit.width / 2, exit.pos.y - 8),
+    anchor('center'),
+    color(...COLORS.white),
+    z(3),
+  ]);
+  return exit;
+}
+
+/**
+ * Terminal that opens the tool (interactable like a building)
+ */
+function addTerminal(at, building) {
+  const TILE = GAME_CONFIG.tileSize;
+  const size = TERMINAL_SIZE * TILE;
+  const x = at.x * TILE;
+  const y = at.y * TILE;
+
+  add([
+    rect(size, size, { radius: 4 }),
+    pos(x, y),
+    color(40, 40, 50),
+    outline(2, rgb(...COLORS.gold)),
+    area(),
+    body({ isStatic: true }),
+    z(3),
+  ]);
+  add([rect(size - 12, size / 2), pos(x + 6, y + 6), color(20, 120, 60), z(4)]);
+  add([
+    text('LAUNCH', { size: 10 }),
+    pos(x + size / 2, y - 8),
+    anchor('center'),
+    color(...COLORS.gold),
+    z(4),
+  ]);
+
+  return add([
+    rect(size, size),
+    pos(x, y),
+    opacity(0),
+    z(2),
+    'interactable',
+    {
+      buildingWidth: size,
+      buildingHeight: size,
+
+      interact() {
+        if (!building.url) return;
+        if (!isReducedMotion()) {
+          add([
+            rect(width(), height()),
+            pos(0, 0),
+            color(255, 255, 255),
+            opacity(0.8),
+            fixed(),
+            z(100),
+            lifespan(0.1),
+          ]);
+        }
+        wait(0.1, () => openToolUrl(building.id, building.url));
+      },
+    },
+  ]);
+}
+
+/**
+ * Board with the tool's live status and recent changes
+ */
+function addBoard(at, building, changelog) {
+  const TILE = GAME_CONFIG.tileSize;
+  const entries = changelog.slice(0, MAX_CHANGELOG_ENTRIES);
+  const boardWidth = BOARD_WIDTH * TILE;
+  const lineHeight = 16;
+  const boardHeight = 90 + Math.max(entries.length, 1) * lineHeight * 2;
+  const x = at.x * TILE;
+  const y = at.y * TILE;
+
+  const board = add([
+    rect(boardWidth, boardHeight, { radius: 6 }),
+    pos(x, y),
+    color(...COLORS.dark),
+    opacity(0.9),
+    outline(3, rgb(120, 80, 40)),
+    z(3),
+  ]);
+
+  const line = (value, lineY, size, lineColor) =>
+    board.add([
+      // KaPlay treats [tag] as text styling
+      text(String(value).replace(/\[/g, '\\['), { size, width: boardWidth - 20 }),
+      pos(10, lineY),
+      color(...lineColor),
+    ]);
+
+  line(building.name, 10, 14, COLORS.gold);
+  const status = line('Status: checking...', 32, 11, TOOL_STATUS_COLORS.unknown);
+  const incident = line('', 46, 9, TOOL_STATUS_COLORS.unknown);
+  line('Recent changes', 66, 11, COLORS.gold);
+
+  if (entries.length === 0) {
+    line('Nothing posted yet', 66 + lineHeight, 10, TOOL_STATUS_COLORS.unknown);
+  }
+  entries.forEach((entry, i) => {
+    const entryY = 66 + lineHeight + i * lineHeight * 2;
+    line(entry.date, entryY, 9, TOOL_STATUS_COLORS.unknown);
+    line(entry.text, entryY + 11, 10, COLORS.white);
+  });
+
+  if (!building.statusKey) {
+    status.text = 'Status: not monitored';
+    return;
+  }
+  fetchToolStatus()
+    .then((statuses) => {
+      const { status: state, lastIncidentAt } = getToolStatus(statuses, building.statusKey);
+      status.text = `Status: ${TOOL_STATUS_LABELS[state]}`;
+      status.color = rgb(...TOOL_STATUS_COLORS[state]);
+      if (state !== 'unknown') incident.text = describeLastIncident(lastIncidentAt);
+    })
+    .catch((error) => {
+      console.warn('[Interior] Status check failed:', error);
+      status.text = `Status: ${TOOL_STATUS_LABELS.unknown}`;
+    });
+}
@@ -15,7 +15,19 @@ import {
 } from '../config.js';
 import { loadSounds } from '../systems/audio.js';
 import { getAllBuildingSprites } from '../systems/entity-loader.js';
-import { initAuth, getSavedCharacter, saveCharacterSelection } from '../systems/auth.js';
+import {
+  initAuth,
+  getSavedCharacter,
+  saveCharacterSelection,
+  onAuthChange,
+} from '../systems/auth.js';
+import { fetchInstances, getSelectedInstance, setSelectedInstance } from '../systems/instances.js';
+import { setGamepadBindings } from '../systems/input.js';
+import { getUiScale } from '../systems/ui-layout.js';
+import { setSettings } from '../systems/settings.js';
+import { MAX_NAME_LENGTH } from '../protocol.js';
+
+const INSTANCE_REFRESH_SECONDS = 10; // Player counts in the world picker
 
 // localStorage keys
 const STORAGE_KEY_NAME = 'epcvip_playerName';
@@ -36,9 +48,9 @@ function getSavedName() {
   return localStorage.getItem(STORAGE_KEY_NAME) || '';
 }
 
-// Save player name
+// Save player name (cut to what the server accepts)
 function savePlayerName(name) {
-  localStorage.setItem(STORAGE_KEY_NAME, name);
+  localStorage.setItem(STORAGE_KEY_NAME, name.slice(0, MAX_NAME_LENGTH));
 }
 
 // Generate a fun random name
@@ -60,7 +72,8 @@ export function loadingScene() {
   // Load assets in background (non-blocking)
   loadAssets();
 
-  const S = GAME_CONFIG.uiScale;
+  // The tool grid fills the viewport at the default scale, so it can only shrink
+  const S = getUiScale(GAME_CONFIG.uiScale);
   const centerX = width() / 2;
   const _centerY = height() / 2; // Reserved for future vertical centering
 
@@ -170,6 +183,62 @@ export function loadingScene() {
     color(...COLORS.dark),
   ]);
 
+  // World instance picker - only shown when the server has more than one
+  const worldLabel = add([
+    text('', { size: 10 * S }),
+    pos(centerX, btnY + btnHeight + 14 * S),
+    anchor('center'),
+    color(...COLORS.white),
+    opacity(0.8),
+    area(),
+    'world-picker',
+  ]);
+  let instances = [];
+  let instanceIndex = 0;
+
+  function updateWorldLabel() {
+    const instance = instances[instanceIndex];
+    worldLabel.text = `< World: ${instance.name} (${instance.players} online) >`;
+  }
+
+  function cycleWorld(step) {
+    if (instances.length < 2) return;
+    instanceIndex = (instanceIndex + step + instances.length) % instances.length;
+    setSelectedInstance(instances[instanceIndex]);
+    updateWorldLabel();
+  }
+
+  function refreshInstances() {
+    fetchInstances()
+      .then(({ instances: list, defaultId }) => {
+        if (!worldLabel.exists() || list.length < 2) return;
+        instances = list;
+
+        // Keep the saved world if it still exists, else start on the server's default
+        const savedIndex = list.findIndex((i) => i.id === getSelectedInstance().id);
+        instanceIndex =
+          savedIndex >= 0
+            ? savedIndex
+            : Math.max(
+                0,
+                list.findIndex((i) => i.id === defaultId)
+              );
+        setSelectedInstance(instances[instanceIndex]);
+        updateWorldLabel();
+      })
+      .catch((e) => {
+        // Offline or not logged in - the overworld still works with the default world
+        console.warn('[Instances] Fetch failed:', e.message);
+      });
+  }
+
+  refreshInstances();
+  loop(INSTANCE_REFRESH_SECONDS, refreshInstances);
+
+  onClick('world-picker', () => {
+    if (!modalOpen) cycleWorld(1);
+  });
+
   // Update visual selection
   function updateSelection(newIndex) {
     // Deselect old
@@ -294,9 +363,16 @@ export function loadingScene() {
   onKeyPress('enter', activateSelection);
   onKeyPress('a', activateSelection);
 
+  // Tab cycles the world instance
+  onKeyPress('tab', () => {
+    if (!modalOpen) cycleWorld(1);
+  });
+
   // Footer hint
   add([
-    text('Arrows to select • A/Enter to open • Enter for Overworld', { size: 9 * S }),
+    text('Arrows to select • A/Enter to open • Enter for Overworld • Tab: world', {
+      size: 9 * S,
+    }),
     pos(centerX, height() - 30 * S),
     anchor('center'),
     color(...COLORS.white),
@@ -319,6 +395,12 @@ function loadAssets() {
     }
   });
 
+  // Settings and gamepad bindings saved to the profile win over this browser's (on login too)
+  onAuthChange(({ profile }) => {
+    if (profile?.settings) setSettings(profile.settings);
+    if (profile?.gamepad_bindings) setGamepadBindings(profile.gamepad_bindings);
+  });
+
   // Load character sprites
   CHARACTERS.forEach((char) => {
     loadSprite(char.id, `assets/sprites/${char.id}.png`, {
@@ -349,6 +431,11 @@ function loadAssets() {
     sliceX: 16,
     sliceY: 10,
   });
+  // Floors for building interiors (maps/interiors/)
+  loadSprite('tileset-Pavement_Tiles', 'assets/tiles/Pavement_Tiles.png', {
+    sliceX: 9,
+    sliceY: 8,
+  });
   // Legacy numbered names for maps that use index-based tileset references
   loadSprite('tileset-0', 'assets/tiles/Grass_Tiles_1.png', {
     sliceX: 16,
@@ -370,7 +457,7 @@ function showCharacterModal() {
   // Disable background keyboard navigation
   modalOpen = true;
 
-  const S = GAME_CONFIG.uiScale;
+  const S = getUiScale(GAME_CONFIG.uiScale);
   const centerX = width() / 2;
   const centerY = height() / 2;
 
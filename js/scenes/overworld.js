@@ -4,17 +4,42 @@
  * Main game scene with buildings, player, and decorations.
  */
 
-import { GAME_CONFIG, TOOLS } from '../config.js';
+import { GAME_CONFIG, COLORS, TOOLS } from '../config.js';
 import { createPlayer } from '../entities/player.js';
 import { createBuilding } from '../entities/building.js';
 import { drawGround } from '../entities/decoration.js';
 import { initDialog, showDialog, clearDialog } from '../systems/dialog.js';
 import { initFritelleSystem } from '../entities/collectible.js';
-import { connectToServer } from '../systems/multiplayer.js';
-import { loadEntities } from '../systems/entity-loader.js';
+import { connectToServer, sendChat, sendEmote, setLocalPlayer } from '../systems/multiplayer.js';
+import { initChat, openChat } from '../systems/chat.js';
+import {
+  initEmoteWheel,
+  isEmoteWheelOpen,
+  playEmote,
+  toggleEmoteWheel,
+} from '../systems/emotes.js';
+import { initRushOverlay } from '../systems/fritelle-rush.js';
+import { KEY_BINDINGS, onActionPress, setHoldBCallback, getKeyName } from '../systems/input.js';
+import { loadEntities, getCollisionShapes } from '../systems/entity-loader.js';
 import { loadMapData } from '../systems/tilemap.js';
+import { getInstanceMapPath } from '../systems/instances.js';
+import { TOOL_STATUS_LABELS, describeLastIncident } from '../systems/tool-status.js';
+import { buildWalkGrid, findPath } from '../systems/pathfinding.js';
+import { initMinimap, toggleTravelMenu } from '../systems/minimap.js';
+import { initCommandPalette } from '../systems/command-palette.js';
 
-export async function overworldScene() {
+// Walking up into a building's door within this distance goes inside (if it has an interior)
+const DOOR_RADIUS = 32; // px
+
+// Clickable things that a click/tap on them shouldn't also walk to
+const CLICK_TARGET_TAGS = ['building-sign', 'emote-slot', 'rush-results'];
+
+/**
+ * @param {Object} [args]
+ * @param {{x: number, y: number}} [args.spawnAt] - Where to start (e.g. outside a
+ *   building's door when leaving its interior); also sent to a resumed server session
+ */
+export async function overworldScene({ spawnAt } = {}) {
   const TILE = GAME_CONFIG.tileSize;
 
   // Draw ground (grass + paths) - may use tilemap if enabled
@@ -27,8 +52,9 @@ export async function overworldScene() {
 
   // Load buildings from map JSON (primary) or fall back to TOOLS config
   let buildings = [];
+  let mapData = null;
   try {
-    const mapData = await loadMapData('maps/village.json');
+    mapData = await loadMapData(getInstanceMapPath());
     if (mapData.entities && mapData.entities.length > 0) {
       buildings = loadEntities(mapData);
     } else {
@@ -42,7 +68,8 @@ export async function overworldScene() {
   }
 
   // Create player (start in center-ish area of world)
-  const player = createPlayer({ x: 20 * TILE, y: 15 * TILE });
+  const player = createPlayer(spawnAt || { x: 20 * TILE, y: 15 * TILE });
+  setLocalPlayer(player);
 
   // Initialize dialog system
   initDialog();
@@ -50,7 +77,7 @@ export async function overworldScene() {
 
   // Try to connect to multiplayer server (non-blocking)
   const playerName = localStorage.getItem('epcvip_playerName') || 'Player';
-  connectToServer(playerName).then((connected) => {
+  connectToServer(playerName, { keepSpawn: Boolean(spawnAt) }).then((connected) => {
     if (connected) {
       showDialog('Connected to multiplayer! Other players will appear soon.');
       wait(3, clearDialog);
@@ -58,18 +85,75 @@ export async function overworldScene() {
   });
 
   // Initialize fritelle collectibles
-  initFritelleSystem(player);
+  initFritelleSystem(player, mapData);
+
+  // Fritelle rush banner and results (the server announces rushes)
+  initRushOverlay();
+
+  // Chat log overlay (T to open)
+  initChat(sendChat);
+  onActionPress('chat', openChat);
+
+  // Emotes play here right away; the server relays them to players in range
+  initEmoteWheel(player, (emoteId) => {
+    playEmote(player, emoteId);
+    sendEmote(emoteId);
+  });
+  onActionPress('emote', toggleEmoteWheel);
+
+  // Minimap, fast travel and click-to-move (need the map's tiles and entities)
+  let walkGrid = null;
+  if (mapData) {
+    walkGrid = buildWalkGrid({
+      cols: mapData.width,
+      rows: mapData.height,
+      cellSize: TILE,
+      // Where createPlayer keeps the player
+      bounds: {
+        minX: TILE,
+        maxX: GAME_CONFIG.worldWidth - TILE,
+        minY: TILE * 2,
+        maxY: GAME_CONFIG.worldHeight - TILE,
+      },
+      shapes: getCollisionShapes(mapData),
+      groundTiles: (mapData.layers || mapData.tileLayers)?.ground,
+    });
+    setupClickToMove(player, walkGrid, buildings);
+    initMinimap({
+      mapData,
+      buildings,
+      player,
+      onTravel: (building) => walkToBuilding(player, walkGrid, building),
+    });
+    onActionPress('travel', toggleTravelMenu);
+  }
+
+  // Ctrl+K: search the tools, then open one or walk to its building
+  initCommandPalette({
+    buildings,
+    onWalk: walkGrid ? (building) => walkToBuilding(player, walkGrid, building) : null,
+  });
 
   // Proximity detection for dialog hints
   onUpdate(() => {
-    // Check if near a building
+    // Check if near a building or NPC
     const nearbyBuilding = buildings.find((b) => {
       const dist = player.pos.dist(b.pos.add(vec2(b.buildingWidth / 2, b.buildingHeight)));
       return dist < 60;
     });
 
-    if (nearbyBuilding) {
-      const status = nearbyBuilding.isLive ? 'Press ENTER to open!' : 'Coming Soon!';
+    if (nearbyBuilding?.interior && isWalkingThroughDoor(player, nearbyBuilding)) {
+      enterInterior(nearbyBuilding);
+      return;
+    }
+
+    const interactKey = getKeyName(KEY_BINDINGS.interact).toUpperCase();
+    if (nearbyBuilding?.npcName) {
+      showDialog(`${nearbyBuilding.npcName}: Press ${interactKey} to talk.`);
+    } else if (nearbyBuilding) {
+      let status = nearbyBuilding.isLive ? `Press ${interactKey} to open!` : 'Coming Soon!';
+      if (nearbyBuilding.interior) status += ' Walk in to visit the lobby.';
+      if (nearbyBuilding.statusKey) status = `${describeStatus(nearbyBuilding)} ${status}`;
       showDialog(`${nearbyBuilding.toolName}: ${nearbyBuilding.toolDescription} ${status}`);
     } else {
       clearDialog();
@@ -80,6 +164,106 @@ export async function overworldScene() {
   setupMobileControls(player);
 }
 
+/**
+ * "Status: Down (last incident 2 min ago)."
+ */
+function describeStatus(building) {
+  const label = TOOL_STATUS_LABELS[building.status];
+  if (building.status === 'unknown') return `Status: ${label}.`;
+  return `Status: ${label} (${describeLastIncident(building.lastIncidentAt).toLowerCase()}).`;
+}
+
+/**
+ * Bottom-center of a building, where the player stands to interact
+ */
+function getDoorPoint(building) {
+  return building.pos.add(vec2(building.buildingWidth / 2, building.buildingHeight));
+}
+
+function isWalkingThroughDoor(player, building) {
+  // Only on the player's own steps, not while walking a route past a door
+  return (
+    player.isMoving &&
+    !player.isOnRoute() &&
+    player.direction === 'up' &&
+    player.pos.dist(getDoorPoint(building)) < DOOR_RADIUS
+  );
+}
+
+/**
+ * Walk the player to just below a building's door (minimap and fast travel)
+ */
+function walkToBuilding(player, walkGrid, building) {
+  const door = getDoorPoint(building);
+  const path = findPath(walkGrid, player.pos, { x: door.x, y: door.y + GAME_CONFIG.tileSize });
+  if (!path) {
+    showDialog(`Can't find a way to ${building.toolName} from here.`);
+    return;
+  }
+  player.walkRoute(path, () => {
+    player.direction = 'up'; // Face the door
+  });
+}
+
+/**
+ * Click or tap the world to walk there (KaPlay turns touches into clicks)
+ * Clicking a building walks to its door.
+ */
+function setupClickToMove(player, walkGrid, buildings) {
+  onClick(() => {
+    if (
+      isEmoteWheelOpen() ||
+      CLICK_TARGET_TAGS.some((tag) => get(tag).some((o) => o.isHovering()))
+    ) {
+      return;
+    }
+
+    const target = toWorld(mousePos());
+    const building = buildings.find(
+      (b) =>
+        b.toolName &&
+        target.x >= b.pos.x &&
+        target.x <= b.pos.x + b.buildingWidth &&
+        target.y >= b.pos.y &&
+        target.y <= b.pos.y + b.buildingHeight
+    );
+    if (building) {
+      walkToBuilding(player, walkGrid, building);
+      return;
+    }
+
+    const path = findPath(walkGrid, player.pos, target);
+    if (!path) return;
+    player.walkRoute(path);
+
+    // Where the player is headed
+    add([
+      circle(6),
+      pos(target),
+      anchor('center'),
+      color(...COLORS.gold),
+      opacity(0.8),
+      lifespan(0.5, { fade: 0.4 }),
+      z(1),
+    ]);
+  });
+}
+
+function enterInterior(building) {
+  const door = getDoorPoint(building);
+  go('interior', {
+    building: {
+      id: building.toolId,
+      name: building.toolName,
+      url: building.isLive ? building.toolUrl : null,
+      statusKey: building.statusKey,
+    },
+    interior: building.interior,
+    // Come back out a step below the door
+    returnTo: { x: door.x, y: door.y + GAME_CONFIG.tileSize },
+  });
+}
+
 function setupMobileControls(player) {
   // D-pad buttons
   const dpadBtns = document.querySelectorAll('.dpad-btn[data-dir]');
@@ -107,13 +291,8 @@ function setupMobileControls(player) {
     btn.addEventListener('touchend', stopMove);
   });
 
-  // A button (interact)
-  const btnA = document.getElementById('btnA');
-  if (btnA) {
-    btnA.addEventListener('click', () => player.interact());
-    btnA.addEventListener('touchstart', (e) => {
-      e.preventDefault();
-      player.interact();
-    });
-  }
+  // A button: interacts through setInteractCallback (see player.js)
+
+  // B button: a tap still throws (input.js), holding it opens the emote wheel
+  setHoldBCallback(toggleEmoteWheel);
 }
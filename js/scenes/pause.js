@@ -1,8 +1,9 @@
 /**
  * Pause Scene
  *
- * Shows game controls, quick links to tools, character selection, and resume option.
- * Triggered by ESC key.
+ * Shows game controls, quick links to tools, fritelle leaderboard, character selection,
+ * settings (key bindings, accessibility, volume), gamepad remapping, and resume option.
+ * Triggered by ESC key (or a gamepad's Start button).
  */
 
 import {
@@ -12,16 +13,43 @@ import {
   getSelectedCharacter,
   setSelectedCharacter,
 } from '../config.js';
-import { isMuted, toggleMute } from '../systems/audio.js';
+import { isMuted, toggleMute, VOLUME_CHANNELS } from '../systems/audio.js';
+import {
+  KEY_BINDINGS,
+  REBINDABLE_ACTIONS,
+  setKeyBinding,
+  isBindableKey,
+  getKeyName,
+  GAMEPAD_ACTIONS,
+  virtualInput,
+  getGamepadBindings,
+  setGamepadBinding,
+  resetGamepadBindings,
+  getGamepadButtonName,
+  isGamepadConnected,
+  captureGamepadButton,
+  setInteractCallback,
+  setThrowCallback,
+  setHoldBCallback,
+  setPauseCallback,
+} from '../systems/input.js';
 import { getPauseLayout, getCharSelectLayout } from '../systems/ui-layout.js';
+import { LEADERBOARD_PERIODS, fetchLeaderboard } from '../systems/leaderboard.js';
 import {
   isLoggedIn,
+  getUser,
   getProfile,
   signOut,
   signIn,
   signUp,
   saveCharacterSelection,
+  saveGamepadBindings,
+  saveSettings,
 } from '../systems/auth.js';
+import { UI_SCALE_STEPS, getSettings, updateSettings, resetSettings } from '../systems/settings.js';
+
+const VOLUME_LABELS = { effects: 'Effects volume', players: 'Other players' };
+const VOLUME_STEP = 0.1;
 
 export function pauseScene() {
   // Get responsive layout
@@ -29,6 +57,9 @@ export function pauseScene() {
   const S = layout.scale;
 
   let isSelectingCharacter = false;
+  let isGamepadMenuOpen = false;
+  let isSettingsMenuOpen = false;
+  const isModalOpen = () => isSelectingCharacter || isGamepadMenuOpen || isSettingsMenuOpen;
   let selectedCharIndex = CHARACTERS.findIndex((c) => c.id === getSelectedCharacter().id);
 
   // Semi-transparent dark overlay
@@ -76,25 +107,63 @@ export function pauseScene() {
     fixed(),
   ]);
 
+  // Settings and gamepad screens, stacked right of the heading
+  const gamepadLink = add([
+    text('Gamepad (G)', { size: 9 * S }),
+    pos(layout.leftCol.x + layout.leftCol.width - 10 * S, layout.contentStartY + 10 * S),
+    anchor('topright'),
+    color(150, 150, 150),
+    area(),
+    fixed(),
+  ]);
+  gamepadLink.onHover(() => {
+    gamepadLink.color = rgb(...COLORS.gold);
+  });
+  gamepadLink.onHoverEnd(() => {
+    gamepadLink.color = rgb(150, 150, 150);
+  });
+
+  const settingsLink = add([
+    text('Settings (O)', { size: 9 * S }),
+    pos(layout.leftCol.x + layout.leftCol.width - 10 * S, layout.contentStartY - 2 * S),
+    anchor('topright'),
+    color(150, 150, 150),
+    area(),
+    fixed(),
+  ]);
+  settingsLink.onHover(() => {
+    settingsLink.color = rgb(...COLORS.gold);
+  });
+  settingsLink.onHoverEnd(() => {
+    settingsLink.color = rgb(150, 150, 150);
+  });
+
+  // Rebindable keys as currently bound (see KEY_BINDINGS)
+  const moveKeys = ['up', 'left', 'down', 'right'].map((action) =>
+    getKeyName(KEY_BINDINGS[action])
+  );
   const controls = [
-    ['Arrows / WASD', 'Move'],
-    ['Enter', 'Interact'],
-    ['Space', 'Throw'],
+    [`Arrows / ${moveKeys.join(moveKeys.every((key) => key.length === 1) ? '' : '/')}`, 'Move'],
+    [getKeyName(KEY_BINDINGS.interact), 'Interact'],
+    [getKeyName(KEY_BINDINGS.throw), 'Throw'],
+    [getKeyName(KEY_BINDINGS.chat), 'Chat'],
+    [getKeyName(KEY_BINDINGS.emote), 'Emote'],
     ['M', 'Sound'],
     ['C', 'Character'],
     ['ESC', 'Resume'],
   ];
 
+  // 16S rows keep all eight above the Links section
   controls.forEach(([key, action], i) => {
     add([
-      text(key, { size: 12 * S }),
-      pos(layout.leftCol.x + 30 * S, layout.contentStartY + 30 * S + i * 20 * S),
+      text(key, { size: 11 * S }),
+      pos(layout.leftCol.x + 30 * S, layout.contentStartY + 30 * S + i * 16 * S),
       color(...COLORS.white),
       fixed(),
     ]);
     add([
-      text('- ' + action, { size: 12 * S }),
-      pos(layout.leftCol.x + 160 * S, layout.contentStartY + 30 * S + i * 20 * S),
+      text('- ' + action, { size: 11 * S }),
+      pos(layout.leftCol.x + 120 * S, layout.contentStartY + 30 * S + i * 16 * S),
       color(150, 150, 150),
       fixed(),
     ]);
@@ -135,6 +204,129 @@ export function pauseScene() {
     });
   });
 
+  // === MIDDLE COLUMN: Leaderboard ===
+  const board = layout.midCol;
+  const boardRowsY = layout.contentStartY + 58 * S;
+  const BOARD_ROWS = 10;
+  const BOARD_NAME_LENGTH = 10; // Keeps rank + name + score inside the column
+  let boardRequestId = 0; // Ignore responses for a period that is no longer shown
+  let boardPeriodIndex = 0;
+
+  add([
+    text('Leaderboard', { size: 15 * S }),
+    pos(board.x, layout.contentStartY),
+    color(...COLORS.gold),
+    fixed(),
+  ]);
+
+  add([
+    text('(L)', { size: 10 * S }),
+    pos(board.x + board.width, layout.contentStartY + 4 * S),
+    anchor('topright'),
+    color(150, 150, 150),
+    fixed(),
+  ]);
+
+  // Period tabs
+  const tabGap = 4 * S;
+  const tabW =
+    (board.width - tabGap * (LEADERBOARD_PERIODS.length - 1)) / LEADERBOARD_PERIODS.length;
+  const boardTabs = LEADERBOARD_PERIODS.map((period, i) => {
+    const tabX = board.x + i * (tabW + tabGap);
+    const tab = add([
+      rect(tabW, 20 * S),
+      pos(tabX, layout.contentStartY + 26 * S),
+      color(40, 40, 40),
+      outline(2, rgb(60, 60, 60)),
+      area(),
+      fixed(),
+    ]);
+    const label = add([
+      text(period.label, { size: 10 * S }),
+      pos(tabX + tabW / 2, layout.contentStartY + 36 * S),
+      anchor('center'),
+      color(150, 150, 150),
+      fixed(),
+    ]);
+
+    tab.onClick(() => {
+      if (!isModalOpen()) showLeaderboard(i);
+    });
+
+    return { tab, label };
+  });
+
+  // Rows are created up front and filled in when the fetch resolves
+  const boardRows = Array.from({ length: BOARD_ROWS }, (_, i) => ({
+    name: add([
+      text('', { size: 10 * S }),
+      pos(board.x, boardRowsY + i * 17 * S),
+      color(...COLORS.white),
+      fixed(),
+    ]),
+    score: add([
+      text('', { size: 10 * S }),
+      pos(board.x + board.width, boardRowsY + i * 17 * S),
+      anchor('topright'),
+      color(...COLORS.gold),
+      fixed(),
+    ]),
+  }));
+
+  function setBoardStatus(message) {
+    boardRows.forEach((row, i) => {
+      row.name.text = i === 0 ? message : '';
+      row.name.color = rgb(150, 150, 150);
+      row.score.text = '';
+    });
+  }
+
+  function showLeaderboard(index) {
+    boardPeriodIndex = index;
+    boardTabs.forEach(({ tab, label }, i) => {
+      const isActive = i === index;
+      tab.color = isActive ? rgb(40, 35, 20) : rgb(40, 40, 40);
+      tab.outline.color = isActive ? rgb(...COLORS.gold) : rgb(60, 60, 60);
+      label.color = isActive ? rgb(...COLORS.gold) : rgb(150, 150, 150);
+    });
+    setBoardStatus('Loading...');
+
+    const requestId = ++boardRequestId;
+    fetchLeaderboard(LEADERBOARD_PERIODS[index].id)
+      .then((entries) => {
+        if (requestId !== boardRequestId) return;
+        if (entries.length === 0) {
+          setBoardStatus('No scores yet');
+          return;
+        }
+
+        const userId = getUser()?.id;
+        boardRows.forEach((row, i) => {
+          const entry = entries[i];
+          if (!entry) {
+            row.name.text = '';
+            row.score.text = '';
+            return;
+          }
+          const name =
+            entry.displayName.length > BOARD_NAME_LENGTH
+              ? entry.displayName.slice(0, BOARD_NAME_LENGTH - 1) + '.'
+              : entry.displayName;
+          row.name.text = `${String(i + 1).padStart(2)}. ${name}`;
+          // Highlight our own row
+          row.name.color = entry.playerId === userId ? rgb(...COLORS.gold) : rgb(...COLORS.white);
+          row.score.text = String(entry.score);
+        });
+      })
+      .catch((e) => {
+        if (requestId !== boardRequestId) return;
+        console.warn('[Leaderboard] Fetch failed:', e.message);
+        setBoardStatus('Unavailable');
+      });
+  }
+
+  showLeaderboard(0);
+
   // === RIGHT COLUMN: Character ===
   add([
     text('Character', { size: 18 * S }),
@@ -515,7 +707,7 @@ export function pauseScene() {
 
   // === EVENT HANDLERS ===
   changeBtn.onClick(() => {
-    if (!isSelectingCharacter) showCharacterSelect();
+    if (!isModalOpen()) showCharacterSelect();
   });
 
   soundBtn.onClick(() => {
@@ -535,24 +727,33 @@ export function pauseScene() {
   });
 
   onKeyPress('m', () => {
-    if (!isSelectingCharacter) {
+    if (!isModalOpen()) {
       const nowMuted = toggleMute();
       soundText.text = nowMuted ? 'Sound: OFF' : 'Sound: ON';
     }
   });
 
-  onKeyPress('escape', () => {
-    if (isSelectingCharacter) {
+  // ESC, or B / Start on a gamepad
+  function back() {
+    if (isSettingsMenuOpen) {
+      if (!cancelKeyCapture()) hideSettingsMenu();
+    } else if (isGamepadMenuOpen) {
+      if (!cancelRemap()) hideGamepadMenu();
+    } else if (isSelectingCharacter) {
       selectedCharIndex = CHARACTERS.findIndex((c) => c.id === getSelectedCharacter().id);
       hideCharacterSelect();
     } else {
       go('overworld');
     }
-  });
+  }
 
-  // Enter also resumes (common expectation)
-  onKeyPress('enter', () => {
-    if (isSelectingCharacter) {
+  // Enter (or A) also resumes (common expectation)
+  function accept() {
+    if (isSettingsMenuOpen) {
+      if (!isCapturingKey()) activateSetting();
+    } else if (isGamepadMenuOpen) {
+      startRemap();
+    } else if (isSelectingCharacter) {
       // Confirm selection
       const char = CHARACTERS[selectedCharIndex];
       setSelectedCharacter(char);
@@ -564,31 +765,667 @@ export function pauseScene() {
     } else {
       go('overworld');
     }
-  });
+  }
+
+  onKeyPress('escape', back);
+  onKeyPress('enter', accept);
+
+  // Gamepad and on-screen A/B buttons (the overworld sets its own again on resume)
+  setInteractCallback(accept);
+  setThrowCallback(back);
+  setHoldBCallback(null);
+  setPauseCallback(back);
 
   resumeBtn.onClick(() => {
-    if (!isSelectingCharacter) go('overworld');
+    if (!isModalOpen()) go('overworld');
   });
 
   // Sprite test (dev mode)
   onKeyPress('t', () => {
-    if (!isSelectingCharacter) go('sprite-test');
+    if (!isModalOpen()) go('sprite-test');
   });
 
   // Number keys for quick links
   liveTools.forEach((tool, i) => {
     onKeyPress(`${i + 1}`, () => {
-      if (!isSelectingCharacter && tool.url) {
+      if (!isModalOpen() && tool.url) {
         window.open(tool.url, '_blank');
       }
     });
   });
 
+  // L key to cycle leaderboard periods
+  onKeyPress('l', () => {
+    if (!isModalOpen() && loginModalObjects.length === 0) {
+      showLeaderboard((boardPeriodIndex + 1) % LEADERBOARD_PERIODS.length);
+    }
+  });
+
   // C key to open character select
   onKeyPress('c', () => {
-    if (!isSelectingCharacter) showCharacterSelect();
+    if (!isModalOpen()) showCharacterSelect();
+  });
+
+  // G key to remap the gamepad
+  onKeyPress('g', () => {
+    if (!isModalOpen() && loginModalObjects.length === 0) showGamepadMenu();
+  });
+
+  gamepadLink.onClick(() => {
+    if (!isModalOpen()) showGamepadMenu();
+  });
+
+  // O key for settings
+  onKeyPress('o', () => {
+    if (!isModalOpen() && loginModalObjects.length === 0) showSettingsMenu();
   });
 
+  settingsLink.onClick(() => {
+    if (!isModalOpen()) showSettingsMenu();
+  });
+
+  // === SETTINGS MODAL ===
+  // One list of rows across two columns (keys left, display and sound right)
+  const settingsObjects = [];
+  let settingsHandlers = []; // Key and update handlers, cancelled on close
+  let settingsRows = [];
+  let settingsRowIndex = 0;
+  let keyCapture = null; // Key handler while waiting for a key to bind
+  let keyCaptureStartedAt = -1; // time() the capture began, see startKeyCapture
+  let keyCaptureEndedAt = -1; // time() of the last capture, see isCapturingKey
+  let settingsChanged = false;
+  let needsRefresh = false; // Keys or UI scale changed: rebuild the pause scene on close
+
+  function showSettingsMenu() {
+    isSettingsMenuOpen = true;
+    settingsRowIndex = 0;
+    settingsChanged = false;
+    needsRefresh = false;
+
+    const colW = 250 * S;
+    const gap = 40 * S;
+    const rowH = 18 * S;
+    const pitch = 22 * S;
+    const columns = [width() / 2 - gap / 2 - colW, width() / 2 + gap / 2];
+    const rowsY = 100 * S;
+
+    settingsObjects.push(
+      add([rect(width(), height()), pos(0, 0), color(0, 0, 0), opacity(0.95), fixed(), z(100)]),
+      add([
+        text('SETTINGS', { size: 24 * S }),
+        pos(width() / 2, 45 * S),
+        anchor('center'),
+        color(...COLORS.gold),
+        fixed(),
+        z(101),
+      ])
+    );
+
+    ['Keys', 'Display & Sound'].forEach((heading, i) => {
+      settingsObjects.push(
+        add([
+          text(heading, { size: 14 * S }),
+          pos(columns[i], 75 * S),
+          color(...COLORS.gold),
+          fixed(),
+          z(101),
+        ])
+      );
+    });
+
+    const items = [
+      ...REBINDABLE_ACTIONS.map(({ action, label }) => ({ type: 'key', action, label })),
+      { type: 'scale', label: 'UI scale' },
+      { type: 'toggle', setting: 'reducedMotion', label: 'Reduced motion' },
+      { type: 'toggle', setting: 'highContrast', label: 'High-contrast names' },
+      ...VOLUME_CHANNELS.map((channel) => ({
+        type: 'volume',
+        channel,
+        label: VOLUME_LABELS[channel],
+      })),
+    ];
+
+    let keyRows = 0;
+    let otherRows = 0;
+    settingsRows = items.map((item, i) => {
+      const isKey = item.type === 'key';
+      const x = columns[isKey ? 0 : 1];
+      const y = rowsY + (isKey ? keyRows++ : otherRows++) * pitch;
+
+      const card = add([
+        rect(colW, rowH),
+        pos(x, y),
+        color(20, 20, 20),
+        outline(2, rgb(60, 60, 60)),
+        area(),
+        fixed(),
+        z(101),
+      ]);
+      const name = add([
+        text(item.label, { size: 10 * S }),
+        pos(x + 8 * S, y + rowH / 2),
+        anchor('left'),
+        color(...COLORS.white),
+        fixed(),
+        z(102),
+      ]);
+      const value = add([
+        text('', { size: 10 * S }),
+        pos(x + colW - 8 * S, y + rowH / 2),
+        anchor('right'),
+        color(...COLORS.gold),
+        fixed(),
+        z(102),
+      ]);
+      settingsObjects.push(card, name, value);
+
+      // Volume: a bar left of the percentage, click to set
+      let bar = null;
+      let fill = null;
+      if (item.type === 'volume') {
+        const barX = x + colW - 130 * S;
+        bar = add([
+          rect(80 * S, 6 * S),
+          pos(barX, y + rowH / 2),
+          anchor('left'),
+          color(60, 60, 60),
+          area(),
+          fixed(),
+          z(102),
+        ]);
+        fill = add([
+          rect(0, 6 * S),
+          pos(barX, y + rowH / 2),
+          anchor('left'),
+          color(...COLORS.gold),
+          fixed(),
+          z(103),
+        ]);
+        settingsObjects.push(bar, fill);
+        bar.onClick(() => {
+          settingsRowIndex = i;
+          setVolumeSetting(item.channel, (mousePos().x - barX) / bar.width);
+        });
+      }
+
+      card.onClick(() => {
+        if (bar?.isHovering()) return;
+        cancelKeyCapture();
+        settingsRowIndex = i;
+        activateSetting();
+      });
+
+      return { ...item, card, value, fill, barWidth: bar?.width ?? 0 };
+    });
+
+    const buttonsY = rowsY + REBINDABLE_ACTIONS.length * pitch + 20 * S;
+
+    const resetBtn = add([
+      rect(100 * S, 28 * S),
+      pos(width() / 2 - 60 * S, buttonsY),
+      anchor('center'),
+      color(40, 40, 40),
+      outline(2, rgb(100, 100, 100)),
+      area(),
+      fixed(),
+      z(101),
+    ]);
+    const doneBtn = add([
+      rect(100 * S, 28 * S),
+      pos(width() / 2 + 60 * S, buttonsY),
+      anchor('center'),
+      color(...COLORS.gold),
+      area(),
+      fixed(),
+      z(101),
+    ]);
+    settingsObjects.push(
+      resetBtn,
+      doneBtn,
+      add([
+        text('Reset (R)', { size: 12 * S }),
+        pos(width() / 2 - 60 * S, buttonsY),
+        anchor('center'),
+        color(150, 150, 150),
+        fixed(),
+        z(102),
+      ]),
+      add([
+        text('Done', { size: 14 * S }),
+        pos(width() / 2 + 60 * S, buttonsY),
+        anchor('center'),
+        color(...COLORS.dark),
+        fixed(),
+        z(102),
+      ]),
+      add([
+        text('Up/Down: pick | Left/Right: adjust | Enter/A: change | Esc/B: back', {
+          size: 9 * S,
+        }),
+        pos(width() / 2, buttonsY + 30 * S),
+        anchor('center'),
+        color(120, 120, 120),
+        fixed(),
+        z(101),
+      ])
+    );
+
+    resetBtn.onClick(() => {
+      cancelKeyCapture();
+      resetAllSettings();
+    });
+    doneBtn.onClick(hideSettingsMenu);
+
+    const moveRow = (step) => {
+      if (isCapturingKey()) return;
+      settingsRowIndex = (settingsRowIndex + step + settingsRows.length) % settingsRows.length;
+      updateSettingsRows();
+    };
+    const adjust = (step) => {
+      if (!isCapturingKey()) adjustSetting(step);
+    };
+
+    // Stick / D-pad (through virtualInput) works like the arrow keys
+    const held = { up: false, down: false, left: false, right: false };
+    const steps = {
+      up: () => moveRow(-1),
+      down: () => moveRow(1),
+      left: () => adjust(-1),
+      right: () => adjust(1),
+    };
+
+    settingsHandlers.push(
+      onKeyPress('up', steps.up),
+      onKeyPress('down', steps.down),
+      onKeyPress('left', steps.left),
+      onKeyPress('right', steps.right),
+      onKeyPress('r', () => {
+        if (!isCapturingKey()) resetAllSettings();
+      }),
+      onUpdate(() => {
+        for (const dir of Object.keys(held)) {
+          if (virtualInput[dir] && !held[dir]) steps[dir]();
+          held[dir] = virtualInput[dir];
+        }
+      })
+    );
+
+    updateSettingsRows();
+  }
+
+  function hideSettingsMenu() {
+    cancelKeyCapture();
+    isSettingsMenuOpen = false;
+    settingsObjects.forEach((obj) => destroy(obj));
+    settingsObjects.length = 0;
+    settingsRows = [];
+    settingsHandlers.forEach((handler) => handler.cancel());
+    settingsHandlers = [];
+
+    // Saved to the profile once, not on every slider step
+    if (settingsChanged) {
+      saveSettings(getSettings()).catch((e) => {
+        console.error('[Auth] Failed to save settings:', e);
+      });
+    }
+    // The controls list and the layout show keys and UI scale
+    if (needsRefresh) go('pause');
+  }
+
+  function updateSettingsRows() {
+    const settings = getSettings();
+    settingsRows.forEach((row, i) => {
+      const isSelected = i === settingsRowIndex;
+      row.card.color = isSelected ? rgb(40, 35, 20) : rgb(20, 20, 20);
+      row.card.outline.color = isSelected ? rgb(...COLORS.gold) : rgb(60, 60, 60);
+
+      if (row.type === 'key') {
+        row.value.text =
+          isSelected && keyCapture ? 'Press a key...' : getKeyName(settings.keys[row.action]);
+      } else if (row.type === 'scale') {
+        row.value.text = `< ${Math.round(settings.uiScale * 100)}% >`;
+      } else if (row.type === 'toggle') {
+        row.value.text = settings[row.setting] ? 'On' : 'Off';
+      } else {
+        const volume = settings.volume[row.channel];
+        row.value.text = `${Math.round(volume * 100)}%`;
+        row.fill.width = row.barWidth * volume;
+      }
+    });
+  }
+
+  /**
+   * Apply and store a change (see updateSettings); the profile is saved on close
+   * @param {Object} changes
+   * @param {boolean} [refresh] - Rebuild the pause scene on close
+   */
+  function changeSettings(changes, refresh = false) {
+    updateSettings(changes);
+    settingsChanged = true;
+    needsRefresh = needsRefresh || refresh;
+    updateSettingsRows();
+  }
+
+  function resetAllSettings() {
+    resetSettings();
+    settingsChanged = true;
+    needsRefresh = true;
+    updateSettingsRows();
+  }
+
+  // Enter / A / click on the selected row
+  function activateSetting() {
+    const row = settingsRows[settingsRowIndex];
+    if (row.type === 'key') {
+      startKeyCapture(row.action);
+    } else if (row.type === 'scale') {
+      const next = (UI_SCALE_STEPS.indexOf(getSettings().uiScale) + 1) % UI_SCALE_STEPS.length;
+      changeSettings({ uiScale: UI_SCALE_STEPS[next] }, true);
+    } else if (row.type === 'toggle') {
+      changeSettings({ [row.setting]: !getSettings()[row.setting] });
+    } else {
+      adjustSetting(1);
+    }
+  }
+
+  // Left/Right on the selected row
+  function adjustSetting(step) {
+    const row = settingsRows[settingsRowIndex];
+    const settings = getSettings();
+    if (row.type === 'scale') {
+      const index = UI_SCALE_STEPS.indexOf(settings.uiScale) + step;
+      if (index < 0 || index >= UI_SCALE_STEPS.length) return;
+      changeSettings({ uiScale: UI_SCALE_STEPS[index] }, true);
+    } else if (row.type === 'toggle') {
+      changeSettings({ [row.setting]: step > 0 });
+    } else if (row.type === 'volume') {
+      setVolumeSetting(row.channel, settings.volume[row.channel] + step * VOLUME_STEP);
+    }
+  }
+
+  function setVolumeSetting(channel, volume) {
+    // Whole steps, so repeated adjusting doesn't drift
+    const rounded = Math.round(Math.min(Math.max(volume, 0), 1) * 10) / 10;
+    changeSettings({ volume: { ...getSettings().volume, [channel]: rounded } });
+  }
+
+  // Wait for the next bindable key and bind the action to it
+  function startKeyCapture(action) {
+    if (keyCapture) return;
+    keyCaptureStartedAt = time();
+    keyCapture = onKeyPress((key) => {
+      // Started from Enter: handlers added mid-event still get that same press
+      if (time() === keyCaptureStartedAt) return;
+      // Not bindable (arrows, Esc...): keep waiting; Esc cancels through back()
+      if (!isBindableKey(key)) return;
+      endKeyCapture();
+      const keys = setKeyBinding(action, key);
+      if (keys) changeSettings({ keys }, true);
+    });
+    settingsHandlers.push(keyCapture);
+    updateSettingsRows();
+  }
+
+  function endKeyCapture() {
+    keyCapture.cancel();
+    keyCapture = null;
+    keyCaptureEndedAt = time();
+    updateSettingsRows();
+  }
+
+  /**
+   * Stop waiting for a key, if we were
+   * @returns {boolean} Whether a capture was cancelled
+   */
+  function cancelKeyCapture() {
+    if (!keyCapture) return false;
+    endKeyCapture();
+    return true;
+  }
+
+  // Also true for the rest of the frame that bound a key, so the same key
+  // press doesn't reach the other handlers (Enter, R) as well
+  function isCapturingKey() {
+    return keyCapture !== null || keyCaptureEndedAt === time();
+  }
+
+  // === GAMEPAD REMAPPING MODAL ===
+  const gamepadObjects = [];
+  let gamepadHandlers = []; // Key and update handlers, cancelled on close
+  let gamepadRows = [];
+  let gamepadRowIndex = 0;
+  let stopCapture = null; // Set while waiting for a button press
+
+  function showGamepadMenu() {
+    isGamepadMenuOpen = true;
+    gamepadRowIndex = 0;
+
+    const modalW = 300 * S;
+    const rowH = 28 * S;
+    const left = width() / 2 - modalW / 2;
+    const top = height() / 2 - 110 * S;
+
+    gamepadObjects.push(
+      add([rect(width(), height()), pos(0, 0), color(0, 0, 0), opacity(0.95), fixed(), z(100)])
+    );
+
+    gamepadObjects.push(
+      add([
+        text('GAMEPAD', { size: 24 * S }),
+        pos(width() / 2, top),
+        anchor('center'),
+        color(...COLORS.gold),
+        fixed(),
+        z(101),
+      ])
+    );
+
+    const statusText = add([
+      text('', { size: 10 * S }),
+      pos(width() / 2, top + 28 * S),
+      anchor('center'),
+      color(150, 150, 150),
+      fixed(),
+      z(101),
+    ]);
+    gamepadObjects.push(statusText);
+
+    gamepadObjects.push(
+      add([
+        text('Left stick / D-pad', { size: 12 * S }),
+        pos(left + 12 * S, top + 56 * S),
+        anchor('left'),
+        color(150, 150, 150),
+        fixed(),
+        z(101),
+      ]),
+      add([
+        text('Move', { size: 12 * S }),
+        pos(left + modalW - 12 * S, top + 56 * S),
+        anchor('right'),
+        color(150, 150, 150),
+        fixed(),
+        z(101),
+      ])
+    );
+
+    gamepadRows = GAMEPAD_ACTIONS.map(({ action, label }, i) => {
+      const rowY = top + 76 * S + i * (rowH + 6 * S);
+      const card = add([
+        rect(modalW, rowH),
+        pos(left, rowY),
+        color(20, 20, 20),
+        outline(2, rgb(60, 60, 60)),
+        area(),
+        fixed(),
+        z(101),
+      ]);
+      const name = add([
+        text(label, { size: 12 * S }),
+        pos(left + 12 * S, rowY + rowH / 2),
+        anchor('left'),
+        color(...COLORS.white),
+        fixed(),
+        z(102),
+      ]);
+      const value = add([
+        text('', { size: 12 * S }),
+        pos(left + modalW - 12 * S, rowY + rowH / 2),
+        anchor('right'),
+        color(...COLORS.gold),
+        fixed(),
+        z(102),
+      ]);
+      gamepadObjects.push(card, name, value);
+
+      card.onClick(() => {
+        cancelRemap();
+        gamepadRowIndex = i;
+        startRemap();
+      });
+
+      return { action, card, value };
+    });
+
+    const buttonsY = top + 76 * S + GAMEPAD_ACTIONS.length * (rowH + 6 * S) + 30 * S;
+
+    const resetBtn = add([
+      rect(100 * S, 32 * S),
+      pos(width() / 2 - 60 * S, buttonsY),
+      anchor('center'),
+      color(40, 40, 40),
+      outline(2, rgb(100, 100, 100)),
+      area(),
+      fixed(),
+      z(101),
+    ]);
+    const doneBtn = add([
+      rect(100 * S, 32 * S),
+      pos(width() / 2 + 60 * S, buttonsY),
+      anchor('center'),
+      color(...COLORS.gold),
+      area(),
+      fixed(),
+      z(101),
+    ]);
+    gamepadObjects.push(
+      resetBtn,
+      doneBtn,
+      add([
+        text('Reset (R)', { size: 12 * S }),
+        pos(width() / 2 - 60 * S, buttonsY),
+        anchor('center'),
+        color(150, 150, 150),
+        fixed(),
+        z(102),
+      ]),
+      add([
+        text('Done', { size: 14 * S }),
+        pos(width() / 2 + 60 * S, buttonsY),
+        anchor('center'),
+        color(...COLORS.dark),
+        fixed(),
+        z(102),
+      ]),
+      add([
+        text('Up/Down: pick | Enter/A: remap | Esc/B: back', { size: 9 * S }),
+        pos(width() / 2, buttonsY + 34 * S),
+        anchor('center'),
+        color(120, 120, 120),
+        fixed(),
+        z(101),
+      ])
+    );
+
+    resetBtn.onClick(resetGamepad);
+    doneBtn.onClick(hideGamepadMenu);
+
+    const moveRow = (step) => {
+      if (stopCapture) return;
+      gamepadRowIndex = (gamepadRowIndex + step + gamepadRows.length) % gamepadRows.length;
+      updateGamepadRows();
+    };
+
+    // Stick / D-pad (through virtualInput) steps through the rows like the arrow keys
+    let stickUp = false;
+    let stickDown = false;
+
+    gamepadHandlers.push(
+      onKeyPress('up', () => moveRow(-1)),
+      onKeyPress('down', () => moveRow(1)),
+      onKeyPress('r', resetGamepad),
+      onUpdate(() => {
+        if (virtualInput.up && !stickUp) moveRow(-1);
+        if (virtualInput.down && !stickDown) moveRow(1);
+        stickUp = virtualInput.up;
+        stickDown = virtualInput.down;
+
+        statusText.text = isGamepadConnected()
+          ? 'Controller connected'
+          : 'No controller - connect one and press a button';
+      })
+    );
+
+    updateGamepadRows();
+  }
+
+  function hideGamepadMenu() {
+    cancelRemap();
+    isGamepadMenuOpen = false;
+    gamepadObjects.forEach((obj) => destroy(obj));
+    gamepadObjects.length = 0;
+    gamepadRows = [];
+    gamepadHandlers.forEach((handler) => handler.cancel());
+    gamepadHandlers = [];
+  }
+
+  function updateGamepadRows() {
+    const bindings = getGamepadBindings();
+    gamepadRows.forEach(({ action, card, value }, i) => {
+      const isSelected = i === gamepadRowIndex;
+      card.color = isSelected ? rgb(40, 35, 20) : rgb(20, 20, 20);
+      card.outline.color = isSelected ? rgb(...COLORS.gold) : rgb(60, 60, 60);
+      value.text =
+        isSelected && stopCapture ? 'Press a button...' : getGamepadButtonName(bindings[action]);
+    });
+  }
+
+  // Wait for the next gamepad button and bind the selected action to it
+  function startRemap() {
+    if (stopCapture) return;
+    const { action } = gamepadRows[gamepadRowIndex];
+    stopCapture = captureGamepadButton((button) => {
+      stopCapture = null;
+      saveGamepad(setGamepadBinding(action, button));
+      updateGamepadRows();
+    });
+    updateGamepadRows();
+  }
+
+  /**
+   * Stop waiting for a button, if we were
+   * @returns {boolean} Whether a remap was cancelled
+   */
+  function cancelRemap() {
+    if (!stopCapture) return false;
+    stopCapture();
+    stopCapture = null;
+    updateGamepadRows();
+    return true;
+  }
+
+  function resetGamepad() {
+    cancelRemap();
+    saveGamepad(resetGamepadBindings());
+    updateGamepadRows();
+  }
+
+  function saveGamepad(bindings) {
+    saveGamepadBindings(bindings).catch((e) => {
+      console.error('[Auth] Failed to save gamepad bindings:', e);
+    });
+  }
+
   // === LOGIN MODAL ===
   const loginModalObjects = [];
   let loginKeyHandler = null;
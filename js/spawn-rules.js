@@ -0,0 +1,127 @@
+/**
+ * EPCVIP Tools Hub - Fritelle Spawn Rules
+ *
+ * Where fritelles may appear, how many are out at once and how often one is
+ * golden. The rules live in each map's `spawns` section (edited in the map
+ * editor's Spawns mode) and this module reads them for both the game client
+ * (js/entities/collectible.js) and the multiplayer server (server/src/index.ts,
+ * loaded like js/protocol.js), so the two always place fritelles the same way.
+ *
+ * Map format (x/y/width/height in tiles, like map entities):
+ *   "spawns": {
+ *     "maxCount": 8,
+ *     "goldenChance": 0.04,
+ *     "zones": [{ "id": "z1", "kind": "spawn", "x": 4, "y": 20, "width": 10, "height": 6 }]
+ *   }
+ *
+ * Fritelles spawn inside "spawn" zones and never inside "exclude" zones. A map
+ * without spawn zones uses the whole map minus a small edge margin.
+ */
+
+export const DEFAULT_SPAWN_RULES = { maxCount: 8, goldenChance: 0.04 };
+
+export const ZONE_KINDS = ['spawn', 'exclude'];
+
+export const MAX_SPAWN_COUNT = 50;
+
+const EDGE_MARGIN_TILES = 2;
+const MAX_ATTEMPTS = 50;
+
+function isValidZone(zone) {
+  return (
+    zone &&
+    ZONE_KINDS.includes(zone.kind) &&
+    [zone.x, zone.y, zone.width, zone.height].every(Number.isFinite) &&
+    zone.width > 0 &&
+    zone.height > 0
+  );
+}
+
+function toPixels(zone, tileSize) {
+  return {
+    x: zone.x * tileSize,
+    y: zone.y * tileSize,
+    width: zone.width * tileSize,
+    height: zone.height * tileSize,
+  };
+}
+
+/**
+ * Read a map's spawn rules, with zones converted to world pixels
+ * Missing or invalid values fall back to DEFAULT_SPAWN_RULES; invalid zones are skipped.
+ * @param {{width: number, height: number, spawns?: object}} mapData - Map JSON (size in tiles)
+ * @param {number} tileSize - World pixels per map tile (GAME_CONFIG.tileSize)
+ * @returns {{maxCount: number, goldenChance: number, spawnZones: object[], exclusions: object[]}}
+ */
+export function getSpawnRules(mapData, tileSize) {
+  const spawns = mapData.spawns || {};
+  const maxCount = Number.isInteger(spawns.maxCount)
+    ? Math.min(Math.max(spawns.maxCount, 0), MAX_SPAWN_COUNT)
+    : DEFAULT_SPAWN_RULES.maxCount;
+  const goldenChance =
+    Number.isFinite(spawns.goldenChance) && spawns.goldenChance >= 0 && spawns.goldenChance <= 1
+      ? spawns.goldenChance
+      : DEFAULT_SPAWN_RULES.goldenChance;
+
+  const zones = Array.isArray(spawns.zones) ? spawns.zones.filter(isValidZone) : [];
+  const spawnZones = zones.filter((z) => z.kind === 'spawn').map((z) => toPixels(z, tileSize));
+  const exclusions = zones.filter((z) => z.kind === 'exclude').map((z) => toPixels(z, tileSize));
+
+  if (spawnZones.length === 0) {
+    spawnZones.push(
+      toPixels(
+        {
+          x: EDGE_MARGIN_TILES,
+          y: EDGE_MARGIN_TILES,
+          width: mapData.width - EDGE_MARGIN_TILES * 2,
+          height: mapData.height - EDGE_MARGIN_TILES * 2,
+        },
+        tileSize
+      )
+    );
+  }
+
+  return { maxCount, goldenChance, spawnZones, exclusions };
+}
+
+function containsPoint(rect, x, y) {
+  return x >= rect.x && x <= rect.x + rect.width && y >= rect.y && y <= rect.y + rect.height;
+}
+
+/**
+ * Is a world position inside one of the exclusion zones?
+ */
+export function isExcluded(rules, x, y) {
+  return rules.exclusions.some((rect) => containsPoint(rect, x, y));
+}
+
+/**
+ * Pick a random spawn position
+ * Zones are picked in proportion to their area, so density is even across zones.
+ * @param {object} rules - From getSpawnRules
+ * @param {(x: number, y: number) => boolean} [isBlocked] - Extra check, e.g. building collision
+ * @param {() => number} [random] - Random source in [0, 1)
+ * @returns {{x: number, y: number} | null} Null if no free spot was found
+ */
+export function pickSpawnPosition(rules, isBlocked = () => false, random = Math.random) {
+  const zones = rules.spawnZones.filter((z) => z.width > 0 && z.height > 0);
+  const totalArea = zones.reduce((sum, z) => sum + z.width * z.height, 0);
+  if (totalArea === 0) return null;
+
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    let pick = random() * totalArea;
+    const zone = zones.find((z) => (pick -= z.width * z.height) < 0) || zones[zones.length - 1];
+
+    const x = zone.x + random() * zone.width;
+    const y = zone.y + random() * zone.height;
+    if (!isExcluded(rules, x, y) && !isBlocked(x, y)) return { x, y };
+  }
+  return null;
+}
+
+/**
+ * Roll whether a new fritelle is golden
+ */
+export function rollGolden(rules, random = Math.random) {
+  return random() < rules.goldenChance;
+}
@@ -1,11 +1,16 @@
 /**
  * Audio System
  *
- * Manages sound effects with mute toggle.
- * Persists mute state in localStorage.
+ * Manages sound effects with mute toggle and per-channel volume.
+ * Persists mute state in localStorage (volume is saved with the settings,
+ * see settings.js).
  */
 
+// Volume channels: your own pickups, throws and rush alerts, and other players' pickups
+export const VOLUME_CHANNELS = ['effects', 'players'];
+
 let muted = localStorage.getItem('soundMuted') === 'true';
+const volumes = { effects: 1, players: 1 };
 
 /**
  * Check if sound is muted
@@ -24,11 +29,30 @@ export function toggleMute() {
 }
 
 /**
- * Play a sound if not muted
+ * Get a channel's volume (0-1)
+ */
+export function getVolume(channel) {
+  return volumes[channel];
+}
+
+/**
+ * Set a channel's volume (clamped to 0-1)
+ */
+export function setVolume(channel, volume) {
+  if (!(channel in volumes)) return;
+  volumes[channel] = Math.min(Math.max(Number(volume) || 0, 0), 1);
+}
+
+/**
+ * Play a sound if not muted, scaled by its channel's volume
+ * @param {string} name
+ * @param {Object} [options] - KaPlay play() options
+ * @param {'effects'|'players'} [channel]
  */
-export function playSound(name, options = {}) {
-  if (!muted) {
-    play(name, options);
+export function playSound(name, options = {}, channel = 'effects') {
+  const volume = (options.volume ?? 1) * volumes[channel];
+  if (!muted && volume > 0) {
+    play(name, { ...options, volume });
   }
 }
 
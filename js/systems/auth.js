@@ -227,6 +227,24 @@ export async function saveCharacterSelection(characterId) {
   await updateProfile({ character_id: characterId });
 }
 
+/**
+ * Save gamepad bindings to profile
+ * input.js already keeps them in localStorage, so guests have nothing to save.
+ */
+export async function saveGamepadBindings(bindings) {
+  if (!currentUser) return;
+  await updateProfile({ gamepad_bindings: bindings });
+}
+
+/**
+ * Save settings to profile
+ * settings.js already keeps them in localStorage, so guests have nothing to save.
+ */
+export async function saveSettings(settings) {
+  if (!currentUser) return;
+  await updateProfile({ settings });
+}
+
 /**
  * Get saved character selection
  */
@@ -271,6 +289,20 @@ function notifyListeners() {
   }
 }
 
+/**
+ * Get the current session's access token (null for guests)
+ * Used to identify the player to the multiplayer server.
+ */
+export async function getAccessToken() {
+  const client = getSupabase();
+  if (!client) return null;
+
+  const {
+    data: { session },
+  } = await client.auth.getSession();
+  return session?.access_token || null;
+}
+
 /**
  * Get Supabase client for direct queries (e.g., stats)
  */
@@ -12,18 +12,29 @@ let cameraY = 0;
 
 /**
  * Update camera to follow a target position (usually player)
- * Centers on target, clamped to world bounds
+ * Centers on target, clamped to world bounds. A world smaller than the
+ * viewport (a building interior) is centered instead.
+ * @param {{width: number, height: number}} [world] - Defaults to the overworld size
  */
-export function updateCamera(targetPos) {
-  const { width, height, worldWidth, worldHeight } = GAME_CONFIG;
+export function updateCamera(
+  targetPos,
+  world = { width: GAME_CONFIG.worldWidth, height: GAME_CONFIG.worldHeight }
+) {
+  const { width, height } = GAME_CONFIG;
 
   // Target: center player in viewport
   const targetX = targetPos.x - width / 2;
   const targetY = targetPos.y - height / 2;
 
   // Clamp to world bounds
-  cameraX = Math.max(0, Math.min(targetX, worldWidth - width));
-  cameraY = Math.max(0, Math.min(targetY, worldHeight - height));
+  cameraX =
+    world.width <= width
+      ? (world.width - width) / 2
+      : Math.max(0, Math.min(targetX, world.width - width));
+  cameraY =
+    world.height <= height
+      ? (world.height - height) / 2
+      : Math.max(0, Math.min(targetY, world.height - height));
 
   // Apply to KaPlay camera
   // camPos takes the center of the viewport
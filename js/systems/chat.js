@@ -0,0 +1,180 @@
+/**
+ * Chat System
+ *
+ * Chat log overlay for the overworld: an HTML panel over the canvas with
+ * recent messages and an input line. Opened with the chat key (see
+ * KEY_BINDINGS in input.js); Tab switches between the global and proximity
+ * channels, Enter sends, Escape closes.
+ *
+ * Names and message text come from other players, so they are HTML-escaped
+ * before going into the log.
+ */
+
+export const MAX_CHAT_LENGTH = 200; // Same limit as the server's message schema
+const MAX_LOG_LINES = 100;
+
+export const CHAT_CHANNELS = ['global', 'proximity'];
+const CHANNEL_LABELS = {
+  global: 'All',
+  proximity: 'Nearby',
+};
+
+let overlay = null;
+let logElement = null;
+let inputElement = null;
+let channelButton = null;
+let channel = 'global';
+let sendHandler = null;
+
+/**
+ * Escape text for insertion into HTML
+ */
+export function escapeHtml(value) {
+  return String(value).replace(
+    /[&<>"']/g,
+    (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]
+  );
+}
+
+/**
+ * Create the overlay (once) and set where typed messages are sent
+ * @param {(channel: string, text: string) => boolean} onSend - Returns false if not sent
+ */
+export function initChat(onSend) {
+  sendHandler = onSend;
+  if (overlay) return; // The DOM outlives scenes; only the handler changes
+
+  overlay = document.createElement('div');
+  overlay.className = 'chat-overlay';
+  overlay.hidden = true;
+
+  logElement = document.createElement('div');
+  logElement.className = 'chat-log';
+
+  const inputRow = document.createElement('div');
+  inputRow.className = 'chat-input-row';
+
+  channelButton = document.createElement('button');
+  channelButton.type = 'button';
+  channelButton.className = 'chat-channel';
+  channelButton.title = 'Switch channel (Tab)';
+  channelButton.addEventListener('click', () => {
+    toggleChannel();
+    inputElement.focus();
+  });
+
+  inputElement = document.createElement('input');
+  inputElement.type = 'text';
+  inputElement.className = 'chat-input';
+  inputElement.maxLength = MAX_CHAT_LENGTH;
+  inputElement.placeholder = 'Say something... (Enter to send, Esc to close)';
+  inputElement.addEventListener('keydown', handleInputKey);
+  // Key releases shouldn't reach the game either
+  inputElement.addEventListener('keyup', (e) => e.stopPropagation());
+
+  inputRow.append(channelButton, inputElement);
+  overlay.append(logElement, inputRow);
+
+  const canvas = document.getElementById('gameCanvas');
+  canvas.insertAdjacentElement('afterend', overlay);
+  updateChannelButton();
+}
+
+function handleInputKey(e) {
+  // Keep game shortcuts (WASD, Space, Escape to pause) out of the chat box
+  e.stopPropagation();
+
+  if (e.key === 'Enter') {
+    const text = inputElement.value.trim();
+    if (!text) {
+      closeChat();
+      return;
+    }
+    if (sendHandler && sendHandler(channel, text)) {
+      inputElement.value = '';
+    } else {
+      addSystemMessage('Not connected - message not sent.');
+    }
+  } else if (e.key === 'Escape') {
+    closeChat();
+  } else if (e.key === 'Tab') {
+    e.preventDefault();
+    toggleChannel();
+  }
+}
+
+function toggleChannel() {
+  const next = (CHAT_CHANNELS.indexOf(channel) + 1) % CHAT_CHANNELS.length;
+  channel = CHAT_CHANNELS[next];
+  updateChannelButton();
+}
+
+function updateChannelButton() {
+  channelButton.textContent = CHANNEL_LABELS[channel];
+  channelButton.dataset.channel = channel;
+}
+
+export function openChat() {
+  if (!overlay) return;
+  overlay.hidden = false;
+  logElement.scrollTop = logElement.scrollHeight;
+  inputElement.focus();
+}
+
+export function closeChat() {
+  if (!overlay) return;
+  overlay.hidden = true;
+  inputElement.blur();
+  document.getElementById('gameCanvas')?.focus();
+}
+
+export function isChatOpen() {
+  return overlay !== null && !overlay.hidden;
+}
+
+function appendLine(html, className) {
+  if (!logElement) return;
+  const atBottom = logElement.scrollHeight - logElement.scrollTop - logElement.clientHeight < 20;
+
+  const line = document.createElement('div');
+  line.className = className;
+  line.innerHTML = html;
+  logElement.append(line);
+
+  while (logElement.childElementCount > MAX_LOG_LINES) {
+    logElement.firstElementChild.remove();
+  }
+  // Don't yank the view away from someone scrolled up reading history
+  if (atBottom) logElement.scrollTop = logElement.scrollHeight;
+}
+
+/**
+ * Add a chat message from the server to the log
+ * @param {{name: string, channel: string, text: string, sentAt: number}} entry
+ */
+export function addChatMessage(entry) {
+  const proximity = entry.channel === 'proximity';
+  const time = new Date(entry.sentAt).toLocaleTimeString([], {
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+  appendLine(
+    `<span class="chat-time">${escapeHtml(time)}</span>` +
+      `<span class="chat-tag">[${proximity ? CHANNEL_LABELS.proximity : CHANNEL_LABELS.global}]</span> ` +
+      `<span class="chat-name">${escapeHtml(entry.name)}:</span> ${escapeHtml(entry.text)}`,
+    proximity ? 'chat-line chat-proximity' : 'chat-line'
+  );
+}
+
+/**
+ * Replace the log with the server's recent history (sent in init)
+ */
+export function setChatHistory(entries) {
+  if (!logElement) return;
+  logElement.replaceChildren();
+  entries.forEach(addChatMessage);
+}
+
+export function addSystemMessage(text) {
+  appendLine(escapeHtml(text), 'chat-line chat-system');
+}
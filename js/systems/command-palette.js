@@ -0,0 +1,262 @@
+/**
+ * Command Palette
+ *
+ * Ctrl+K (Cmd+K on a Mac, see KEY_BINDINGS in input.js) in the overworld:
+ * an HTML search box over the canvas that fuzzy-searches the interactive
+ * buildings on the map plus the apps in the shared header's app switcher
+ * (window.epcHeader.getNavItems, from shared/epc-header.js). A building and
+ * an app with the same URL are one result.
+ *
+ * Enter opens the picked tool (openToolUrl, so Wordle gets its SSO token);
+ * Shift+Enter walks the character to its building instead.
+ */
+
+import { openToolUrl } from '../entities/building.js';
+import { KEY_BINDINGS } from './input.js';
+
+const MAX_RESULTS = 8;
+const BUILDING_ICON = '\u{1F3E0}';
+
+let overlay = null;
+let inputElement = null;
+let resultsElement = null;
+let enabled = false; // Only while the overworld scene runs
+let entries = [];
+let results = [];
+let selected = 0;
+let walkHandler = null;
+
+/**
+ * Set up the palette for the current overworld scene
+ * The DOM and the shortcut listener outlive scenes; the palette is disabled
+ * when the scene ends.
+ * @param {Object} options
+ * @param {Array} options.buildings - Interactables from loadEntities / createBuilding
+ * @param {(building: Object) => void} [options.onWalk] - Walk the player to a building
+ */
+export function initCommandPalette({ buildings, onWalk = null }) {
+  if (!overlay) createOverlay();
+  walkHandler = onWalk;
+  entries = buildEntries(buildings);
+  enabled = true;
+
+  onSceneLeave(() => {
+    closeCommandPalette();
+    enabled = false;
+  });
+}
+
+export function openCommandPalette() {
+  if (!overlay || !enabled) return;
+  overlay.hidden = false;
+  inputElement.value = '';
+  search('');
+  inputElement.focus();
+}
+
+export function closeCommandPalette() {
+  if (!overlay || overlay.hidden) return;
+  overlay.hidden = true;
+  inputElement.blur();
+  document.getElementById('gameCanvas')?.focus();
+}
+
+export function isCommandPaletteOpen() {
+  return overlay !== null && !overlay.hidden;
+}
+
+/**
+ * How well a query matches a name: every query character in order, scoring
+ * more for consecutive characters and word starts
+ * @returns {number|null} Higher is better, null if it doesn't match
+ */
+export function fuzzyScore(query, name) {
+  const needle = query.toLowerCase().replace(/\s+/g, '');
+  const haystack = name.toLowerCase();
+  let score = 0;
+  let from = 0;
+  let previous = -2;
+
+  for (const char of needle) {
+    const found = haystack.indexOf(char, from);
+    if (found === -1) return null;
+    score += 1;
+    if (found === previous + 1) score += 2;
+    if (found === 0 || /[\s\-_./]/.test(haystack[found - 1])) score += 3;
+    previous = found;
+    from = found + 1;
+  }
+
+  return score;
+}
+
+/**
+ * Buildings first (they can be walked to), then the other apps
+ * @returns {Array<{id: string, label: string, icon: string, url: string|null,
+ *   names: string[], building: Object|null}>}
+ */
+function buildEntries(buildings) {
+  const list = buildings
+    .filter((b) => b.toolName && b.isLive)
+    .map((b) => ({
+      id: b.toolId,
+      label: b.toolName,
+      icon: BUILDING_ICON,
+      url: b.toolUrl || null,
+      names: [b.toolName],
+      building: b,
+    }));
+
+  const navItems = window.epcHeader?.getNavItems?.() || [];
+  for (const item of navItems) {
+    const same = list.find((entry) => entry.url && sameUrl(entry.url, item.url));
+    if (same) {
+      same.icon = item.icon;
+      same.names.push(item.label);
+      continue;
+    }
+    list.push({
+      id: item.id,
+      label: item.label,
+      icon: item.icon,
+      url: item.url,
+      names: [item.label],
+      building: null,
+    });
+  }
+
+  return list;
+}
+
+function sameUrl(a, b) {
+  return a.replace(/\/+$/, '') === b.replace(/\/+$/, '');
+}
+
+function search(query) {
+  results = entries
+    .map((entry, order) => {
+      const scores = entry.names.map((name) => fuzzyScore(query, name)).filter((s) => s !== null);
+      return scores.length > 0 ? { entry, order, score: Math.max(...scores) } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score || a.order - b.order)
+    .slice(0, MAX_RESULTS)
+    .map((match) => match.entry);
+  selected = 0;
+  renderResults();
+}
+
+function pick(entry, walk) {
+  if (!entry) return;
+  const canWalk = entry.building && walkHandler;
+  if (walk && !canWalk) return;
+
+  closeCommandPalette();
+  if (walk || !entry.url) {
+    if (canWalk) walkHandler(entry.building);
+  } else {
+    openToolUrl(entry.id, entry.url);
+  }
+}
+
+function createOverlay() {
+  overlay = document.createElement('div');
+  overlay.className = 'command-palette';
+  overlay.hidden = true;
+
+  inputElement = document.createElement('input');
+  inputElement.type = 'text';
+  inputElement.className = 'command-palette-input';
+  inputElement.placeholder = 'Search tools...';
+  inputElement.addEventListener('input', () => search(inputElement.value));
+  inputElement.addEventListener('keydown', handleInputKey);
+  // Key releases shouldn't reach the game either
+  inputElement.addEventListener('keyup', (e) => e.stopPropagation());
+
+  resultsElement = document.createElement('ol');
+  resultsElement.className = 'command-palette-results';
+
+  const hint = document.createElement('div');
+  hint.className = 'command-palette-hint';
+  hint.textContent = 'Enter: open | Shift+Enter: walk there | Esc: close';
+
+  overlay.append(inputElement, resultsElement, hint);
+  const canvas = document.getElementById('gameCanvas');
+  canvas.insertAdjacentElement('afterend', overlay);
+
+  // On the document, capturing, so the browser's own Ctrl+K can be prevented
+  // and the shortcut also works from the search box
+  document.addEventListener(
+    'keydown',
+    (e) => {
+      if (!enabled || !(e.ctrlKey || e.metaKey)) return;
+      if (e.key.toLowerCase() !== KEY_BINDINGS.palette) return;
+      e.preventDefault();
+      if (isCommandPaletteOpen()) {
+        closeCommandPalette();
+      } else {
+        openCommandPalette();
+      }
+    },
+    true
+  );
+}
+
+function handleInputKey(e) {
+  // Keep game shortcuts (WASD, Space, Escape to pause) out of the search box
+  e.stopPropagation();
+  if (e.ctrlKey || e.metaKey) return;
+
+  if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+    e.preventDefault();
+    if (results.length === 0) return;
+    selected = (selected + (e.key === 'ArrowDown' ? 1 : -1) + results.length) % results.length;
+    renderResults();
+  } else if (e.key === 'Enter') {
+    pick(results[selected], e.shiftKey);
+  } else if (e.key === 'Escape') {
+    closeCommandPalette();
+  }
+}
+
+function renderResults() {
+  resultsElement.textContent = '';
+
+  if (results.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'command-palette-empty';
+    empty.textContent = 'No matching tools';
+    resultsElement.append(empty);
+    return;
+  }
+
+  results.forEach((entry, i) => {
+    const item = document.createElement('li');
+    item.classList.toggle('selected', i === selected);
+    item.addEventListener('click', () => pick(entry, false));
+
+    const icon = document.createElement('span');
+    icon.className = 'command-palette-icon';
+    icon.textContent = entry.icon;
+
+    const label = document.createElement('span');
+    label.className = 'command-palette-label';
+    label.textContent = entry.label;
+    item.append(icon, label);
+
+    if (entry.building && walkHandler) {
+      const walk = document.createElement('button');
+      walk.type = 'button';
+      walk.className = 'command-palette-walk';
+      walk.textContent = 'Walk';
+      walk.title = `Walk to ${entry.label}`;
+      walk.addEventListener('click', (e) => {
+        e.stopPropagation();
+        pick(entry, true);
+      });
+      item.append(walk);
+    }
+
+    resultsElement.append(item);
+  });
+}
@@ -0,0 +1,142 @@
+/**
+ * Dialog Trees
+ *
+ * Conversation data for NPCs, stored on their map entities as
+ * `properties.dialog` (edited in the map editor):
+ *
+ *   {
+ *     "start": "hello",
+ *     "nodes": {
+ *       "hello": {
+ *         "lines": ["Hi there!", { "text": "Log in to save your progress.", "if": "guest" }],
+ *         "choices": [
+ *           { "text": "Tell me more", "next": "more" },
+ *           { "text": "Open Athena Monitor", "url": "https://athena.epcvip.vip/" },
+ *           { "text": "Bye!" }
+ *         ]
+ *       },
+ *       "more": { "lines": ["..."] }
+ *     }
+ *   }
+ *
+ * Each line is a page (long lines are split); choices show on the last page.
+ * A choice opens its `url`, then goes to its `next` node or ends the
+ * conversation. Lines and choices with an `if` only show when it holds.
+ *
+ * No KaPlay or DOM here so the map editor can validate trees with it.
+ */
+
+export const DEFAULT_START_NODE = 'start';
+export const MAX_PAGE_LENGTH = 160; // characters per page
+
+// `if` values and what they check
+const CONDITIONS = {
+  loggedIn: (context) => context.loggedIn,
+  guest: (context) => !context.loggedIn,
+};
+export const DIALOG_CONDITIONS = Object.keys(CONDITIONS);
+
+/**
+ * Split text into pages at word boundaries
+ */
+export function paginate(text, maxLength = MAX_PAGE_LENGTH) {
+  const pages = [];
+  let page = '';
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    if (page && page.length + 1 + word.length > maxLength) {
+      pages.push(page);
+      page = word;
+    } else {
+      page = page ? `${page} ${word}` : word;
+    }
+  }
+  if (page) pages.push(page);
+  return pages;
+}
+
+function isShown(entry, context) {
+  return !entry.if || CONDITIONS[entry.if]?.(context) === true;
+}
+
+/**
+ * What a node shows for this player
+ * @param {Object} tree - Dialog tree
+ * @param {string} nodeId
+ * @param {{loggedIn: boolean}} context - For `if` conditions
+ * @returns {{pages: string[], choices: Object[]}|null} null if the node doesn't exist
+ */
+export function resolveNode(tree, nodeId, context) {
+  const node = tree.nodes?.[nodeId];
+  if (!node) return null;
+
+  const lines = (node.lines || [])
+    .map((line) => (typeof line === 'string' ? { text: line } : line))
+    .filter((line) => isShown(line, context));
+
+  return {
+    pages: lines.flatMap((line) => paginate(line.text)),
+    choices: (node.choices || []).filter((choice) => isShown(choice, context)),
+  };
+}
+
+/**
+ * Check a dialog tree from map data
+ * @returns {string[]} Problems found (empty if the tree is usable)
+ */
+export function validateDialogTree(tree) {
+  if (!tree || typeof tree !== 'object' || Array.isArray(tree)) {
+    return ['Dialog must be an object with "nodes"'];
+  }
+  const nodes = tree.nodes;
+  if (!nodes || typeof nodes !== 'object' || Array.isArray(nodes)) {
+    return ['"nodes" must be an object of named nodes'];
+  }
+
+  const errors = [];
+  const start = tree.start ?? DEFAULT_START_NODE;
+  if (!nodes[start]) errors.push(`Start node "${start}" does not exist`);
+
+  const checkCondition = (entry, where) => {
+    if (entry.if !== undefined && !DIALOG_CONDITIONS.includes(entry.if)) {
+      errors.push(`${where}: "if" must be one of ${DIALOG_CONDITIONS.join(', ')}`);
+    }
+  };
+
+  for (const [id, node] of Object.entries(nodes)) {
+    if (!node || typeof node !== 'object') {
+      errors.push(`Node "${id}" must be an object`);
+      continue;
+    }
+    if (node.lines !== undefined && !Array.isArray(node.lines)) {
+      errors.push(`Node "${id}": "lines" must be a list`);
+    }
+    (Array.isArray(node.lines) ? node.lines : []).forEach((line, i) => {
+      if (typeof line === 'string') return;
+      if (typeof line?.text !== 'string') {
+        errors.push(`Node "${id}" line ${i + 1}: needs "text"`);
+        return;
+      }
+      checkCondition(line, `Node "${id}" line ${i + 1}`);
+    });
+
+    if (node.choices !== undefined && !Array.isArray(node.choices)) {
+      errors.push(`Node "${id}": "choices" must be a list`);
+    }
+    (Array.isArray(node.choices) ? node.choices : []).forEach((choice, i) => {
+      const where = `Node "${id}" choice ${i + 1}`;
+      if (typeof choice?.text !== 'string') {
+        errors.push(`${where}: needs "text"`);
+        return;
+      }
+      if (choice.next !== undefined && !nodes[choice.next]) {
+        errors.push(`${where}: node "${choice.next}" does not exist`);
+      }
+      if (choice.url !== undefined && typeof choice.url !== 'string') {
+        errors.push(`${where}: "url" must be a string`);
+      }
+      checkCondition(choice, where);
+    });
+  }
+
+  return errors;
+}
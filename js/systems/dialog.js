@@ -3,28 +3,179 @@
  *
  * Manages the dialog box at the bottom of the screen.
  * Uses the HTML dialog box element for better text rendering.
+ *
+ * Besides one-line hints (showDialog), the box runs NPC conversations from
+ * dialog trees (see dialog-tree.js): one page at a time, with the speaker's
+ * portrait and a list of choices on the last page. While a conversation is
+ * open, hints are ignored and the player can't move (see player.js).
  */
 
-export const WELCOME_MESSAGE =
-  'Welcome to the Innovation Lab! Arrow keys to move, ENTER to interact, SPACE to throw.';
+import { KEY_BINDINGS, virtualInput } from './input.js';
+import { DEFAULT_START_NODE, resolveNode } from './dialog-tree.js';
+
+// Portrait: the head and shoulders of a character sheet's first 64x64 frame
+const FRAME_SIZE = 64;
+const PORTRAIT_CROP = { x: 16, y: 12, size: 32 };
+const PORTRAIT_SIZE = 72; // px on screen
 
 let dialogElement = null;
 
+// { speaker, tree, portrait, context, onLink, pages, choices, page, selected }
+let conversation = null;
+
+/**
+ * Set up the dialog box for the current overworld scene
+ * Key handlers are registered with KaPlay, so they end with the scene.
+ * ENTER and the A button reach advanceConversation through the player's interact.
+ */
 export function initDialog() {
   dialogElement = document.getElementById('dialogBox');
+  conversation = null;
   clearDialog();
+
+  ['up', KEY_BINDINGS.up].forEach((key) => onKeyPress(key, () => moveChoice(-1)));
+  ['down', KEY_BINDINGS.down].forEach((key) => onKeyPress(key, () => moveChoice(1)));
+
+  // D-pad: one step per press
+  let dpadUp = false;
+  let dpadDown = false;
+  onUpdate(() => {
+    if (virtualInput.up && !dpadUp) moveChoice(-1);
+    if (virtualInput.down && !dpadDown) moveChoice(1);
+    dpadUp = virtualInput.up;
+    dpadDown = virtualInput.down;
+  });
 }
 
 export function showDialog(message) {
-  if (dialogElement) {
+  if (dialogElement && !conversation) {
+    dialogElement.classList.remove('conversation');
     dialogElement.textContent = message;
     dialogElement.style.opacity = '1';
   }
 }
 
 export function clearDialog() {
-  if (dialogElement) {
+  if (dialogElement && !conversation) {
+    dialogElement.classList.remove('conversation');
     dialogElement.textContent = '';
     dialogElement.style.opacity = '0';
   }
 }
+
+/**
+ * Start a conversation
+ * @param {Object} options
+ * @param {string} options.speaker - Name shown above the text
+ * @param {Object} options.tree - Dialog tree (see dialog-tree.js)
+ * @param {{loggedIn: boolean}} options.context - For `if` conditions
+ * @param {{image: string, cols: number, rows: number}} [options.portrait] - Character sheet
+ * @param {(url: string) => void} [options.onLink] - Opens a choice's url
+ */
+export function openConversation({ speaker, tree, context, portrait = null, onLink = null }) {
+  conversation = { speaker, tree, context, portrait, onLink };
+  goToNode(tree.start ?? DEFAULT_START_NODE);
+}
+
+export function isConversationOpen() {
+  return conversation !== null;
+}
+
+export function closeConversation() {
+  conversation = null;
+  clearDialog();
+}
+
+/**
+ * ENTER / A: next page, or pick the highlighted choice on the last page
+ */
+export function advanceConversation() {
+  if (!conversation) return;
+  if (conversation.page < conversation.pages.length - 1) {
+    conversation.page++;
+    renderConversation();
+  } else {
+    pickChoice(conversation.selected);
+  }
+}
+
+function goToNode(nodeId) {
+  const node = resolveNode(conversation.tree, nodeId, conversation.context);
+  if (!node) {
+    console.warn(`[Dialog] Unknown node: ${nodeId}`);
+    closeConversation();
+    return;
+  }
+  Object.assign(conversation, { pages: node.pages, choices: node.choices, page: 0, selected: 0 });
+  renderConversation();
+}
+
+function onLastPage() {
+  return conversation.page >= conversation.pages.length - 1;
+}
+
+function moveChoice(delta) {
+  if (!conversation || !onLastPage() || conversation.choices.length === 0) return;
+  const count = conversation.choices.length;
+  conversation.selected = (conversation.selected + delta + count) % count;
+  renderConversation();
+}
+
+function pickChoice(index) {
+  const choice = conversation.choices[index];
+  if (choice?.url && conversation.onLink) conversation.onLink(choice.url);
+  if (choice?.next) {
+    goToNode(choice.next);
+  } else {
+    // Also how a node without choices ends
+    closeConversation();
+  }
+}
+
+function renderConversation() {
+  if (!dialogElement) return;
+  const { speaker, portrait, pages, page, choices, selected } = conversation;
+
+  dialogElement.textContent = '';
+  dialogElement.classList.add('conversation');
+  dialogElement.classList.toggle('has-choices', onLastPage() && choices.length > 0);
+  dialogElement.style.opacity = '1';
+
+  if (portrait) dialogElement.append(createPortrait(portrait));
+
+  const content = document.createElement('div');
+  content.className = 'dialog-content';
+
+  const name = document.createElement('div');
+  name.className = 'dialog-speaker';
+  name.textContent = speaker;
+
+  const body = document.createElement('div');
+  body.textContent = pages[page] ?? '';
+  content.append(name, body);
+
+  if (onLastPage() && choices.length > 0) {
+    const list = document.createElement('ol');
+    list.className = 'dialog-choices';
+    choices.forEach((choice, i) => {
+      const item = document.createElement('li');
+      item.textContent = choice.text;
+      item.classList.toggle('selected', i === selected);
+      item.addEventListener('click', () => pickChoice(i));
+      list.append(item);
+    });
+    content.append(list);
+  }
+
+  dialogElement.append(content);
+}
+
+function createPortrait({ image, cols, rows }) {
+  const zoom = PORTRAIT_SIZE / PORTRAIT_CROP.size;
+  const portrait = document.createElement('div');
+  portrait.className = 'dialog-portrait';
+  portrait.style.backgroundImage = `url("${image}")`;
+  portrait.style.backgroundSize = `${cols * FRAME_SIZE * zoom}px ${rows * FRAME_SIZE * zoom}px`;
+  portrait.style.backgroundPosition = `-${PORTRAIT_CROP.x * zoom}px -${PORTRAIT_CROP.y * zoom}px`;
+  return portrait;
+}
@@ -0,0 +1,196 @@
+/**
+ * Emote System
+ *
+ * Emote wheel and emote playback for the overworld. The emotes themselves
+ * are data (EMOTES in config.js): an icon drawn above the player and the name
+ * of one of the animations below. Picking one from the wheel plays it on the
+ * local player and sends it to the server, which relays it to players in range
+ * (multiplayer.js plays those on the remote player's sprite).
+ *
+ * The wheel opens with the emote key (see KEY_BINDINGS in input.js) or by
+ * holding the B button; number keys, clicks and taps pick an emote.
+ */
+
+import { COLORS, EMOTES } from '../config.js';
+
+const EMOTE_SECONDS = 2;
+const EMOTE_OFFSET_Y = 88; // Above the name label, level with chat bubbles
+const WHEEL_RADIUS = 110;
+const SLOT_SIZE = 56;
+
+// Animation per t (0-1 through the emote): vertical offset, scale and angle
+const EMOTE_ANIMATIONS = {
+  bounce: (t) => ({ dy: -Math.abs(Math.sin(t * Math.PI * 4)) * 10, scale: 1, angle: 0 }),
+  float: (t) => ({ dy: -t * 20, scale: 1, angle: 0 }),
+  pulse: (t) => ({ dy: 0, scale: 1 + 0.25 * Math.sin(t * Math.PI * 6), angle: 0 }),
+  shake: (t) => ({ dy: 0, scale: 1, angle: Math.sin(t * Math.PI * 8) * 20 }),
+  pop: (t) => ({
+    dy: 0,
+    scale: t < 0.1 ? (t / 0.1) * 1.4 : Math.max(1, 1.4 - (t - 0.1) * 4),
+    angle: 0,
+  }),
+  spin: (t) => ({ dy: 0, scale: 1, angle: t * 360 }),
+};
+
+const activeEmotes = new WeakMap(); // target entity -> emote icon entity
+
+let wheelPlayer = null;
+let selectHandler = null;
+
+/**
+ * Play an emote above a player sprite (local or remote)
+ * Unknown ids are ignored, so clients with an older EMOTES table don't break.
+ * @param {object} target - Player sprite entity
+ * @param {string} emoteId - Id from EMOTES
+ */
+export function playEmote(target, emoteId) {
+  const emote = EMOTES.find((e) => e.id === emoteId);
+  if (!emote || !target?.exists()) return;
+
+  // A new emote replaces the one still playing on this player
+  const previous = activeEmotes.get(target);
+  if (previous?.exists()) destroy(previous);
+
+  const animate = EMOTE_ANIMATIONS[emote.animation] || EMOTE_ANIMATIONS.pop;
+  const icon = add([
+    text(emote.icon, { size: 28 }),
+    pos(target.pos.x, target.pos.y - EMOTE_OFFSET_Y),
+    anchor('bot'),
+    scale(1),
+    rotate(0),
+    opacity(1),
+    z(17),
+    'emote',
+  ]);
+  activeEmotes.set(target, icon);
+
+  let elapsed = 0;
+  icon.onUpdate(() => {
+    elapsed += dt();
+    const t = elapsed / EMOTE_SECONDS;
+    if (t >= 1 || !target.exists()) {
+      destroy(icon);
+      return;
+    }
+    const frame = animate(t);
+    icon.pos = vec2(target.pos.x, target.pos.y - EMOTE_OFFSET_Y + frame.dy);
+    icon.scale = vec2(frame.scale);
+    icon.angle = frame.angle;
+    icon.opacity = t > 0.75 ? (1 - t) / 0.25 : 1; // Fade out over the last quarter
+  });
+}
+
+/**
+ * Set up the wheel for the current overworld scene
+ * Key and click handlers are registered with KaPlay, so they end with the scene.
+ * @param {object} player - Local player entity (the wheel only opens while it exists)
+ * @param {(emoteId: string) => void} onSelect - Called with the picked emote
+ */
+export function initEmoteWheel(player, onSelect) {
+  wheelPlayer = player;
+  selectHandler = onSelect;
+
+  EMOTES.slice(0, 9).forEach((emote, i) => {
+    onKeyPress(`${i + 1}`, () => {
+      if (isEmoteWheelOpen()) selectEmote(emote.id);
+    });
+  });
+
+  onClick('emote-slot', (slot) => selectEmote(slot.emoteId));
+  onHover('emote-slot', (slot) => {
+    slot.outline.color = rgb(255, 255, 200);
+    const caption = get('emote-caption')[0];
+    if (caption) caption.text = slot.emoteName;
+  });
+  onHoverEnd('emote-slot', (slot) => {
+    slot.outline.color = rgb(...COLORS.gold);
+  });
+}
+
+export function isEmoteWheelOpen() {
+  return get('emote-wheel').length > 0;
+}
+
+export function openEmoteWheel() {
+  if (isEmoteWheelOpen() || !wheelPlayer?.exists()) return;
+
+  const center = vec2(width() / 2, height() / 2);
+  add([
+    circle(WHEEL_RADIUS + SLOT_SIZE / 2 + 12),
+    pos(center),
+    anchor('center'),
+    color(...COLORS.dark),
+    opacity(0.6),
+    fixed(),
+    z(200),
+    'emote-wheel',
+  ]);
+  add([
+    text('Emote', { size: 14 }),
+    pos(center),
+    anchor('center'),
+    color(...COLORS.white),
+    fixed(),
+    z(201),
+    'emote-wheel',
+    'emote-caption',
+  ]);
+
+  EMOTES.forEach((emote, i) => {
+    // First slot at the top, then clockwise
+    const angle = (i / EMOTES.length) * Math.PI * 2 - Math.PI / 2;
+    const slotPos = center.add(vec2(Math.cos(angle), Math.sin(angle)).scale(WHEEL_RADIUS));
+
+    const slot = add([
+      rect(SLOT_SIZE, SLOT_SIZE, { radius: 8 }),
+      pos(slotPos),
+      anchor('center'),
+      color(...COLORS.dark),
+      outline(2, rgb(...COLORS.gold)),
+      area(),
+      fixed(),
+      z(201),
+      'emote-wheel',
+      'emote-slot',
+    ]);
+    slot.emoteId = emote.id;
+    slot.emoteName = emote.name;
+
+    add([
+      text(emote.icon, { size: 28 }),
+      pos(slotPos),
+      anchor('center'),
+      fixed(),
+      z(202),
+      'emote-wheel',
+    ]);
+    if (i < 9) {
+      add([
+        text(`${i + 1}`, { size: 10 }),
+        pos(slotPos.add(SLOT_SIZE / 2 - 8, -SLOT_SIZE / 2 + 8)),
+        anchor('center'),
+        color(...COLORS.gold),
+        fixed(),
+        z(202),
+        'emote-wheel',
+      ]);
+    }
+  });
+}
+
+export function closeEmoteWheel() {
+  get('emote-wheel').forEach(destroy);
+}
+
+export function toggleEmoteWheel() {
+  if (isEmoteWheelOpen()) {
+    closeEmoteWheel();
+  } else {
+    openEmoteWheel();
+  }
+}
+
+function selectEmote(emoteId) {
+  closeEmoteWheel();
+  if (selectHandler) selectHandler(emoteId);
+}
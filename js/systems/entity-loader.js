@@ -1,7 +1,7 @@
 /**
  * Entity Loader
  *
- * Converts map JSON entities into game objects (buildings, decorations, trees).
+ * Converts map JSON entities into game objects (buildings, decorations, trees, NPCs).
  * Single source of truth: map editor → game runtime.
  *
  * This bridges the map editor output with the game's building system,
@@ -10,6 +10,9 @@
 
 import { getAssetById, ASSET_LIBRARY } from '../../tools/js/asset-library.js';
 import { createBuilding } from '../entities/building.js';
+import { createNpc } from '../entities/npc.js';
+import { pollToolStatus, getToolStatus } from './tool-status.js';
+import { GAME_CONFIG, BUILDING_SPRITE_SCALE, NPC_FOOTPRINT_TILES, NPC_BODY } from '../config.js';
 
 // Entity types that are rendered as interactive buildings (reserved for type filtering)
 const _BUILDING_TYPES = ['building', 'buildings'];
@@ -24,7 +27,8 @@ function getAnyAssetById(assetId) {
   return (
     getAssetById('buildings', assetId) ||
     getAssetById('decorations', assetId) ||
-    getAssetById('trees', assetId)
+    getAssetById('trees', assetId) ||
+    getAssetById('npcs', assetId)
   );
 }
 
@@ -32,12 +36,12 @@ function getAnyAssetById(assetId) {
  * Load all entities from map data and create game objects
  *
  * @param {Object} mapData - Map data loaded from JSON
- * @returns {Array} - Array of created building/decoration entities
+ * @returns {Array} - Array of created building/decoration/NPC entities
  */
 export function loadEntities(mapData) {
   const entities = mapData.entities || [];
 
-  return entities
+  const gameEntities = entities
     .map((entity) => {
       const gameEntity = createEntityFromMapData(entity);
       if (!gameEntity) {
@@ -46,6 +50,25 @@ export function loadEntities(mapData) {
       return gameEntity;
     })
     .filter(Boolean); // Remove nulls from failed creations
+
+  pollBuildingStatus(gameEntities.filter((e) => e.statusKey));
+
+  return gameEntities;
+}
+
+/**
+ * Keep buildings with a statusKey showing their tool's live status
+ */
+function pollBuildingStatus(monitored) {
+  if (monitored.length === 0) return;
+
+  pollToolStatus((statuses) => {
+    monitored.forEach((building) => {
+      if (!building.exists()) return; // Answer arrived after the scene ended
+      const { status, lastIncidentAt } = getToolStatus(statuses, building.statusKey);
+      building.setStatus(status, lastIncidentAt);
+    });
+  });
 }
 
 /**
@@ -63,7 +86,17 @@ function createEntityFromMapData(entity) {
     return null;
   }
 
-  // All entity types currently use createBuilding
+  if (entity.type === 'npcs') {
+    return createNpc({
+      id: entity.id,
+      name: entity.properties?.name || asset.name,
+      sprite: asset.spriteName,
+      position: { x: entity.x, y: entity.y },
+      dialog: entity.properties?.dialog,
+    });
+  }
+
+  // Everything else uses createBuilding
   // This creates a sprite with collision and optional interaction
   return createBuildingFromAsset(entity, asset);
 }
@@ -108,6 +141,8 @@ function createBuildingFromAsset(entity, asset) {
     spriteHeight: height,
     collisionShapes: asset.collisionShapes || [{ type: 'rect', x: 0, y: 0, w: 1, h: 1 }],
     live: entity.properties?.interactive ?? true,
+    interior: entity.properties?.interior || null,
+    statusKey: entity.properties?.statusKey || null,
 
     // Extended properties for sprite sheet support
     pieceId: entity.pieceId || null,
@@ -119,6 +154,62 @@ function createBuildingFromAsset(entity, asset) {
   return createBuilding(tool);
 }
 
+/**
+ * World-space collision shapes of the static bodies loadEntities creates
+ * Same conversion as createBuilding (normalized asset shapes scaled to the
+ * sprite) plus NPC bodies. Used to build the pathfinding grid.
+ *
+ * @param {Object} mapData - Map data loaded from JSON
+ * @returns {Array} - [{ type: 'rect', x, y, w, h } | { type: 'polygon', points: [[x, y]] }]
+ */
+export function getCollisionShapes(mapData) {
+  const TILE = GAME_CONFIG.tileSize;
+  const shapes = [];
+
+  for (const entity of mapData.entities || []) {
+    const asset = getAnyAssetById(entity.assetId);
+    if (!asset) continue;
+
+    const originX = entity.x * TILE;
+    const originY = entity.y * TILE;
+
+    if (entity.type === 'npcs') {
+      const center = (NPC_FOOTPRINT_TILES / 2) * TILE;
+      shapes.push({
+        type: 'rect',
+        x: originX + center + NPC_BODY.x,
+        y: originY + center + NPC_BODY.y,
+        w: NPC_BODY.w,
+        h: NPC_BODY.h,
+      });
+      continue;
+    }
+
+    const piece = entity.pieceId ? asset.pieces?.find((p) => p.id === entity.pieceId) : null;
+    const bWidth = (piece?.width ?? asset.width) * BUILDING_SPRITE_SCALE;
+    const bHeight = (piece?.height ?? asset.height) * BUILDING_SPRITE_SCALE;
+
+    for (const shape of asset.collisionShapes || [{ type: 'rect', x: 0, y: 0, w: 1, h: 1 }]) {
+      if (shape.type === 'rect') {
+        shapes.push({
+          type: 'rect',
+          x: originX + shape.x * bWidth,
+          y: originY + shape.y * bHeight,
+          w: shape.w * bWidth,
+          h: shape.h * bHeight,
+        });
+      } else if (shape.type === 'polygon') {
+        shapes.push({
+          type: 'polygon',
+          points: shape.points.map(([px, py]) => [originX + px * bWidth, originY + py * bHeight]),
+        });
+      }
+    }
+  }
+
+  return shapes;
+}
+
 /**
  * Get all unique sprites that need to be loaded for a map
  * Used by loading.js to dynamically load required sprites
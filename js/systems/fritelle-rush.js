@@ -0,0 +1,164 @@
+/**
+ * Fritelle Rush Overlay
+ *
+ * Client side of the server's timed fritelle rush events: a banner with the
+ * countdown before the round and the time left during it, then a results
+ * screen with the round scoreboard. multiplayer.js forwards `fritelleRush`
+ * messages (and the rush in `init`) here, with times already on the local clock.
+ */
+
+import { COLORS } from '../config.js';
+import { playSound } from './audio.js';
+import { getRushLayout } from './ui-layout.js';
+
+const RESULTS_SECONDS = 20; // Results close by themselves after this
+const MAX_RESULT_ROWS = 10;
+
+let rush = null; // { phase, startsAt, endsAt } while announced or running
+
+/**
+ * Set up the banner for the current overworld scene
+ * Handlers are registered with KaPlay, so they end with the scene.
+ */
+export function initRushOverlay() {
+  rush = null;
+
+  onUpdate(() => {
+    const banner = get('rush-banner')[0];
+    if (!rush) {
+      if (banner) get('rush-banner').forEach(destroy);
+      return;
+    }
+    const label = banner ? banner.get('rush-banner-text')[0] : addBanner();
+    label.text = getBannerText(Date.now());
+  });
+
+  onClick('rush-results', closeRushResults);
+}
+
+/**
+ * Show a rush update from the server
+ * @param {{phase: 'countdown'|'active'|'ended', startsAt: number, endsAt: number,
+ *   scoreboard?: object[]} | null} status - null when no rush is running
+ * @param {string} localPlayerId - Highlighted in the results
+ */
+export function setRushStatus(status, localPlayerId) {
+  if (!status) {
+    rush = null;
+    return;
+  }
+
+  if (status.phase === 'ended') {
+    rush = null;
+    showRushResults(status.scoreboard || [], localPlayerId);
+    playSound('powerup', { volume: 0.3 });
+    return;
+  }
+
+  if (rush?.phase !== status.phase) {
+    playSound(status.phase === 'active' ? 'powerup' : 'pickup', { volume: 0.3 });
+  }
+  rush = { phase: status.phase, startsAt: status.startsAt, endsAt: status.endsAt };
+}
+
+function getBannerText(now) {
+  // Between our clock passing startsAt and the server's 'active' message
+  const active = rush.phase === 'active' || now >= rush.startsAt;
+  const seconds = Math.max(0, Math.ceil(((active ? rush.endsAt : rush.startsAt) - now) / 1000));
+  if (!active) return `Fritelle rush in ${seconds}s!`;
+  const m = Math.floor(seconds / 60);
+  const s = String(seconds % 60).padStart(2, '0');
+  return `FRITELLE RUSH - ${m}:${s} left`;
+}
+
+function addBanner() {
+  const layout = getRushLayout(0);
+  const banner = add([
+    rect(layout.banner.width, layout.banner.height, { radius: 6 }),
+    pos(layout.banner.x, layout.banner.y),
+    anchor('center'),
+    color(...COLORS.dark),
+    opacity(0.85),
+    outline(2, rgb(...COLORS.gold)),
+    fixed(),
+    z(100),
+    'rush-banner',
+  ]);
+  return banner.add([
+    text('', { size: layout.banner.size }),
+    anchor('center'),
+    color(...COLORS.gold),
+    'rush-banner-text',
+  ]);
+}
+
+/**
+ * Show the round scoreboard (click to close)
+ */
+function showRushResults(scoreboard, localPlayerId) {
+  closeRushResults();
+
+  const rows = scoreboard.slice(0, MAX_RESULT_ROWS);
+  const layout = getRushLayout(rows.length);
+
+  const panel = add([
+    rect(layout.panel.width, layout.panel.height, { radius: 8 }),
+    pos(layout.panel.x, layout.panel.y),
+    color(...COLORS.dark),
+    opacity(0.92),
+    outline(3, rgb(...COLORS.gold)),
+    area(),
+    fixed(),
+    z(210),
+    'rush-results',
+  ]);
+  panel.add([
+    text('Fritelle Rush Results', { size: layout.title.size }),
+    pos(layout.title.x - layout.panel.x, layout.title.y - layout.panel.y),
+    anchor('center'),
+    color(...COLORS.gold),
+  ]);
+
+  if (rows.length === 0) {
+    panel.add([
+      text('Nobody collected anything this round', { size: layout.rows.size }),
+      pos(layout.panel.width / 2, layout.rows.startY - layout.panel.y + layout.rows.height / 2),
+      anchor('center'),
+      color(150, 150, 150),
+    ]);
+  }
+
+  rows.forEach((row, i) => {
+    const y = layout.rows.startY - layout.panel.y + i * layout.rows.height;
+    const rowColor = row.playerId === localPlayerId ? COLORS.gold : COLORS.white;
+    const cell = (value, x, align) =>
+      panel.add([
+        text(value, { size: layout.rows.size }),
+        pos(x - layout.panel.x, y),
+        anchor(align),
+        color(...rowColor),
+      ]);
+
+    cell(`#${row.rank}`, layout.rows.rankX, 'topleft');
+    // KaPlay treats [tag] as text styling
+    cell(row.name.replace(/\[/g, '\\['), layout.rows.nameX, 'topleft');
+    cell(`${row.collections} collected`, layout.rows.collectionsX, 'topright');
+    cell(`${row.points} pts`, layout.rows.pointsX, 'topright');
+  });
+
+  panel.add([
+    text('Click to close', { size: layout.hint.size }),
+    pos(layout.hint.x - layout.panel.x, layout.hint.y - layout.panel.y),
+    anchor('center'),
+    color(150, 150, 150),
+  ]);
+
+  panel.use(lifespan(RESULTS_SECONDS, { fade: 0.5 }));
+}
+
+/**
+ * Close the results screen if it is open
+ */
+export function closeRushResults() {
+  get('rush-results').forEach(destroy);
+}
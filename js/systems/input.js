@@ -3,8 +3,100 @@
  *
  * Handles virtual button inputs from the D-pad and action buttons.
  * Allows touch/click controls to work like keyboard.
+ * Also owns the keyboard shortcuts for overworld actions (KEY_BINDINGS),
+ * which the pause menu's Settings screen can rebind (see settings.js).
+ *
+ * Gamepads (Gamepad API, standard mapping) drive the same virtual inputs:
+ * the left stick (8 directions) and D-pad move, and the buttons bound in
+ * gamepadBindings run the interact/throw/pause callbacks. Bindings are
+ * remapped from the pause menu and persisted in localStorage (the pause
+ * scene also syncs them to the player profile).
  */
 
+// Keyboard shortcut per action (KaPlay key names)
+// Changed in place by setKeyBindings; handlers pick up changes with the next scene.
+export const KEY_BINDINGS = {
+  up: 'w', // The arrow keys always move too
+  down: 's',
+  left: 'a',
+  right: 'd',
+  interact: 'enter',
+  throw: 'space',
+  chat: 't',
+  emote: 'e',
+  travel: 'f',
+  palette: 'k', // With Ctrl (Cmd on a Mac)
+};
+
+// Actions the Settings screen can rebind, in the order it lists them
+export const REBINDABLE_ACTIONS = [
+  { action: 'up', label: 'Move up' },
+  { action: 'down', label: 'Move down' },
+  { action: 'left', label: 'Move left' },
+  { action: 'right', label: 'Move right' },
+  { action: 'interact', label: 'Interact' },
+  { action: 'throw', label: 'Throw' },
+  { action: 'chat', label: 'Chat' },
+  { action: 'emote', label: 'Emote' },
+  { action: 'travel', label: 'Travel' },
+];
+
+const DEFAULT_KEY_BINDINGS = { ...KEY_BINDINGS };
+
+// Keys with a fixed meaning: arrows, pause, B (throw, like the B button),
+// digits (emote slots, pause menu links) and Tab (chat channel)
+const RESERVED_KEYS = ['up', 'down', 'left', 'right', 'escape', 'b', 'tab'];
+const NAMED_KEYS = { space: 'Space', enter: 'Enter', shift: 'Shift' };
+
+// How long the B button is held before it counts as a hold instead of a tap
+const HOLD_MS = 400;
+
+// Remappable gamepad actions, in the order the pause menu lists them
+export const GAMEPAD_ACTIONS = [
+  { action: 'interact', label: 'Interact' },
+  { action: 'throw', label: 'Throw' },
+  { action: 'pause', label: 'Pause' },
+];
+
+// Standard-mapping button index per action
+const DEFAULT_GAMEPAD_BINDINGS = { interact: 0, throw: 1, pause: 9 };
+const GAMEPAD_BUTTON_NAMES = [
+  'A',
+  'B',
+  'X',
+  'Y',
+  'LB',
+  'RB',
+  'LT',
+  'RT',
+  'Back',
+  'Start',
+  'L3',
+  'R3',
+  'D-pad Up',
+  'D-pad Down',
+  'D-pad Left',
+  'D-pad Right',
+  'Home',
+];
+const GAMEPAD_STORAGE_KEY = 'gamepadBindings';
+
+// D-pad buttons always move, so they can't be bound to an action
+const DPAD_BUTTONS = { up: 12, down: 13, left: 14, right: 15 };
+const STICK_DEADZONE = 0.35;
+
+// Stick angle in 45 degree sectors, clockwise from right (screen y points down)
+const STICK_SECTORS = [
+  ['right'],
+  ['down', 'right'],
+  ['down'],
+  ['down', 'left'],
+  ['left'],
+  ['up', 'left'],
+  ['up'],
+  ['up', 'right'],
+];
+
 // Track which virtual buttons are currently pressed
 export const virtualInput = {
   up: false,
@@ -18,6 +110,19 @@ export const virtualInput = {
 // Callbacks for button presses
 let onInteractCallback = null;
 let onThrowCallback = null;
+let onHoldBCallback = null;
+let onPauseCallback = null;
+
+// B button state, shared by the on-screen button and gamepads
+let holdTimer = null;
+let heldB = false;
+
+// Gamepad state
+let gamepadBindings = loadGamepadBindings();
+let gamepadPoll = null; // requestAnimationFrame id while a gamepad is connected
+let gamepadButtons = []; // Pressed state per button index, last poll
+const gamepadDirections = { up: false, down: false, left: false, right: false };
+let onCaptureButton = null; // Remapping: the next button press goes here instead
 
 export function setInteractCallback(callback) {
   onInteractCallback = callback;
@@ -27,6 +132,86 @@ export function setThrowCallback(callback) {
   onThrowCallback = callback;
 }
 
+/**
+ * Give the B button a hold action
+ * Once set, B throws on release of a tap instead of on press, so holding it
+ * doesn't also throw.
+ */
+export function setHoldBCallback(callback) {
+  onHoldBCallback = callback;
+}
+
+/**
+ * Run a callback when the gamepad's pause button (Start by default) is pressed
+ */
+export function setPauseCallback(callback) {
+  onPauseCallback = callback;
+}
+
+/**
+ * Run a callback when an action's key is pressed
+ * Registered with KaPlay, so the binding ends with the current scene.
+ * @param {keyof KEY_BINDINGS} action
+ */
+export function onActionPress(action, callback) {
+  return onKeyPress(KEY_BINDINGS[action], callback);
+}
+
+/**
+ * Current key per rebindable action (a copy)
+ */
+export function getKeyBindings() {
+  return Object.fromEntries(REBINDABLE_ACTIONS.map(({ action }) => [action, KEY_BINDINGS[action]]));
+}
+
+/**
+ * Replace the rebindable keys (e.g. with the saved settings)
+ * Missing or unusable keys get their default; bindings that share a key
+ * fall back to the defaults altogether.
+ * @returns {Object} The bindings now in use
+ */
+export function setKeyBindings(bindings) {
+  const next = {};
+  for (const { action } of REBINDABLE_ACTIONS) {
+    next[action] = isBindableKey(bindings?.[action])
+      ? bindings[action]
+      : DEFAULT_KEY_BINDINGS[action];
+  }
+  const keys = Object.values(next);
+  Object.assign(KEY_BINDINGS, new Set(keys).size === keys.length ? next : DEFAULT_KEY_BINDINGS);
+  return getKeyBindings();
+}
+
+/**
+ * Bind one action to a key
+ * An action already on that key takes over this action's old key.
+ * @returns {Object|null} The bindings now in use, null if the key can't be bound
+ */
+export function setKeyBinding(action, key) {
+  if (!isBindableKey(key)) return null;
+  const bindings = getKeyBindings();
+  const other = REBINDABLE_ACTIONS.find((a) => a.action !== action && bindings[a.action] === key);
+  if (other) bindings[other.action] = bindings[action];
+  bindings[action] = key;
+  return setKeyBindings(bindings);
+}
+
+/**
+ * Whether a KaPlay key name can be bound to an action
+ */
+export function isBindableKey(key) {
+  if (typeof key !== 'string' || RESERVED_KEYS.includes(key)) return false;
+  if (key in NAMED_KEYS) return true;
+  return key.length === 1 && !/[0-9\s]/.test(key);
+}
+
+/**
+ * Display name of a KaPlay key name ('space' -> 'Space', 'w' -> 'W')
+ */
+export function getKeyName(key) {
+  return NAMED_KEYS[key] || key.toUpperCase();
+}
+
 export function initInput() {
   // D-pad buttons
   const dpadButtons = document.querySelectorAll('.dpad-btn[data-dir]');
@@ -86,32 +271,208 @@ export function initInput() {
     });
   }
 
-  // B button (throw fritelle)
+  // B button (tap: throw fritelle, hold: setHoldBCallback action)
   const btnB = document.getElementById('btnB');
   if (btnB) {
-    btnB.addEventListener('mousedown', (e) => {
-      e.preventDefault();
-      virtualInput.b = true;
-      if (onThrowCallback) onThrowCallback();
-    });
-
-    btnB.addEventListener('mouseup', () => {
-      virtualInput.b = false;
-    });
-
-    btnB.addEventListener('touchstart', (e) => {
+    const onPress = (e) => {
       e.preventDefault();
-      virtualInput.b = true;
-      if (onThrowCallback) onThrowCallback();
-    });
+      pressB();
+    };
 
-    btnB.addEventListener('touchend', () => {
-      virtualInput.b = false;
-    });
+    btnB.addEventListener('mousedown', onPress);
+    btnB.addEventListener('mouseup', releaseB);
+    btnB.addEventListener('touchstart', onPress);
+    btnB.addEventListener('touchend', releaseB);
   }
 
   // Prevent context menu on long press
   document.querySelectorAll('.dpad-btn, .action-btn').forEach((btn) => {
     btn.addEventListener('contextmenu', (e) => e.preventDefault());
   });
+
+  // Gamepads are polled, and only while one is connected
+  if (navigator.getGamepads) {
+    window.addEventListener('gamepadconnected', (e) => {
+      console.log('[Input] Gamepad connected:', e.gamepad.id);
+      if (gamepadPoll === null) gamepadPoll = requestAnimationFrame(pollGamepad);
+    });
+  }
+}
+
+function pressB() {
+  virtualInput.b = true;
+  if (!onHoldBCallback) {
+    if (onThrowCallback) onThrowCallback();
+    return;
+  }
+  heldB = false;
+  clearTimeout(holdTimer);
+  holdTimer = setTimeout(() => {
+    heldB = true;
+    if (onHoldBCallback) onHoldBCallback();
+  }, HOLD_MS);
+}
+
+function releaseB() {
+  if (!virtualInput.b) return;
+  virtualInput.b = false;
+  if (!onHoldBCallback) return;
+  clearTimeout(holdTimer);
+  if (!heldB && onThrowCallback) onThrowCallback();
+}
+
+/**
+ * Name of a standard-mapping button, for the pause menu
+ */
+export function getGamepadButtonName(button) {
+  return GAMEPAD_BUTTON_NAMES[button] || `Button ${button}`;
+}
+
+export function isGamepadConnected() {
+  return gamepadPoll !== null;
+}
+
+/**
+ * Current action -> button index bindings (a copy)
+ */
+export function getGamepadBindings() {
+  return { ...gamepadBindings };
+}
+
+/**
+ * Replace the bindings (e.g. with the ones saved to the player profile)
+ * Unknown actions and invalid buttons are dropped; missing actions get their
+ * default button.
+ * @returns {Object} The bindings now in use
+ */
+export function setGamepadBindings(bindings) {
+  gamepadBindings = { ...DEFAULT_GAMEPAD_BINDINGS };
+  for (const { action } of GAMEPAD_ACTIONS) {
+    if (isBindableButton(bindings?.[action])) gamepadBindings[action] = bindings[action];
+  }
+  localStorage.setItem(GAMEPAD_STORAGE_KEY, JSON.stringify(gamepadBindings));
+  return getGamepadBindings();
+}
+
+/**
+ * Bind one action to a button
+ * An action already on that button takes over this action's old button.
+ * @returns {Object} The bindings now in use
+ */
+export function setGamepadBinding(action, button) {
+  const bindings = { ...gamepadBindings };
+  const other = GAMEPAD_ACTIONS.find((a) => a.action !== action && bindings[a.action] === button);
+  if (other) bindings[other.action] = bindings[action];
+  bindings[action] = button;
+  return setGamepadBindings(bindings);
+}
+
+export function resetGamepadBindings() {
+  return setGamepadBindings(DEFAULT_GAMEPAD_BINDINGS);
+}
+
+/**
+ * Hand the next gamepad button press to a callback instead of its action
+ * (for remapping). D-pad buttons still move and aren't captured.
+ * @returns {() => void} Stops waiting
+ */
+export function captureGamepadButton(callback) {
+  onCaptureButton = callback;
+  return () => {
+    if (onCaptureButton === callback) onCaptureButton = null;
+  };
+}
+
+function isBindableButton(button) {
+  return (
+    Number.isInteger(button) &&
+    button >= 0 &&
+    button < GAMEPAD_BUTTON_NAMES.length &&
+    !Object.values(DPAD_BUTTONS).includes(button)
+  );
+}
+
+function loadGamepadBindings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(GAMEPAD_STORAGE_KEY));
+    if (saved) {
+      return Object.fromEntries(
+        GAMEPAD_ACTIONS.map(({ action }) => [
+          action,
+          isBindableButton(saved[action]) ? saved[action] : DEFAULT_GAMEPAD_BINDINGS[action],
+        ])
+      );
+    }
+  } catch {
+    // Invalid JSON in localStorage - fall through to defaults
+  }
+  return { ...DEFAULT_GAMEPAD_BINDINGS };
+}
+
+/**
+ * Read the first connected gamepad (once per frame)
+ */
+function pollGamepad() {
+  const gamepad = [...navigator.getGamepads()].find((pad) => pad?.connected);
+  if (!gamepad) {
+    // Disconnected: let go of everything it was holding
+    setGamepadDirections([]);
+    if (gamepadButtons[gamepadBindings.throw]) releaseB();
+    gamepadButtons = [];
+    gamepadPoll = null;
+    return;
+  }
+
+  const pressed = gamepad.buttons.map((button) => button.pressed);
+  const directions = Object.keys(DPAD_BUTTONS).filter((dir) => pressed[DPAD_BUTTONS[dir]]);
+  setGamepadDirections([...directions, ...getStickDirections(gamepad.axes[0], gamepad.axes[1])]);
+
+  pressed.forEach((isDown, button) => {
+    const wasDown = gamepadButtons[button] || false;
+    if (isDown && !wasDown) onGamepadButtonDown(button);
+    if (!isDown && wasDown && button === gamepadBindings.throw) releaseB();
+  });
+  gamepadButtons = pressed;
+
+  gamepadPoll = requestAnimationFrame(pollGamepad);
+}
+
+/**
+ * Left stick to up to two of the four directions (8-way)
+ */
+function getStickDirections(x = 0, y = 0) {
+  if (Math.hypot(x, y) < STICK_DEADZONE) return [];
+  const sector = (Math.round(Math.atan2(y, x) / (Math.PI / 4)) + 8) % 8;
+  return STICK_SECTORS[sector];
+}
+
+/**
+ * Update virtualInput only where the gamepad's directions changed, so the
+ * on-screen D-pad keeps working while a gamepad is connected
+ */
+function setGamepadDirections(held) {
+  for (const dir of Object.keys(gamepadDirections)) {
+    const isHeld = held.includes(dir);
+    if (isHeld === gamepadDirections[dir]) continue;
+    gamepadDirections[dir] = isHeld;
+    virtualInput[dir] = isHeld;
+  }
+}
+
+function onGamepadButtonDown(button) {
+  if (onCaptureButton) {
+    if (!isBindableButton(button)) return;
+    const callback = onCaptureButton;
+    onCaptureButton = null;
+    callback(button);
+    return;
+  }
+
+  if (button === gamepadBindings.interact) {
+    if (onInteractCallback) onInteractCallback();
+  } else if (button === gamepadBindings.throw) {
+    pressB();
+  } else if (button === gamepadBindings.pause) {
+    if (onPauseCallback) onPauseCallback();
+  }
 }
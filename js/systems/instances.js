@@ -0,0 +1,54 @@
+/**
+ * World Instances
+ *
+ * The server can run several named copies of the overworld (maps/instances.json),
+ * each with its own players and optionally its own map. The hub lists them from
+ * /api/instances; the chosen one is saved here and used when the overworld
+ * loads its map and connects.
+ */
+
+const STORAGE_KEY = 'epcvip_instance';
+
+// Until something is picked: no instance param, so the server uses its default
+const DEFAULT_INSTANCE = { id: null, name: 'Village', map: 'village', combat: false };
+
+/**
+ * Fetch the server's instances
+ * Returns { instances: [{ id, name, map, combat, players }], defaultId }.
+ */
+export async function fetchInstances() {
+  const response = await fetch('/api/instances', { credentials: 'same-origin' });
+
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    throw new Error(body.error || `Instances request failed (${response.status})`);
+  }
+
+  const { data, meta } = await response.json();
+  return { instances: data || [], defaultId: meta?.default || null };
+}
+
+/**
+ * Get the saved instance ({ id, name, map, combat })
+ */
+export function getSelectedInstance() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (saved && saved.id && saved.map) return saved;
+  } catch {
+    // Corrupt entry - use the default
+  }
+  return DEFAULT_INSTANCE;
+}
+
+export function setSelectedInstance(instance) {
+  const { id, name, map, combat = false } = instance;
+  localStorage.setItem(STORAGE_KEY, JSON.stringify({ id, name, map, combat }));
+}
+
+/**
+ * Path of the selected instance's map JSON
+ */
+export function getInstanceMapPath() {
+  return `maps/${getSelectedInstance().map}.json`;
+}
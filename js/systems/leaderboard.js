@@ -0,0 +1,31 @@
+/**
+ * Leaderboard System
+ *
+ * Fetches persisted fritelle scores from the server (/api/leaderboard).
+ * Only logged-in players are ranked; guests play without persistence.
+ */
+
+// Periods supported by the server, in tab order
+export const LEADERBOARD_PERIODS = [
+  { id: 'daily', label: 'Today' },
+  { id: 'weekly', label: 'Week' },
+  { id: 'all', label: 'All' },
+];
+
+/**
+ * Fetch the top players for a period
+ * Returns [{ playerId, displayName, characterId, score }], highest first.
+ */
+export async function fetchLeaderboard(period = 'all') {
+  const response = await fetch(`/api/leaderboard?period=${encodeURIComponent(period)}`, {
+    credentials: 'same-origin',
+  });
+
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    throw new Error(body.error || `Leaderboard request failed (${response.status})`);
+  }
+
+  const { data } = await response.json();
+  return data || [];
+}
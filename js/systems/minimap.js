@@ -0,0 +1,306 @@
+/**
+ * Minimap and Fast Travel
+ *
+ * An HTML panel over the top-right of the canvas with the whole map: terrain
+ * drawn once from the map's tile layers and entity collision shapes, dots for
+ * the local player (gold) and other players (white), a frame for what the
+ * camera shows, and a labelled marker at each building's door.
+ *
+ * Clicking a marker, or picking a building from the travel menu (the travel
+ * key, see KEY_BINDINGS in input.js), calls the scene's travel handler,
+ * which walks the player there. The server checks every move, so there is
+ * no teleporting.
+ */
+
+import { GAME_CONFIG } from '../config.js';
+import { getCameraOffset } from './camera.js';
+import { getCollisionShapes } from './entity-loader.js';
+import { getOtherPlayerPositions } from './multiplayer.js';
+import { KEY_BINDINGS, getKeyName } from './input.js';
+
+const MINIMAP_TILE_PX = 5; // Minimap pixels per map tile
+const SOURCE_TILE_PX = 16; // Tileset tile size (see tilemap.js)
+const LAYER_ORDER = ['ground', 'paths', 'decorations'];
+const DEFAULT_TILESET = 'Grass_Tiles_1'; // tileset-grass in loading.js
+
+const tilesetImages = new Map(); // tileset name -> Promise<HTMLImageElement|null>
+
+let panel = null;
+let view = null;
+let terrainCanvas = null;
+let playersCanvas = null;
+let travelButton = null;
+let travelMenu = null;
+let travelHandler = null;
+
+/**
+ * Show the minimap for the current overworld scene
+ * The DOM outlives scenes; it is filled in again for each map and hidden
+ * when the scene ends.
+ * @param {Object} options
+ * @param {Object} options.mapData - Map JSON (tile layers and entities)
+ * @param {Array} options.buildings - Interactables from loadEntities
+ * @param {Object} options.player - Local player
+ * @param {(building: Object) => void} options.onTravel - Walk the player to a building
+ */
+export function initMinimap({ mapData, buildings, player, onTravel }) {
+  if (!panel) createPanel();
+  travelHandler = onTravel;
+  // Per scene, since the travel key can be rebound
+  travelButton.title = `Fast travel (${getKeyName(KEY_BINDINGS.travel)})`;
+
+  const TILE = GAME_CONFIG.tileSize;
+  const scale = MINIMAP_TILE_PX / TILE;
+  const mapWidth = mapData.width * MINIMAP_TILE_PX;
+  const mapHeight = mapData.height * MINIMAP_TILE_PX;
+
+  for (const canvas of [terrainCanvas, playersCanvas]) {
+    canvas.width = mapWidth;
+    canvas.height = mapHeight;
+  }
+  view.style.aspectRatio = `${mapWidth} / ${mapHeight}`;
+  drawTerrain(mapData);
+
+  // Buildings with a tool (not NPCs), in map order
+  const tools = buildings.filter((b) => b.toolName);
+  view.querySelectorAll('.minimap-marker').forEach((marker) => marker.remove());
+  tools.forEach((building) => {
+    const marker = document.createElement('button');
+    marker.type = 'button';
+    marker.className = 'minimap-marker';
+    marker.title = `Walk to ${building.toolName}`;
+    marker.textContent = building.toolName;
+    const door = getDoorPosition(building);
+    marker.style.left = `${((door.x * scale) / mapWidth) * 100}%`;
+    marker.style.top = `${((door.y * scale) / mapHeight) * 100}%`;
+    marker.addEventListener('click', () => travel(building));
+    view.append(marker);
+  });
+
+  // Interactive ones can be picked from the travel menu
+  travelMenu.textContent = '';
+  tools
+    .filter((b) => b.isLive)
+    .forEach((building) => {
+      const item = document.createElement('li');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = building.toolName;
+      button.addEventListener('click', () => travel(building));
+      item.append(button);
+      travelMenu.append(item);
+    });
+
+  closeTravelMenu();
+  panel.hidden = false;
+
+  onUpdate(() => drawPlayers(player, scale));
+  onSceneLeave(() => {
+    closeTravelMenu();
+    panel.hidden = true;
+  });
+}
+
+export function toggleTravelMenu() {
+  if (!travelMenu) return;
+  if (travelMenu.hidden) {
+    openTravelMenu();
+  } else {
+    closeTravelMenu();
+  }
+}
+
+export function isTravelMenuOpen() {
+  return travelMenu !== null && !travelMenu.hidden;
+}
+
+function openTravelMenu() {
+  if (travelMenu.children.length === 0) return;
+  travelMenu.hidden = false;
+  travelButton.classList.add('active');
+  travelMenu.querySelector('button').focus();
+}
+
+function closeTravelMenu() {
+  if (!travelMenu || travelMenu.hidden) return;
+  travelMenu.hidden = true;
+  travelButton.classList.remove('active');
+  document.getElementById('gameCanvas')?.focus();
+}
+
+function travel(building) {
+  closeTravelMenu();
+  // Clicks move focus off the canvas, which is where KaPlay listens for keys
+  document.getElementById('gameCanvas')?.focus();
+  if (travelHandler) travelHandler(building);
+}
+
+/**
+ * Bottom-center of a building (where the player stands to interact)
+ */
+function getDoorPosition(building) {
+  return {
+    x: building.pos.x + building.buildingWidth / 2,
+    y: building.pos.y + building.buildingHeight,
+  };
+}
+
+function createPanel() {
+  panel = document.createElement('div');
+  panel.className = 'minimap';
+  panel.hidden = true;
+
+  const header = document.createElement('div');
+  header.className = 'minimap-header';
+  const title = document.createElement('span');
+  title.textContent = 'Map';
+
+  travelButton = document.createElement('button');
+  travelButton.type = 'button';
+  travelButton.className = 'minimap-travel';
+  travelButton.textContent = 'Travel';
+  travelButton.addEventListener('click', toggleTravelMenu);
+  header.append(title, travelButton);
+
+  view = document.createElement('div');
+  view.className = 'minimap-view';
+  terrainCanvas = document.createElement('canvas');
+  playersCanvas = document.createElement('canvas');
+  view.append(terrainCanvas, playersCanvas);
+
+  travelMenu = document.createElement('ol');
+  travelMenu.className = 'travel-menu';
+  travelMenu.hidden = true;
+  travelMenu.addEventListener('keydown', handleMenuKey);
+  travelMenu.addEventListener('keyup', (e) => e.stopPropagation());
+
+  panel.append(header, view, travelMenu);
+
+  const canvas = document.getElementById('gameCanvas');
+  canvas.insertAdjacentElement('afterend', panel);
+}
+
+function handleMenuKey(e) {
+  // Keep game keys (arrows move the player) out of the menu
+  e.stopPropagation();
+
+  const buttons = [...travelMenu.querySelectorAll('button')];
+  const index = buttons.indexOf(document.activeElement);
+
+  if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+    e.preventDefault();
+    const step = e.key === 'ArrowDown' ? 1 : -1;
+    buttons[(index + step + buttons.length) % buttons.length].focus();
+  } else if (e.key === 'Escape' || e.key.toLowerCase() === KEY_BINDINGS.travel) {
+    closeTravelMenu();
+  }
+  // Enter clicks the focused button
+}
+
+/**
+ * Draw the tile layers and the static bodies, scaled down
+ */
+async function drawTerrain(mapData) {
+  const context = terrainCanvas.getContext('2d');
+  context.clearRect(0, 0, terrainCanvas.width, terrainCanvas.height);
+  context.imageSmoothingEnabled = false;
+
+  const layers = mapData.layers || mapData.tileLayers || {};
+  const tilesets = mapData.tilesets || [];
+  const names = new Set([DEFAULT_TILESET, ...tilesets]);
+  const images = new Map(
+    await Promise.all([...names].map(async (name) => [name, await loadTilesetImage(name)]))
+  );
+
+  for (const layerName of LAYER_ORDER) {
+    const tiles = layers[layerName];
+    if (!tiles) continue;
+
+    tiles.forEach((row, y) =>
+      row.forEach((rawTile, x) => {
+        const [tilesetName, tileIndex] = Array.isArray(rawTile)
+          ? [tilesets[rawTile[0]], rawTile[1]]
+          : [DEFAULT_TILESET, rawTile];
+        // Same empty-tile rules as renderTileMap
+        if (tileIndex < 0 || (layerName !== 'ground' && tileIndex === 0)) return;
+
+        const image = images.get(tilesetName);
+        if (!image) return;
+        const columns = Math.floor(image.width / SOURCE_TILE_PX);
+        context.drawImage(
+          image,
+          (tileIndex % columns) * SOURCE_TILE_PX,
+          Math.floor(tileIndex / columns) * SOURCE_TILE_PX,
+          SOURCE_TILE_PX,
+          SOURCE_TILE_PX,
+          x * MINIMAP_TILE_PX,
+          y * MINIMAP_TILE_PX,
+          MINIMAP_TILE_PX,
+          MINIMAP_TILE_PX
+        );
+      })
+    );
+  }
+
+  // Buildings, trees and decorations as dark shapes
+  const scale = MINIMAP_TILE_PX / GAME_CONFIG.tileSize;
+  context.fillStyle = 'rgba(60, 40, 20, 0.85)';
+  for (const shape of getCollisionShapes(mapData)) {
+    if (shape.type === 'rect') {
+      context.fillRect(shape.x * scale, shape.y * scale, shape.w * scale, shape.h * scale);
+    } else {
+      context.beginPath();
+      shape.points.forEach(([px, py], i) =>
+        i === 0 ? context.moveTo(px * scale, py * scale) : context.lineTo(px * scale, py * scale)
+      );
+      context.closePath();
+      context.fill();
+    }
+  }
+}
+
+function loadTilesetImage(name) {
+  if (!tilesetImages.has(name)) {
+    tilesetImages.set(
+      name,
+      new Promise((resolve) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => {
+          console.warn(`[Minimap] Missing tileset: ${name}`);
+          resolve(null);
+        };
+        image.src = `assets/tiles/${name}.png`;
+      })
+    );
+  }
+  return tilesetImages.get(name);
+}
+
+/**
+ * Player dots and the camera frame (every frame)
+ */
+function drawPlayers(player, scale) {
+  const context = playersCanvas.getContext('2d');
+  context.clearRect(0, 0, playersCanvas.width, playersCanvas.height);
+
+  const camera = getCameraOffset();
+  context.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+  context.lineWidth = 1;
+  context.strokeRect(
+    camera.x * scale + 0.5,
+    camera.y * scale + 0.5,
+    GAME_CONFIG.width * scale - 1,
+    GAME_CONFIG.height * scale - 1
+  );
+
+  const dot = (x, y, radius, fill) => {
+    context.beginPath();
+    context.arc(x * scale, y * scale, radius, 0, Math.PI * 2);
+    context.fillStyle = fill;
+    context.fill();
+  };
+
+  getOtherPlayerPositions().forEach((other) => dot(other.x, other.y, 2.5, '#ffffff'));
+  if (player.exists()) dot(player.pos.x, player.pos.y, 3.5, '#f0c000');
+}
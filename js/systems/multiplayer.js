@@ -1,28 +1,82 @@
 /**
  * Multiplayer System
  *
- * Uses native WebSocket + JSON for simple, reliable multiplayer.
+ * Uses native WebSocket with the shared wire protocol (js/protocol.js): binary
+ * frames for movement, JSON for everything else. Set
+ * window.MULTIPLAYER_ENCODING = 'json' to see every message as JSON in devtools.
  * Falls back gracefully to single-player if server unavailable.
  */
 
 import { getSelectedCharacter } from '../config.js';
 import { playSound } from './audio.js';
+import { isReducedMotion, addNameLabelBackdrop } from './settings.js';
+import { getAccessToken } from './auth.js';
+import {
+  addServerFritelle,
+  clearFritelles,
+  setFritelleCount,
+  startLocalFritelles,
+} from '../entities/collectible.js';
+import {
+  MAX_NAME_LENGTH,
+  SUBPROTOCOLS,
+  decodeMessage,
+  encodeMessage,
+  getEncoding,
+} from '../protocol.js';
+import { addChatMessage, setChatHistory } from './chat.js';
+import { playEmote } from './emotes.js';
+import { setRushStatus } from './fritelle-rush.js';
+import { getSelectedInstance, setSelectedInstance } from './instances.js';
 
 // Connection state
 let socket = null;
 let localPlayerId = null;
 let connected = false;
 let pendingPlayerName = 'Player'; // Name to send on connect
+let localPlayer = null; // Local player entity (for server position corrections)
+let keepLocalSpawn = false; // Scene placed the player itself (e.g. outside a door); resuming keeps it
+
+// Reconnection (exponential backoff: 1s, 2s, 4s... capped at 30s)
+const SESSION_KEY = 'overworld_resumeToken'; // sessionStorage survives reloads of this tab
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 30000;
+const MAX_RECONNECT_ATTEMPTS = 8;
+let reconnectAttempts = 0;
+let reconnectTimer = null;
+let shouldReconnect = false; // Off after disconnect() or when another tab takes over
+let reconnectNotice = null;
+const POLICY_VIOLATION = 1008; // Close code for repeated invalid messages
 
 // Other player entities
-const otherPlayers = new Map(); // id -> { parts, label, targetX, targetY }
+const otherPlayers = new Map(); // id -> { sprite, hitbox, label, samples, direction }
 
-// Server-synced fritelles (reserved for future network sync)
-const _networkedFritelles = new Map(); // id -> { entity, halo }
+// Snapshot interpolation: the server sends batched position changes 20 times a
+// second, and other players are drawn this far in the past so there is almost
+// always a snapshot on either side of the render time to blend between
+const SNAPSHOT_INTERVAL = 50; // ms, server tick
+const INTERP_DELAY = 100; // ms, two ticks of buffer
+const MAX_SAMPLES = 20;
+let serverTimeOffset = null; // Estimated server clock minus local clock
+
+// Speech bubbles above players' name labels
+const CHAT_BUBBLE_SECONDS = 5;
+const CHAT_BUBBLE_LINE_CHARS = 28;
+const CHAT_BUBBLE_MAX_LINES = 3;
+const chatBubbles = new Map(); // playerId -> bubble entity
+
+// Server-owned fritelles while connected (the halo follows its fritelle)
+const networkedFritelles = new Map(); // server fritelle id -> entity
 
 // Server URL
 const SERVER_URL = window.MULTIPLAYER_SERVER || 'ws://localhost:2567';
 
+// Offered wire encodings, preferred first (the server picks during the handshake)
+const OFFERED_PROTOCOLS =
+  window.MULTIPLAYER_ENCODING === 'json'
+    ? [SUBPROTOCOLS.json]
+    : [SUBPROTOCOLS.binary, SUBPROTOCOLS.json];
+
 // Player colors (reserved for player differentiation feature)
 const _PLAYER_COLORS = [
   [255, 100, 100], // Red
@@ -31,39 +85,98 @@ const _PLAYER_COLORS = [
   [255, 255, 100], // Yellow
 ];
 
+/**
+ * Build the server URL, passing our Supabase access token when we have one.
+ * The server also accepts the sb-access-token cookie, but cookies aren't sent
+ * when the game connects to a different host (e.g. ws://localhost in dev).
+ * A saved resume token lets the server give us back our previous player, and
+ * the instance param picks which world instance to join.
+ */
+async function getServerUrl() {
+  const token = await getAccessToken().catch((e) => {
+    console.warn('Could not read access token:', e);
+    return null;
+  });
+  const resumeToken = sessionStorage.getItem(SESSION_KEY);
+  const instance = getSelectedInstance();
+
+  const url = new URL(SERVER_URL);
+  if (token) url.searchParams.set('token', token);
+  if (resumeToken) url.searchParams.set('resume', resumeToken);
+  if (instance.id) url.searchParams.set('instance', instance.id);
+  return url.toString();
+}
+
 /**
  * Connect to multiplayer server
+ * Authenticated players get their display name from their profile on the server;
+ * playerName is only used for guests.
+ * @param {string} [playerName]
+ * @param {Object} [options]
+ * @param {boolean} [options.keepSpawn] - On resume, move the server to where the
+ *   scene spawned us instead of snapping back to our last server position
+ */
+export async function connectToServer(playerName = 'Player', { keepSpawn = false } = {}) {
+  // Store for sending after init; names saved before the limit could be longer
+  pendingPlayerName = playerName.slice(0, MAX_NAME_LENGTH);
+  keepLocalSpawn = keepSpawn;
+  shouldReconnect = true;
+  reconnectAttempts = 0;
+  clearTimeout(reconnectTimer);
+
+  // Re-entering the overworld: replace the old socket (our resume token keeps the same player)
+  closeSocket();
+  otherPlayers.forEach((data, id) => removeOtherPlayer(id));
+
+  return openSocket();
+}
+
+/**
+ * Open a socket to the server
+ * Resolves true once the server sends init, false on error or timeout.
  */
-export function connectToServer(playerName = 'Player') {
-  pendingPlayerName = playerName; // Store for sending after init
+async function openSocket() {
+  const serverUrl = await getServerUrl();
   return new Promise((resolve) => {
     try {
       console.log('Connecting to:', SERVER_URL);
-      socket = new WebSocket(SERVER_URL);
+      const ws = new WebSocket(serverUrl, OFFERED_PROTOCOLS);
+      ws.binaryType = 'arraybuffer';
+      socket = ws;
 
-      socket.onopen = () => {
-        console.log('WebSocket connected');
+      ws.onopen = () => {
+        console.log('WebSocket connected:', getEncoding(ws.protocol));
       };
 
-      socket.onmessage = (event) => {
+      ws.onmessage = (event) => {
         try {
-          const msg = JSON.parse(event.data);
-          handleMessage(msg, resolve);
+          const msg = decodeMessage(event.data);
+          if (msg) handleMessage(msg, resolve);
         } catch (e) {
           console.error('Message parse error:', e);
         }
       };
 
-      socket.onerror = (err) => {
+      ws.onerror = (err) => {
         console.warn('WebSocket error:', err);
         resolve(false);
       };
 
-      socket.onclose = () => {
+      ws.onclose = (event) => {
+        if (ws !== socket) return; // Already replaced
         console.log('WebSocket closed');
+        if (event.code === POLICY_VIOLATION) {
+          // Kicked for repeated invalid messages - reconnecting would just repeat it
+          console.warn('Disconnected by server:', event.reason);
+          shouldReconnect = false;
+        }
+        socket = null;
         connected = false;
         // Clean up other players
         otherPlayers.forEach((data, id) => removeOtherPlayer(id));
+        resolve(false);
+
+        if (shouldReconnect) scheduleReconnect();
       };
 
       // Timeout for connection
@@ -80,61 +193,217 @@ export function connectToServer(playerName = 'Player') {
   });
 }
 
+/**
+ * Close the current socket without triggering a reconnect
+ */
+function closeSocket() {
+  if (!socket) return;
+  const ws = socket;
+  socket = null;
+  connected = false;
+  ws.onclose = null;
+  ws.onmessage = null;
+  ws.close();
+}
+
+/**
+ * Retry the connection with exponential backoff
+ * The server keeps our player for a grace period, so a quick retry resumes it.
+ */
+function scheduleReconnect() {
+  if (reconnectAttempts >= MAX_RECONNECT_ATTEMPTS) {
+    console.log('Could not reconnect, running in single-player mode');
+    hideReconnectNotice();
+    // The server's fritelles can't be collected anymore - spawn our own
+    networkedFritelles.clear();
+    startLocalFritelles();
+    setRushStatus(null, localPlayerId);
+    return;
+  }
+
+  // Jitter so a server restart isn't hit by every client at the same moment
+  const delay =
+    Math.min(RECONNECT_BASE_DELAY * 2 ** reconnectAttempts, RECONNECT_MAX_DELAY) *
+    (0.75 + Math.random() * 0.5);
+  reconnectAttempts++;
+  console.log(`Reconnecting in ${Math.round(delay)}ms (attempt ${reconnectAttempts})`);
+  showReconnectNotice();
+
+  reconnectTimer = setTimeout(() => {
+    if (shouldReconnect && !socket) openSocket();
+  }, delay);
+}
+
+function showReconnectNotice() {
+  if (reconnectNotice?.exists()) return;
+  reconnectNotice = add([
+    text('Reconnecting...', { size: 12 }),
+    pos(width() / 2, 20),
+    anchor('center'),
+    color(255, 200, 100),
+    fixed(),
+    z(100),
+  ]);
+}
+
+function hideReconnectNotice() {
+  if (reconnectNotice?.exists()) destroy(reconnectNotice);
+  reconnectNotice = null;
+}
+
+// Handled even while the overworld isn't the current scene
+const SCENE_INDEPENDENT_MESSAGES = new Set(['init', 'replacedByNewConnection', 'error']);
+
 /**
  * Handle incoming messages
  */
 function handleMessage(msg, initResolve) {
+  // In the pause menu or a building interior there is no world to draw into.
+  // Going back to the overworld reconnects, and init brings everything back.
+  if (!SCENE_INDEPENDENT_MESSAGES.has(msg.type) && !localPlayer?.exists()) return;
+
   switch (msg.type) {
     case 'init': {
       localPlayerId = msg.playerId;
       connected = true;
-      console.log('Connected as', msg.player.name, '- id:', localPlayerId);
+      reconnectAttempts = 0;
+      hideReconnectNotice();
+      console.log(
+        msg.resumed ? 'Resumed as' : 'Connected as',
+        msg.player.name,
+        '- id:',
+        localPlayerId
+      );
+
+      // Lets this tab get the same player back after a reload or network blip
+      sessionStorage.setItem(SESSION_KEY, msg.resumeToken);
+
+      // The server falls back to its default instance if ours was removed
+      if (msg.instance.id !== getSelectedInstance().id) {
+        console.warn(`Joined instance ${msg.instance.id} instead of the selected one`);
+      }
+      setSelectedInstance(msg.instance);
 
       // Send our name and character selection to server
-      socket.send(JSON.stringify({ type: 'setName', name: pendingPlayerName }));
+      sendMessage({ type: 'setName', name: pendingPlayerName });
 
       const selectedChar = getSelectedCharacter();
-      socket.send(
-        JSON.stringify({
-          type: 'setAppearance',
-          appearance: { characterId: selectedChar.id },
-        })
-      );
+      sendMessage({
+        type: 'setAppearance',
+        appearance: { characterId: selectedChar.id },
+      });
+
+      // Server owns the spawn position (our last position when resuming), unless
+      // the scene spawned us nearby on purpose - e.g. below a door we just came out of
+      if (msg.resumed && keepLocalSpawn && localPlayer?.exists()) {
+        sendPosition(localPlayer.pos.x, localPlayer.pos.y, localPlayer.direction);
+      } else {
+        applyServerPosition(msg.player.x, msg.player.y);
+      }
+      keepLocalSpawn = false; // Reconnects after a network blip take the server's position
+      if (msg.resumed) {
+        setFritelleCount(msg.player.fritelleCount);
+      }
 
-      // Spawn existing players
+      // Server owns the fritelles: replace local ones (or a stale set from before a reconnect)
+      syncFritelles(msg.fritelles);
+
+      // Spawn players already in range
       msg.players.forEach((p) => spawnOtherPlayer(p));
 
-      // Note: We don't spawn server fritelles here - let local system handle it
-      // This keeps single-player and multiplayer consistent
+      // Recent global chat so we join mid-conversation with context
+      setChatHistory(msg.chatHistory || []);
+
+      // Fritelle rush announced or running when we joined (null if none)
+      setRushStatus(msg.rush && toLocalRushTimes(msg.rush), localPlayerId);
 
       if (initResolve) initResolve(true);
       break;
     }
 
-    case 'playerJoined':
-      console.log('Player joined:', msg.player.name);
+    // The server only tells us about players near our camera (interest management):
+    // they are spawned when they come into range and removed when they leave it
+    case 'playerEnteredRange':
       spawnOtherPlayer(msg.player);
       break;
 
+    case 'playerLeftRange':
+      removeOtherPlayer(msg.playerId);
+      break;
+
     case 'playerLeft':
       console.log('Player left:', msg.playerId);
       removeOtherPlayer(msg.playerId);
       break;
 
-    case 'playerMoved':
+    case 'playerDisconnected':
+      // Server holds their spot for msg.gracePeriodSeconds
+      setOtherPlayerConnection(msg.playerId, 'reconnecting');
+      break;
+
+    case 'playerReconnected':
+      setOtherPlayerConnection(msg.playerId, 'connected');
+      break;
+
+    case 'replacedByNewConnection':
+      // This player was opened in another tab - let that one keep it
+      console.log('Session taken over by another connection');
+      shouldReconnect = false;
+      break;
+
+    case 'snapshot':
+      // Changed fields for every player in range since the last server tick
+      syncServerTime(msg.t);
+      msg.players.forEach((delta) => {
+        if (delta.id !== localPlayerId) {
+          updateOtherPlayer(delta.id, delta, msg.t);
+        }
+      });
+      break;
+
+    case 'chat':
+      addChatMessage(msg);
+      showChatBubble(msg.playerId, msg.text);
+      break;
+
+    case 'emote':
+      // Our own emotes were already played when picked
       if (msg.playerId !== localPlayerId) {
-        updateOtherPlayer(msg.playerId, msg.x, msg.y, msg.direction);
+        playEmote(otherPlayers.get(msg.playerId)?.sprite, msg.emoteId);
       }
       break;
 
+    case 'error':
+      // Server rejected one of our messages (msg.code, e.g. INVALID_MESSAGE)
+      console.warn(`Server rejected ${msg.messageType} message:`, msg.error);
+      break;
+
+    case 'positionCorrected':
+      // Server rejected our last move (too fast, out of bounds, inside a building)
+      console.warn('Position corrected by server:', msg.reason);
+      applyServerPosition(msg.x, msg.y);
+      break;
+
+    case 'fritelleSpawned':
+      addNetworkedFritelle(msg.fritelle);
+      break;
+
     case 'fritelleCollected':
-      if (msg.playerId !== localPlayerId) {
+      removeNetworkedFritelle(msg.fritelleId);
+      if (msg.playerId === localPlayerId) {
+        // Server-confirmed total (we already played the effects on contact)
+        setFritelleCount(msg.fritelleCount);
+      } else {
         // Show sparkle effect for other player's collection
         createSparkleEffect(msg.x, msg.y, msg.isGolden);
-        playSound(msg.isGolden ? 'powerup' : 'pickup', { volume: 0.2 });
+        playSound(msg.isGolden ? 'powerup' : 'pickup', { volume: 0.2 }, 'players');
       }
       break;
 
+    case 'fritelleRush':
+      setRushStatus(toLocalRushTimes(msg), localPlayerId);
+      break;
+
     case 'fritelleThrown':
       if (msg.playerId !== localPlayerId) {
         createThrownFritelleVisual(msg);
@@ -142,12 +411,13 @@ function handleMessage(msg, initResolve) {
       break;
 
     case 'playerHit':
-      showHitEffect(msg.targetId, msg.throwerId);
+      showHitEffect(msg);
       break;
 
     case 'playerRenamed': {
       const renamedData = otherPlayers.get(msg.playerId);
       if (renamedData && renamedData.label) {
+        renamedData.name = msg.name;
         renamedData.label.text = msg.name;
       }
       break;
@@ -170,6 +440,41 @@ function handleMessage(msg, initResolve) {
   }
 }
 
+/**
+ * Snap the local player to an authoritative server position
+ */
+function applyServerPosition(x, y) {
+  if (localPlayer && localPlayer.exists()) {
+    localPlayer.pos = vec2(x, y);
+  }
+}
+
+/**
+ * Replace every fritelle on the map with the server's set
+ */
+function syncFritelles(fritelles) {
+  clearFritelles();
+  networkedFritelles.clear();
+  fritelles.forEach((f) => addNetworkedFritelle(f));
+}
+
+/**
+ * Render a server fritelle (ignored if we already have it)
+ */
+function addNetworkedFritelle(data) {
+  if (networkedFritelles.get(data.id)?.exists()) return;
+  networkedFritelles.set(data.id, addServerFritelle(data));
+}
+
+/**
+ * Remove a server fritelle once someone collected it
+ */
+function removeNetworkedFritelle(fritelleId) {
+  const entity = networkedFritelles.get(fritelleId);
+  if (entity?.exists()) destroy(entity);
+  networkedFritelles.delete(fritelleId);
+}
+
 /**
  * Spawn another player with their character sprite
  */
@@ -218,61 +523,116 @@ function spawnOtherPlayer(playerData) {
     z(15),
     'player-label',
   ]);
+  addNameLabelBackdrop(label);
 
   const data = {
     sprite: playerSprite,
     hitbox,
     label,
-    targetX: playerData.x,
-    targetY: playerData.y,
+    name: playerData.name,
+    samples: [{ t: getServerTime(), x: playerData.x, y: playerData.y }],
     direction: direction,
     appearance: playerData.appearance || { characterId: 'Farmer_Bob' },
     isMoving: false,
   };
 
   otherPlayers.set(playerData.id, data);
+  if (playerData.connectionState === 'reconnecting') {
+    setOtherPlayerConnection(playerData.id, 'reconnecting');
+  }
 
-  // Smooth interpolation for movement
-  onUpdate(() => {
-    const d = otherPlayers.get(playerData.id);
-    if (!d || !d.sprite.exists()) return;
-
-    const currentX = d.sprite.pos.x;
-    const currentY = d.sprite.pos.y;
-
-    const newX = lerp(currentX, d.targetX, 0.2);
-    const newY = lerp(currentY, d.targetY, 0.2);
+  // Interpolate between buffered snapshots (on the sprite, so the handler
+  // ends with it when the player leaves range or is respawned)
+  playerSprite.onUpdate(() => {
+    const { x: newX, y: newY } = getInterpolatedPosition(data.samples);
 
     // Check if actually moving (for animation)
-    const moving = Math.abs(newX - d.targetX) > 0.5 || Math.abs(newY - d.targetY) > 0.5;
+    const moving =
+      Math.abs(newX - data.sprite.pos.x) > 0.1 || Math.abs(newY - data.sprite.pos.y) > 0.1;
 
-    d.sprite.pos = vec2(newX, newY);
-    d.hitbox.pos = vec2(newX - 13, newY - 16);
-    d.label.pos = vec2(newX, newY - 75);
+    data.sprite.pos = vec2(newX, newY);
+    data.hitbox.pos = vec2(newX - 13, newY - 16);
+    data.label.pos = vec2(newX, newY - 75);
 
     // Update animation if movement state changed
-    if (moving !== d.isMoving) {
-      d.isMoving = moving;
+    if (moving !== data.isMoving) {
+      data.isMoving = moving;
       // Handle left direction (use right sprite + flipX)
       let animName;
-      if (d.direction === 'left') {
+      if (data.direction === 'left') {
         animName = moving ? 'walk-right' : 'idle-right';
       } else {
-        animName = moving ? `walk-${d.direction}` : `idle-${d.direction}`;
+        animName = moving ? `walk-${data.direction}` : `idle-${data.direction}`;
       }
-      d.sprite.play(animName);
+      data.sprite.play(animName);
     }
   });
 }
 
 /**
- * Update other player position and direction
+ * Estimate the current server time from snapshot timestamps
  */
-function updateOtherPlayer(playerId, x, y, direction) {
+function getServerTime() {
+  return Date.now() + (serverTimeOffset ?? 0);
+}
+
+/**
+ * Update the clock offset from a snapshot's server timestamp
+ * Smoothed so network jitter doesn't make other players stutter.
+ */
+function syncServerTime(serverTime) {
+  const offset = serverTime - Date.now();
+  serverTimeOffset = serverTimeOffset === null ? offset : lerp(serverTimeOffset, offset, 0.1);
+}
+
+/**
+ * Convert a rush's server timestamps to the local clock for countdowns
+ */
+function toLocalRushTimes(rush) {
+  const offset = serverTimeOffset ?? 0;
+  return { ...rush, startsAt: rush.startsAt - offset, endsAt: rush.endsAt - offset };
+}
+
+/**
+ * Position at INTERP_DELAY behind the estimated server time
+ * Holds the newest sample if the buffer runs dry (player stopped or packet late).
+ */
+function getInterpolatedPosition(samples) {
+  const renderTime = getServerTime() - INTERP_DELAY;
+
+  // Drop samples we've already passed, keeping the one just before renderTime
+  while (samples.length > 2 && samples[1].t <= renderTime) {
+    samples.shift();
+  }
+
+  const [from, to] = samples;
+  if (!to || renderTime <= from.t) return from;
+  if (renderTime >= to.t) return to;
+
+  const t = (renderTime - from.t) / (to.t - from.t);
+  return { x: lerp(from.x, to.x, t), y: lerp(from.y, to.y, t) };
+}
+
+/**
+ * Buffer a snapshot delta for another player
+ * @param {string} playerId
+ * @param {{x?: number, y?: number, direction?: string}} delta - Only the fields that changed
+ * @param {number} serverTime - Snapshot timestamp
+ */
+function updateOtherPlayer(playerId, delta, serverTime) {
   const data = otherPlayers.get(playerId);
   if (data) {
-    data.targetX = x;
-    data.targetY = y;
+    const last = data.samples[data.samples.length - 1];
+
+    // After a pause (standing still sends no snapshots) start the blend from
+    // one tick earlier, not from when they stopped
+    if (serverTime - last.t > SNAPSHOT_INTERVAL * 2) {
+      data.samples.push({ t: serverTime - SNAPSHOT_INTERVAL, x: last.x, y: last.y });
+    }
+    data.samples.push({ t: serverTime, x: delta.x ?? last.x, y: delta.y ?? last.y });
+    if (data.samples.length > MAX_SAMPLES) data.samples.shift();
+
+    const direction = delta.direction;
 
     // Update direction and animation if changed
     if (direction && direction !== data.direction) {
@@ -291,6 +651,18 @@ function updateOtherPlayer(playerId, x, y, direction) {
   }
 }
 
+/**
+ * Dim another player while the server holds their spot for a reconnect
+ */
+function setOtherPlayerConnection(playerId, state) {
+  const data = otherPlayers.get(playerId);
+  if (!data) return;
+
+  const reconnecting = state === 'reconnecting';
+  data.sprite.opacity = reconnecting ? 0.4 : 1;
+  data.label.text = reconnecting ? `${data.name} (reconnecting)` : data.name;
+}
+
 /**
  * Remove other player
  */
@@ -304,10 +676,84 @@ function removeOtherPlayer(playerId) {
   }
 }
 
+/**
+ * Word-wrap a chat message for a bubble, truncating long messages
+ * KaPlay treats [tag] as text styling, so brackets are escaped too.
+ */
+function formatBubbleText(message) {
+  const lines = [];
+  let line = '';
+  for (const word of message.split(' ')) {
+    const chunks = word.match(new RegExp(`.{1,${CHAT_BUBBLE_LINE_CHARS}}`, 'g')) || [];
+    for (const chunk of chunks) {
+      if (line && line.length + 1 + chunk.length > CHAT_BUBBLE_LINE_CHARS) {
+        lines.push(line);
+        line = chunk;
+      } else {
+        line = line ? `${line} ${chunk}` : chunk;
+      }
+    }
+  }
+  if (line) lines.push(line);
+
+  if (lines.length > CHAT_BUBBLE_MAX_LINES) {
+    lines.length = CHAT_BUBBLE_MAX_LINES;
+    lines[CHAT_BUBBLE_MAX_LINES - 1] = `${lines[CHAT_BUBBLE_MAX_LINES - 1].slice(0, -3)}...`;
+  }
+  return lines.join('\n').replace(/\[/g, '\\[');
+}
+
+/**
+ * Show a speech bubble above a player's name label for a few seconds
+ */
+function showChatBubble(playerId, message) {
+  const target = playerId === localPlayerId ? localPlayer : otherPlayers.get(playerId)?.sprite;
+  if (!target || !target.exists()) return;
+
+  // A new message replaces the player's current bubble
+  const previous = chatBubbles.get(playerId);
+  if (previous?.exists()) destroy(previous);
+
+  const bubble = add([
+    rect(1, 1, { radius: 4 }),
+    pos(target.pos.x, target.pos.y - 85),
+    anchor('bot'),
+    color(255, 255, 255),
+    opacity(0.9),
+    outline(2, rgb(26, 26, 26)),
+    z(16),
+    lifespan(CHAT_BUBBLE_SECONDS),
+    'chat-bubble',
+  ]);
+  const label = bubble.add([
+    text(formatBubbleText(message), { size: 10, align: 'center' }),
+    pos(0, -4),
+    anchor('bot'),
+    color(26, 26, 26),
+  ]);
+  bubble.width = label.width + 12;
+  bubble.height = label.height + 8;
+  chatBubbles.set(playerId, bubble);
+  bubble.onDestroy(() => {
+    if (chatBubbles.get(playerId) === bubble) chatBubbles.delete(playerId);
+  });
+
+  // Follow the player (above the name label)
+  bubble.onUpdate(() => {
+    if (!target.exists()) {
+      destroy(bubble);
+      return;
+    }
+    bubble.pos = vec2(target.pos.x, target.pos.y - 85);
+  });
+}
+
 /**
  * Create sparkle effect
  */
 function createSparkleEffect(x, y, isGolden) {
+  if (isReducedMotion()) return;
+
   const sparkleCount = isGolden ? 15 : 5;
   const sparkleColor = isGolden ? [255, 200, 50] : [255, 220, 100];
   const sparkleSize = isGolden ? 5 : 3;
@@ -339,75 +785,144 @@ function createThrownFritelleVisual(data) {
     lifespan(1.5, { fade: 0.3 }),
     z(15),
     'thrown-fritelle-remote',
+    { projectileId: data.projectileId },
   ]);
 }
 
 /**
- * Show hit effect
+ * Show a server-confirmed hit: flash, knockback, stolen fritelles and the
+ * target blinking while it can't be hit again
  */
-function showHitEffect(targetId, _throwerId) {
-  const data = otherPlayers.get(targetId);
+function showHitEffect(msg) {
+  // The remote projectile stops at the target
+  get('thrown-fritelle-remote')
+    .filter((t) => t.projectileId === msg.projectileId)
+    .forEach(destroy);
+
+  const data = otherPlayers.get(msg.targetId);
   if (data && data.sprite?.exists()) {
-    // Flash red effect using opacity pulse
-    const origOpacity = data.sprite.opacity ?? 1;
-    data.sprite.opacity = 0.5;
-    wait(0.1, () => {
-      if (data.sprite?.exists()) {
-        data.sprite.opacity = origOpacity;
-      }
-    });
+    blinkWhileInvulnerable(data.sprite, msg.invulnerableMs);
+    // Thrown fritelles pass through them until it ends (see throwFritelle)
+    data.hitbox.invulnerableUntil = Date.now() + msg.invulnerableMs;
+    // Their knocked-back position arrives in the next snapshot
   }
 
   // If local player was hit
-  if (targetId === localPlayerId) {
+  if (msg.targetId === localPlayerId) {
+    if (!isReducedMotion()) {
+      add([
+        rect(width(), height()),
+        pos(0, 0),
+        color(255, 0, 0),
+        opacity(0.3),
+        fixed(),
+        z(100),
+        lifespan(0.2, { fade: 0.1 }),
+      ]);
+    }
+    setFritelleCount(msg.targetCount);
+    if (localPlayer?.exists()) {
+      tween(localPlayer.pos, vec2(msg.x, msg.y), 0.15, (p) => (localPlayer.pos = p));
+      blinkWhileInvulnerable(localPlayer, msg.invulnerableMs);
+    }
+  }
+
+  // Stolen fritelles go to the thrower
+  if (msg.throwerId === localPlayerId && msg.throwerCount !== null) {
+    setFritelleCount(msg.throwerCount);
+  }
+  const thrower =
+    msg.throwerId === localPlayerId ? localPlayer : otherPlayers.get(msg.throwerId)?.sprite;
+  if (msg.stolen > 0 && thrower?.exists()) {
     add([
-      rect(width(), height()),
-      pos(0, 0),
-      color(255, 0, 0),
-      opacity(0.3),
-      fixed(),
-      z(100),
-      lifespan(0.2, { fade: 0.1 }),
+      text(`+${msg.stolen}`, { size: 14 }),
+      pos(thrower.pos.x, thrower.pos.y - 60),
+      anchor('center'),
+      color(255, 220, 100),
+      move(vec2(0, -1), 40),
+      opacity(1),
+      lifespan(0.8, { fade: 0.3 }),
+      z(16),
     ]);
   }
 }
 
+/**
+ * Blink a player sprite for the invulnerability window after a hit
+ */
+function blinkWhileInvulnerable(target, ms) {
+  const blink = loop(0.1, () => {
+    if (target.exists()) target.opacity = target.opacity < 1 ? 1 : 0.4;
+  });
+  wait(ms / 1000, () => {
+    blink.cancel();
+    if (target.exists()) target.opacity = 1;
+  });
+}
+
+/**
+ * Send a message in the encoding negotiated for this socket
+ */
+function sendMessage(msg) {
+  if (socket && socket.readyState === WebSocket.OPEN) {
+    socket.send(encodeMessage(msg, getEncoding(socket.protocol)));
+  }
+}
+
 // --- Public API ---
 
+/**
+ * Register the local player entity so server corrections can move it
+ */
+export function setLocalPlayer(player) {
+  localPlayer = player;
+}
+
 /**
  * Send position to server
  */
 export function sendPosition(x, y, direction) {
-  if (socket && socket.readyState === WebSocket.OPEN) {
-    socket.send(JSON.stringify({ type: 'move', x, y, direction }));
-  }
+  sendMessage({ type: 'move', x, y, direction });
 }
 
 /**
  * Send collection event
  */
 export function sendCollect(fritelleId) {
-  if (socket && socket.readyState === WebSocket.OPEN) {
-    socket.send(JSON.stringify({ type: 'collect', fritelleId }));
-  }
+  sendMessage({ type: 'collect', fritelleId });
 }
 
 /**
  * Send throw event
  */
 export function sendThrow(x, y, dx, dy) {
-  if (socket && socket.readyState === WebSocket.OPEN) {
-    socket.send(JSON.stringify({ type: 'throw', x, y, dx, dy }));
-  }
+  sendMessage({ type: 'throw', x, y, dx, dy });
 }
 
 /**
- * Send hit event
+ * Send a chat message
+ * @param {'global' | 'proximity'} channel
+ * @param {string} text
+ * @returns {boolean} false if not connected
  */
-export function sendHit(targetId) {
-  if (socket && socket.readyState === WebSocket.OPEN) {
-    socket.send(JSON.stringify({ type: 'hit', targetId }));
-  }
+export function sendChat(channel, text) {
+  if (!connected) return false;
+  sendMessage({ type: 'chat', channel, text });
+  return true;
+}
+
+/**
+ * Send an emote (id from EMOTES) for players in range to see
+ */
+export function sendEmote(emoteId) {
+  sendMessage({ type: 'emote', emoteId });
+}
+
+/**
+ * Whether thrown fritelles hit players in the joined instance
+ */
+export function isCombatEnabled() {
+  return connected && !!getSelectedInstance().combat;
 }
 
 /**
@@ -432,21 +947,33 @@ export function getPlayerCount() {
 }
 
 /**
- * For now, don't use server fritelles - let local system handle it
- * This keeps gameplay consistent in single/multiplayer
+ * Where the other players are drawn right now (for the minimap)
+ * @returns {Array<{id: string, name: string, x: number, y: number}>}
+ */
+export function getOtherPlayerPositions() {
+  return [...otherPlayers]
+    .filter(([, data]) => data.sprite.exists())
+    .map(([id, data]) => ({ id, name: data.name, x: data.sprite.pos.x, y: data.sprite.pos.y }));
+}
+
+/**
+ * Whether fritelles come from the server (connected) or are spawned locally
  */
 export function useServerFritelles() {
-  return false;
+  return connected;
 }
 
 /**
  * Disconnect
  */
 export function disconnect() {
+  shouldReconnect = false;
+  clearTimeout(reconnectTimer);
+  hideReconnectNotice();
+  // Leaving on purpose - don't resume this player next time
+  sessionStorage.removeItem(SESSION_KEY);
   if (socket) {
-    socket.close();
-    socket = null;
-    connected = false;
+    closeSocket();
     localPlayerId = null;
   }
 }
@@ -0,0 +1,228 @@
+/**
+ * Pathfinding
+ *
+ * A walkability grid over the map (one cell per game tile) and A* search on
+ * it, so the player can walk somewhere by itself (click/tap-to-move,
+ * minimap markers, fast travel). Pure functions, no KaPlay.
+ *
+ * A cell is walkable when the map has ground there and the player's
+ * collision box, centred on the cell, stays inside the area the player is
+ * clamped to and doesn't touch any of the static bodies from entity-loader.js
+ * (see getCollisionShapes there).
+ */
+
+// The player's collision box around player.pos: area Rect(-5, -2, 10, 14) scaled 2.4 (player.js)
+const PLAYER_BOX = { left: -12, right: 12, top: -4.8, bottom: 28.8 };
+const BOX_INSET = 1; // px, so touching a shape's edge doesn't block a cell
+
+const NEIGHBORS = [
+  [1, 0],
+  [-1, 0],
+  [0, 1],
+  [0, -1],
+  [1, 1],
+  [1, -1],
+  [-1, 1],
+  [-1, -1],
+];
+
+/**
+ * Ray-casting point-in-polygon test
+ */
+function isInsidePolygon(x, y, points) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [xi, yi] = points[i];
+    const [xj, yj] = points[j];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Whether a world point lies inside any shape
+ * @param {Array<{type: 'rect', x, y, w, h} | {type: 'polygon', points: number[][]}>} shapes
+ */
+export function isPointBlocked(shapes, x, y) {
+  return shapes.some((shape) => {
+    if (shape.type === 'rect') {
+      return x > shape.x && x < shape.x + shape.w && y > shape.y && y < shape.y + shape.h;
+    }
+    return isInsidePolygon(x, y, shape.points);
+  });
+}
+
+/**
+ * Build the walkability grid
+ * @param {Object} options
+ * @param {number} options.cols
+ * @param {number} options.rows
+ * @param {number} options.cellSize - px (GAME_CONFIG.tileSize)
+ * @param {{minX: number, maxX: number, minY: number, maxY: number}} options.bounds - Where
+ *   player.pos may be
+ * @param {Array} options.shapes - World-space collision shapes
+ * @param {Array<Array>} [options.groundTiles] - The map's ground layer; cells without a
+ *   ground tile (outside its rows, or a negative index) aren't walkable
+ * @returns {{cols: number, rows: number, cellSize: number, walkable: Uint8Array}}
+ */
+export function buildWalkGrid({ cols, rows, cellSize, bounds, shapes, groundTiles = null }) {
+  const walkable = new Uint8Array(cols * rows);
+  const xs = [PLAYER_BOX.left + BOX_INSET, 0, PLAYER_BOX.right - BOX_INSET];
+  const ys = [
+    PLAYER_BOX.top + BOX_INSET,
+    (PLAYER_BOX.top + PLAYER_BOX.bottom) / 2,
+    PLAYER_BOX.bottom - BOX_INSET,
+  ];
+
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const cx = (col + 0.5) * cellSize;
+      const cy = (row + 0.5) * cellSize;
+      const inBounds =
+        cx >= bounds.minX && cx <= bounds.maxX && cy >= bounds.minY && cy <= bounds.maxY;
+      const clear =
+        inBounds &&
+        hasGround(groundTiles, col, row) &&
+        xs.every((dx) => ys.every((dy) => !isPointBlocked(shapes, cx + dx, cy + dy)));
+      walkable[row * cols + col] = clear ? 1 : 0;
+    }
+  }
+
+  return { cols, rows, cellSize, walkable };
+}
+
+function hasGround(groundTiles, col, row) {
+  if (!groundTiles) return true;
+  const tile = groundTiles[row]?.[col];
+  if (tile === undefined || tile === null) return false;
+  // [tilesetIndex, tileIndex] from the map editor, or a bare tile index
+  return (Array.isArray(tile) ? tile[1] : tile) >= 0;
+}
+
+function isWalkable(grid, col, row) {
+  return (
+    col >= 0 &&
+    row >= 0 &&
+    col < grid.cols &&
+    row < grid.rows &&
+    grid.walkable[row * grid.cols + col] === 1
+  );
+}
+
+function toCell(grid, point) {
+  return {
+    col: Math.floor(point.x / grid.cellSize),
+    row: Math.floor(point.y / grid.cellSize),
+  };
+}
+
+function toPoint(grid, index) {
+  return {
+    x: ((index % grid.cols) + 0.5) * grid.cellSize,
+    y: (Math.floor(index / grid.cols) + 0.5) * grid.cellSize,
+  };
+}
+
+/**
+ * The walkable cell closest to a point (the point's own cell if walkable)
+ * @returns {number} Cell index, or -1 if nothing is walkable
+ */
+export function findNearestWalkable(grid, point) {
+  const { col, row } = toCell(grid, point);
+  if (isWalkable(grid, col, row)) return row * grid.cols + col;
+
+  let best = -1;
+  let bestDist = Infinity;
+  for (let i = 0; i < grid.walkable.length; i++) {
+    if (!grid.walkable[i]) continue;
+    const cell = toPoint(grid, i);
+    const dist = (cell.x - point.x) ** 2 + (cell.y - point.y) ** 2;
+    if (dist < bestDist) {
+      best = i;
+      bestDist = dist;
+    }
+  }
+  return best;
+}
+
+// Octile distance: exact for 8-direction moves on an open grid
+function heuristic(grid, a, b) {
+  const dx = Math.abs((a % grid.cols) - (b % grid.cols));
+  const dy = Math.abs(Math.floor(a / grid.cols) - Math.floor(b / grid.cols));
+  return Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy);
+}
+
+/**
+ * A* from one world point to another, 8 directions without cutting corners
+ * Blocked endpoints move to the nearest walkable cell.
+ * @returns {Array<{x: number, y: number}>|null} Waypoints (cell centres where the
+ *   path turns, ending at the goal cell), empty if already there, null if unreachable
+ */
+export function findPath(grid, from, to) {
+  const start = findNearestWalkable(grid, from);
+  const goal = findNearestWalkable(grid, to);
+  if (start === -1 || goal === -1) return null;
+  if (start === goal) return [];
+
+  const cost = new Float64Array(grid.walkable.length).fill(Infinity);
+  const cameFrom = new Int32Array(grid.walkable.length).fill(-1);
+  const closed = new Uint8Array(grid.walkable.length);
+  const open = new Map([[start, heuristic(grid, start, goal)]]); // index -> estimated total
+  cost[start] = 0;
+
+  while (open.size > 0) {
+    let current = -1;
+    let lowest = Infinity;
+    for (const [index, estimate] of open) {
+      if (estimate < lowest) {
+        current = index;
+        lowest = estimate;
+      }
+    }
+
+    if (current === goal) return toWaypoints(grid, cameFrom, goal);
+    open.delete(current);
+    closed[current] = 1;
+
+    const col = current % grid.cols;
+    const row = Math.floor(current / grid.cols);
+    for (const [dx, dy] of NEIGHBORS) {
+      const nextCol = col + dx;
+      const nextRow = row + dy;
+      if (!isWalkable(grid, nextCol, nextRow)) continue;
+      // Diagonals need both sides open, or the player's box would clip the corner
+      if (dx && dy && !(isWalkable(grid, col + dx, row) && isWalkable(grid, col, row + dy))) {
+        continue;
+      }
+
+      const next = nextRow * grid.cols + nextCol;
+      if (closed[next]) continue;
+      const nextCost = cost[current] + (dx && dy ? Math.SQRT2 : 1);
+      if (nextCost < cost[next]) {
+        cost[next] = nextCost;
+        cameFrom[next] = current;
+        open.set(next, nextCost + heuristic(grid, next, goal));
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Cell chain to waypoints, keeping only the cells where the direction changes
+ */
+function toWaypoints(grid, cameFrom, goal) {
+  const cells = [];
+  for (let index = goal; index !== -1; index = cameFrom[index]) cells.unshift(index);
+
+  const waypoints = [];
+  for (let i = 1; i < cells.length; i++) {
+    const next = cells[i + 1];
+    const straight = next !== undefined && next - cells[i] === cells[i] - cells[i - 1];
+    if (!straight) waypoints.push(toPoint(grid, cells[i]));
+  }
+  return waypoints;
+}
@@ -0,0 +1,134 @@
+/**
+ * Player Settings
+ *
+ * Key bindings, UI scale, reduced motion, high-contrast name labels and
+ * sound volume, edited on the pause menu's Settings screen. Saved in
+ * localStorage and, for logged-in players, in the profile's `settings`
+ * (the pause scene saves them, loading.js applies the profile's on login).
+ *
+ * Keys and volume are handed to input.js and audio.js; the rest is read
+ * through the getters here. Gamepad bindings are kept by input.js.
+ */
+
+import { getKeyBindings, setKeyBindings } from './input.js';
+import { VOLUME_CHANNELS, getVolume, setVolume } from './audio.js';
+
+// Multipliers on GAME_CONFIG.uiScale offered by the Settings screen
+export const UI_SCALE_STEPS = [0.75, 0.875, 1, 1.125, 1.25];
+
+const STORAGE_KEY = 'gameSettings';
+
+let uiScale = 1;
+let reducedMotion = false;
+let highContrast = false;
+
+applySettings(loadSavedSettings());
+
+/**
+ * Current settings (a copy, in the shape that is saved)
+ * @returns {{keys: Object, uiScale: number, reducedMotion: boolean,
+ *   highContrast: boolean, volume: Object}}
+ */
+export function getSettings() {
+  return {
+    keys: getKeyBindings(),
+    uiScale,
+    reducedMotion,
+    highContrast,
+    volume: Object.fromEntries(VOLUME_CHANNELS.map((channel) => [channel, getVolume(channel)])),
+  };
+}
+
+/**
+ * Replace all settings (e.g. with the ones saved to the player profile)
+ * Missing or invalid values get their default.
+ * @returns {Object} The settings now in use
+ */
+export function setSettings(saved) {
+  applySettings(saved);
+  const settings = getSettings();
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  return settings;
+}
+
+/**
+ * Change some settings, keeping the rest
+ * @param {Object} changes - Top-level fields of getSettings()
+ * @returns {Object} The settings now in use
+ */
+export function updateSettings(changes) {
+  return setSettings({ ...getSettings(), ...changes });
+}
+
+export function resetSettings() {
+  return setSettings({});
+}
+
+/**
+ * Multiplier on GAME_CONFIG.uiScale (see getUiScale in ui-layout.js)
+ */
+export function getUiScaleOverride() {
+  return uiScale;
+}
+
+/**
+ * No sparkles, screen flashes or the red hit pulse
+ */
+export function isReducedMotion() {
+  return reducedMotion;
+}
+
+export function isHighContrast() {
+  return highContrast;
+}
+
+/**
+ * Solid backing behind a name label, shown in high-contrast mode
+ * Checked every frame, so toggling the setting applies right away; goes
+ * away with the label.
+ */
+export function addNameLabelBackdrop(label) {
+  const backdrop = add([
+    rect(1, 1, { radius: 3 }),
+    pos(label.pos.clone()),
+    anchor('center'),
+    color(0, 0, 0),
+    opacity(0.85),
+    z(label.z - 0.05),
+  ]);
+
+  backdrop.onUpdate(() => {
+    if (!label.exists()) {
+      destroy(backdrop);
+      return;
+    }
+    backdrop.hidden = !highContrast || label.hidden;
+    backdrop.pos = label.pos.clone();
+    backdrop.width = label.width + 8;
+    backdrop.height = label.height + 4;
+  });
+
+  return backdrop;
+}
+
+function applySettings(saved) {
+  setKeyBindings(saved?.keys);
+  uiScale = UI_SCALE_STEPS.includes(saved?.uiScale) ? saved.uiScale : 1;
+  reducedMotion = saved?.reducedMotion === true;
+  highContrast = saved?.highContrast === true;
+  for (const channel of VOLUME_CHANNELS) {
+    setVolume(channel, saved?.volume?.[channel] ?? 1);
+  }
+
+  // DOM overlays (chat, minimap, command palette, dialog box) scale with CSS zoom
+  document.documentElement.style.setProperty('--ui-scale', String(uiScale));
+}
+
+function loadSavedSettings() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY));
+  } catch {
+    // Invalid JSON in localStorage - use defaults
+    return null;
+  }
+}
@@ -0,0 +1,76 @@
+/**
+ * Tool Status
+ *
+ * Live up/down state of the tools from the server's GET /api/status/details,
+ * which maps Uptime Kuma monitors to keys (athena, compare, xp, tools, reports)
+ * and adds when each was last seen down. Buildings name their monitor with the
+ * `statusKey` map entity property.
+ */
+
+export const TOOL_STATUS_LABELS = {
+  up: 'Online',
+  down: 'Down',
+  unknown: 'Unknown',
+};
+
+export const TOOL_STATUS_COLORS = {
+  up: [80, 200, 120],
+  down: [230, 70, 70],
+  unknown: [150, 150, 150],
+};
+
+// Same as the server's status cache, polling faster only repeats its answer
+export const STATUS_POLL_SECONDS = 30;
+
+const UNKNOWN_STATUS = { status: 'unknown', lastIncidentAt: null };
+
+/**
+ * Fetch the status of every monitored tool
+ * @returns {Promise<Object<string, {status: 'up'|'down'|'unknown', lastIncidentAt: number|null}>>}
+ */
+export async function fetchToolStatus() {
+  const response = await fetch('/api/status/details', { credentials: 'same-origin' });
+  if (!response.ok) {
+    throw new Error(`Status request failed (${response.status})`);
+  }
+  return response.json();
+}
+
+/**
+ * A tool's status, unknown if it has no monitor or the server doesn't know it
+ * @returns {{status: 'up'|'down'|'unknown', lastIncidentAt: number|null}}
+ */
+export function getToolStatus(statuses, statusKey) {
+  const entry = statusKey ? statuses?.[statusKey] : null;
+  if (!entry || !(entry.status in TOOL_STATUS_LABELS)) return UNKNOWN_STATUS;
+  return { status: entry.status, lastIncidentAt: entry.lastIncidentAt ?? null };
+}
+
+/**
+ * "Last incident 3 h ago", or "No recent incidents"
+ * Uptime Kuma's status page only keeps the latest heartbeats, hence "recent".
+ */
+export function describeLastIncident(lastIncidentAt, now = Date.now()) {
+  if (!lastIncidentAt) return 'No recent incidents';
+  const minutes = Math.max(0, Math.floor((now - lastIncidentAt) / 60000));
+  if (minutes < 1) return 'Last incident just now';
+  if (minutes < 60) return `Last incident ${minutes} min ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `Last incident ${hours} h ago`;
+  return `Last incident ${Math.floor(hours / 24)} d ago`;
+}
+
+/**
+ * Fetch now and every STATUS_POLL_SECONDS until the scene ends
+ * A failed request leaves the previous status in place (unknown until the first answer).
+ * @param {(statuses: Object) => void} onStatus
+ */
+export function pollToolStatus(onStatus) {
+  const poll = () =>
+    fetchToolStatus()
+      .then(onStatus)
+      .catch((error) => console.warn('[ToolStatus] Status check failed:', error));
+
+  poll();
+  loop(STATUS_POLL_SECONDS, poll);
+}
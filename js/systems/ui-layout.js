@@ -6,13 +6,23 @@
  */
 
 import { GAME_CONFIG } from '../config.js';
+import { getUiScaleOverride } from './settings.js';
+
+/**
+ * UI scale: GAME_CONFIG.uiScale times the player's override (pause menu Settings)
+ * @param {number} [max] - Largest scale the caller's layout fits in the viewport
+ */
+export function getUiScale(max = Infinity) {
+  return Math.min(GAME_CONFIG.uiScale * getUiScaleOverride(), max);
+}
 
 /**
  * Get layout regions for pause menu
- * Two-column layout: 55% left (controls), 45% right (character)
+ * Three-column layout: 38% left (controls), 27% middle (leaderboard), 35% right (character)
  */
 export function getPauseLayout() {
-  const S = GAME_CONFIG.uiScale;
+  // The three columns fill the viewport at the default scale, so it can only shrink
+  const S = getUiScale(GAME_CONFIG.uiScale);
   const W = width();
   const H = height();
 
@@ -23,10 +33,12 @@ export function getPauseLayout() {
   const usableW = W - margin * 2;
   const _usableH = H - margin * 2; // Reserved for vertical constraints
 
-  // Two-column layout: 55% left, 45% right with gap
+  // Three-column layout: 38% left, 27% middle, 35% right with gaps
   const columnGap = 20 * S;
-  const leftColWidth = usableW * 0.55 - columnGap / 2;
-  const rightColWidth = usableW * 0.45 - columnGap / 2;
+  const leftColWidth = usableW * 0.38 - columnGap / 2;
+  const midColWidth = usableW * 0.27 - columnGap;
+  const rightColWidth = usableW * 0.35 - columnGap / 2;
+  const midColX = margin + leftColWidth + columnGap;
 
   return {
     // Viewport
@@ -43,6 +55,11 @@ export function getPauseLayout() {
       width: leftColWidth,
       center: margin + leftColWidth / 2,
     },
+    midCol: {
+      x: midColX,
+      width: midColWidth,
+      center: midColX + midColWidth / 2,
+    },
     rightCol: {
       x: W - margin - rightColWidth,
       width: rightColWidth,
@@ -72,7 +89,7 @@ export function getPauseLayout() {
  * Calculates card sizes to fit 4x2 grid within viewport
  */
 export function getCharSelectLayout() {
-  const S = GAME_CONFIG.uiScale;
+  const S = getUiScale();
   const W = width();
   const H = height();
 
@@ -146,7 +163,7 @@ export function getCharSelectLayout() {
  * Centers all elements in viewport
  */
 export function getLoadingLayout() {
-  const S = GAME_CONFIG.uiScale;
+  const S = getUiScale();
   const W = width();
   const H = height();
 
@@ -190,3 +207,67 @@ export function getLoadingLayout() {
     },
   };
 }
+
+/**
+ * Get layout for the fritelle rush banner and results screen
+ * Results panel rows shrink to fit the viewport
+ * @param {number} rowCount - Scoreboard rows shown
+ */
+export function getRushLayout(rowCount) {
+  const S = getUiScale();
+  const W = width();
+  const H = height();
+
+  const panelW = Math.min(420 * S, W * 0.8);
+  const headerH = 80 * S;
+  const footerH = 40 * S;
+  const rowH = Math.min(24 * S, (H * 0.8 - headerH - footerH) / Math.max(rowCount, 1));
+  const panelH = headerH + footerH + rowH * Math.max(rowCount, 1);
+  const panelX = (W - panelW) / 2;
+  const panelY = (H - panelH) / 2;
+
+  return {
+    scale: S,
+
+    // Banner (top center, below the reconnect notice)
+    banner: {
+      x: W / 2,
+      y: 48 * S,
+      width: Math.min(320 * S, W * 0.8),
+      height: 36 * S,
+      size: 14 * S,
+    },
+
+    // Results panel (centered)
+    panel: {
+      x: panelX,
+      y: panelY,
+      width: panelW,
+      height: panelH,
+    },
+
+    title: {
+      x: W / 2,
+      y: panelY + 30 * S,
+      size: 20 * S,
+    },
+
+    // Scoreboard columns and rows
+    rows: {
+      startY: panelY + headerH,
+      height: rowH,
+      size: Math.max(10, Math.round(12 * S)),
+      rankX: panelX + 24 * S,
+      nameX: panelX + 64 * S,
+      collectionsX: panelX + panelW - 110 * S,
+      pointsX: panelX + panelW - 24 * S,
+    },
+
+    // Dismiss hint (panel bottom)
+    hint: {
+      x: W / 2,
+      y: panelY + panelH - footerH / 2,
+      size: 10 * S,
+    },
+  };
+}
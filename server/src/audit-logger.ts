@@ -35,6 +35,7 @@ export enum AuthEventType {
   DOMAIN_VIOLATION = 'domain_violation',
   ALLOWLIST_VIOLATION = 'allowlist_violation',
   AUTH_BYPASSED = 'auth_bypassed',
+  RATE_LIMITED = 'rate_limited',
 }
 
 interface AuditEvent {
@@ -328,6 +329,14 @@ export class AuditLogger {
     );
   }
 
+  // -------------------------------------------------------------------------
+  // Abuse Events (game socket flood protection)
+  // -------------------------------------------------------------------------
+
+  logRateLimited(email?: string, clientIp?: string, details?: Record<string, unknown>): void {
+    this.log(AuthEventType.RATE_LIMITED, email, clientIp, false, details);
+  }
+
   // -------------------------------------------------------------------------
   // Development Events
   // -------------------------------------------------------------------------
@@ -7,16 +7,101 @@
 
 import 'dotenv/config';
 import { WebSocketServer, WebSocket } from 'ws';
-import { createServer } from 'http';
+import { createServer, IncomingMessage } from 'http';
 import express from 'express';
 import path from 'path';
 import fs from 'fs';
+import { randomUUID } from 'crypto';
 import { createProxyMiddleware } from 'http-proxy-middleware';
 import jwt from 'jsonwebtoken';
 import cookieParser from 'cookie-parser';
 import { createClient } from '@supabase/supabase-js';
 import cors from 'cors';
 import { AuditLogger } from './audit-logger';
+import {
+  GameData,
+  MapData,
+  SpawnRules,
+  SpawnRulesModule,
+  WireData,
+  WireEncoding,
+  WireProtocol,
+  loadGameData,
+} from './services/game-data';
+import { buildCollisionShapes, isPointBlocked } from './services/world-collision';
+import {
+  MovementRules,
+  MovementState,
+  createMovementRules,
+  validateMove,
+} from './services/movement-validator';
+import { createThrowRecord, isWithinPickupRange } from './services/fritelle-validator';
+import {
+  INVULNERABLE_MS,
+  Projectile,
+  knockbackPosition,
+  stealAmount,
+  traceProjectile,
+} from './services/combat';
+import {
+  MAX_VIOLATIONS,
+  MessageErrorCode,
+  MessageSchemas,
+  ValidationResult,
+  createMessageSchemas,
+  recordViolation,
+  validateMessage,
+} from './services/message-schema';
+import {
+  ConnectionCounter,
+  MAX_MESSAGE_BYTES,
+  checkRateLimit,
+  createRateLimitState,
+} from './services/rate-limiter';
+import {
+  ChatEntry,
+  ChatHistory,
+  PROXIMITY_RADIUS_TILES,
+  isWithinEarshot,
+  normalizeChatText,
+} from './services/chat';
+import {
+  LeaderboardEntry,
+  LeaderboardPeriod,
+  ScoreDelta,
+  createScoreDelta,
+  fetchLeaderboard,
+  hasScoreChanges,
+  isLeaderboardPeriod,
+  mergeScoreDelta,
+  recordScore,
+} from './services/score-database';
+import {
+  AUTH_COOKIE,
+  getInstanceId,
+  getResumeToken,
+  getUpgradeToken,
+  verifyAccessToken,
+} from './services/socket-auth';
+import { fetchPlayerProfile } from './services/player-database';
+import { isAppAdmin } from './services/app-roles';
+import {
+  InterestGrid,
+  ViewConfig,
+  containsPoint,
+  createViewConfig,
+  getViewRect,
+  getWatcherRect,
+} from './services/interest-grid';
+import { PlayerDelta, PlayerState, TICK_INTERVAL_MS, computeDelta } from './services/snapshot';
+import { InstanceDef, InstanceSummary } from './services/world-instance';
+import { RushRound, getRushSpawnRules, parseRushOptions } from './services/fritelle-rush';
+import {
+  ServiceStatus,
+  UptimeKumaResponse,
+  summarizeHeartbeats,
+  unknownStatuses,
+} from './services/service-status';
 
 // Initialize audit logger for this app
 const audit = new AuditLogger('tools-hub');
@@ -41,7 +126,7 @@ function isDevelopmentEnvironment(): boolean {
 /**
  * Get real client IP, handling proxies (Railway, Cloudflare, etc.)
  */
-function getClientIp(req: express.Request): string {
+function getClientIp(req: IncomingMessage): string {
   const forwardedFor = req.headers['x-forwarded-for'];
   if (forwardedFor) {
     const ips = Array.isArray(forwardedFor) ? forwardedFor[0] : forwardedFor;
@@ -57,7 +142,7 @@ function getClientIp(req: express.Request): string {
 /**
  * Check if authentication should be bypassed for development
  */
-function shouldBypassAuth(req: express.Request): boolean {
+function shouldBypassAuth(req: IncomingMessage): boolean {
   if (!isDevelopmentEnvironment()) {
     return false;
   }
@@ -354,6 +439,7 @@ app.get('/health', (req, res) => {
   res.json({
     status: 'ok',
     players: players.size,
+    instances: worlds.size,
     proxies: {
       pingTree: PING_TREE_TARGET,
     },
@@ -366,74 +452,56 @@ app.get('/health', (req, res) => {
 
 const UPTIME_KUMA_API = 'https://uptime.epcvip.vip/api/status-page/heartbeat/epcvip';
 
-// Uptime Kuma heartbeat response type
-interface UptimeKumaHeartbeat {
-  status: number; // 1 = up, 0 = down
-  time: string;
-  msg: string;
-  ping: number;
-}
-
-interface UptimeKumaResponse {
-  heartbeatList?: Record<string, UptimeKumaHeartbeat[]>;
-}
-
-// Monitor ID → service key mapping (verified from Uptime Kuma dashboard)
-// Note: Monitor 3 (Tools Hub itself) is skipped to avoid self-monitoring loop
-const MONITOR_MAP: Record<string, string> = {
-  '1': 'athena', // Athena Monitor
-  '2': 'compare', // Ping Tree Compare
-  '4': 'xp', // Experiments Dashboard
-  '5': 'tools', // Competitor Analyzer
-  '6': 'reports', // Reports Dashboard
-};
-
 // Cache to prevent amplification
-let statusCache: { data: Record<string, string>; timestamp: number } | null = null;
+let statusCache: { data: Record<string, ServiceStatus>; timestamp: number } | null = null;
 const STATUS_CACHE_TTL = 30000; // 30 seconds
 
-app.get('/api/status', async (req, res) => {
+/**
+ * Status and last incident per service, from cache or Uptime Kuma
+ * Falls back to the last good result, or all unknown, if Uptime Kuma can't be reached.
+ */
+async function getServiceStatuses(): Promise<Record<string, ServiceStatus>> {
   // Return cached if fresh
   if (statusCache && Date.now() - statusCache.timestamp < STATUS_CACHE_TTL) {
-    return res.json(statusCache.data);
+    return statusCache.data;
   }
 
   try {
     const response = await fetch(UPTIME_KUMA_API, {
       signal: AbortSignal.timeout(5000),
     });
-    const data = (await response.json()) as UptimeKumaResponse;
-
-    // Parse latest heartbeat for each monitor
-    const status: Record<string, string> = {};
-    for (const [monitorId, key] of Object.entries(MONITOR_MAP)) {
-      const heartbeats = data.heartbeatList?.[monitorId];
-      if (heartbeats && heartbeats.length > 0) {
-        status[key] = heartbeats[0].status === 1 ? 'up' : 'down';
-      } else {
-        status[key] = 'unknown';
-      }
-    }
-
-    // Cache and return
-    statusCache = { data: status, timestamp: Date.now() };
-    return res.json(status);
+    const data = summarizeHeartbeats((await response.json()) as UptimeKumaResponse);
+    statusCache = { data, timestamp: Date.now() };
+    return data;
   } catch (error) {
     console.error('Uptime Kuma API error:', error);
-    // Return cached data if available, otherwise all unknown
-    if (statusCache) {
-      return res.json(statusCache.data);
-    }
-    return res.json({
-      athena: 'unknown',
-      compare: 'unknown',
-      xp: 'unknown',
-      tools: 'unknown',
-      reports: 'unknown',
-    });
+    return statusCache ? statusCache.data : unknownStatuses();
   }
+}
+
+// { athena: 'up', compare: 'down', ... }
+app.get('/api/status', async (req, res) => {
+  const statuses = await getServiceStatuses();
+  res.json(Object.fromEntries(Object.entries(statuses).map(([key, s]) => [key, s.status])));
 });
 
+// { athena: { status: 'up', lastIncidentAt: <ms epoch> | null }, ... } for the overworld buildings
+app.get('/api/status/details', async (req, res) => {
+  res.json(await getServiceStatuses());
+});
+
+// ============================================================
+// Fritelle Leaderboard (authenticated - registered after the auth middleware)
+// ============================================================
+
+const LEADERBOARD_LIMIT = 10;
+const LEADERBOARD_CACHE_TTL = 30000; // 30 seconds
+
+const leaderboardCache = new Map<
+  LeaderboardPeriod,
+  { data: LeaderboardEntry[]; timestamp: number }
+>();
+
 // ============================================================
 // Per-user app visibility (for shared header app-switcher)
 // ============================================================
@@ -465,6 +533,17 @@ async function getUserVisibleApps(email: string, accessToken: string): Promise<s
 // Auth Middleware - Protect app routes
 // ============================================================
 
+/**
+ * Audit a failed token verification (shared by HTTP routes and WebSocket upgrades)
+ */
+function logTokenFailure(error: Error, clientIp: string) {
+  if (error.name === 'TokenExpiredError') {
+    audit.logTokenExpired(undefined, clientIp);
+  } else {
+    audit.logTokenInvalid(clientIp, error.message);
+  }
+}
+
 // Routes that don't require authentication
 const PUBLIC_PATHS = [
   '/login',
@@ -500,7 +579,7 @@ app.use(async (req, res, next) => {
   }
 
   // Check for auth cookie
-  const token = req.cookies['sb-access-token'];
+  const token = req.cookies[AUTH_COOKIE];
   if (!token) {
     // Log missing token failure
     audit.logLoginFailure(undefined, clientIp, 'no_token_provided');
@@ -522,7 +601,8 @@ app.use(async (req, res, next) => {
   }
 
   try {
-    const payload = jwt.verify(token, JWT_SECRET) as { email?: string };
+    const payload = verifyAccessToken(token, JWT_SECRET);
+    res.locals.email = payload.email; // For per-route role checks
     // Log successful token validation
     if (payload.email) {
       audit.logTokenValidated(payload.email, clientIp);
@@ -553,13 +633,8 @@ app.use(async (req, res, next) => {
     next();
   } catch (err) {
     // Invalid or expired token
-    const error = err as Error;
-    if (error.name === 'TokenExpiredError') {
-      audit.logTokenExpired(undefined, clientIp);
-    } else {
-      audit.logTokenInvalid(clientIp, error.message);
-    }
-    res.clearCookie('sb-access-token');
+    logTokenFailure(err as Error, clientIp);
+    res.clearCookie(AUTH_COOKIE);
     return res.redirect('/login');
   }
 });
@@ -568,6 +643,87 @@ app.use(async (req, res, next) => {
 const staticPath = path.join(__dirname, '../public');
 app.use(express.static(staticPath));
 
+// Fritelle leaderboard: ?period=daily|weekly|all (default all)
+app.get('/api/leaderboard', async (req, res) => {
+  const period = req.query.period ?? 'all';
+  if (!isLeaderboardPeriod(period)) {
+    return res
+      .status(400)
+      .json({ error: 'period must be daily, weekly or all', code: 'INVALID_PERIOD' });
+  }
+
+  const cached = leaderboardCache.get(period);
+  if (cached && Date.now() - cached.timestamp < LEADERBOARD_CACHE_TTL) {
+    return res.json({ data: cached.data, meta: { period, cached: true } });
+  }
+
+  const supabase = getSupabaseAdmin();
+  if (!supabase) {
+    return res.status(503).json({ error: 'Leaderboard not configured', code: 'NOT_CONFIGURED' });
+  }
+
+  try {
+    const entries = await fetchLeaderboard(supabase, period, LEADERBOARD_LIMIT);
+    leaderboardCache.set(period, { data: entries, timestamp: Date.now() });
+    return res.json({ data: entries, meta: { period, cached: false } });
+  } catch (err) {
+    console.error('[DB] Leaderboard fetch failed:', err);
+    // Serve stale data rather than an empty board
+    if (cached) {
+      return res.json({ data: cached.data, meta: { period, cached: true } });
+    }
+    return res.status(502).json({ error: 'Leaderboard unavailable', code: 'DB_ERROR' });
+  }
+});
+
+// World instances with their player counts (for the picker on the hub screen)
+app.get('/api/instances', (req, res) => {
+  const counts = new Map<World, number>();
+  players.forEach((p) => counts.set(p.world, (counts.get(p.world) || 0) + 1));
+
+  const data: InstanceSummary[] = Array.from(worlds.values(), (world) => ({
+    ...world.def,
+    players: counts.get(world) || 0,
+  }));
+  res.json({ data, meta: { default: defaultWorld.def.id } });
+});
+
+// Start a fritelle rush in an instance (tools-hub admins only; anyone under the dev bypass)
+// Body: { instance?: string, minutes?: number }
+app.post('/api/events/fritelle-rush', async (req, res) => {
+  if (!shouldBypassAuth(req)) {
+    const supabase = getSupabaseAdmin();
+    if (!supabase) {
+      return res.status(503).json({ error: 'Roles not configured', code: 'NOT_CONFIGURED' });
+    }
+    try {
+      const email = res.locals.email as string | undefined;
+      if (!email || !(await isAppAdmin(supabase, email))) {
+        return res.status(403).json({ error: 'Admins only', code: 'FORBIDDEN' });
+      }
+    } catch (err) {
+      console.error('[DB] Role check failed:', err);
+      return res.status(502).json({ error: 'Role check unavailable', code: 'DB_ERROR' });
+    }
+  }
+
+  const options = parseRushOptions(req.body);
+  if ('error' in options) {
+    return res.status(400).json({ error: options.error, code: 'INVALID_OPTIONS' });
+  }
+  const world = options.instanceId ? worlds.get(options.instanceId) : defaultWorld;
+  if (!world) {
+    return res.status(404).json({ error: 'Unknown instance', code: 'UNKNOWN_INSTANCE' });
+  }
+  if (world.rush) {
+    return res.status(409).json({ error: 'A rush is already running', code: 'RUSH_RUNNING' });
+  }
+
+  const rush = startRush(world, options.minutes * 60000);
+  console.log(`[Game] Fritelle rush in ${world.def.id} (${options.minutes} min)`);
+  res.status(202).json({ data: { instance: world.def.id, ...rush.status(Date.now()) } });
+});
+
 // Serve overworld game at /overworld
 app.get('/overworld', (req, res) => {
   res.sendFile(path.join(staticPath, 'overworld.html'));
@@ -584,30 +740,56 @@ app.get('*', (req, res, next) => {
 
 const server = createServer(app);
 
-// WebSocket server for game
-const wss = new WebSocketServer({ server });
+// WebSocket server for game (upgrades are authenticated first, see below).
+// The subprotocol picks the wire encoding: binary or JSON (see js/protocol.js).
+// Oversized frames are refused by ws itself (close code 1009) before they're buffered.
+const wss = new WebSocketServer({
+  noServer: true,
+  maxPayload: MAX_MESSAGE_BYTES,
+  handleProtocols: (offered) => protocol.selectSubprotocol(offered),
+});
 
 // Game constants
-const WORLD_WIDTH = 960;
-const WORLD_HEIGHT = 864;
-const TILE_SIZE = 24;
-const GOLDEN_CHANCE = 0.04;
+const GOLDEN_VALUE = 15;
+const SCORE_FLUSH_INTERVAL = 10000; // Write buffered scores every 10 seconds
+const RUSH_INTERVAL_MINUTES = Number(process.env.FRITELLE_RUSH_INTERVAL_MINUTES) || 0; // 0 = admin-started only
+const RUSH_SCHEDULED_MINUTES = 3; // Length of scheduled rushes
+const RESUME_GRACE_MS = 60000; // Disconnected players stay in the world this long
+const MAX_CONNECTIONS_PER_IP = Number(process.env.WS_MAX_CONNECTIONS_PER_IP) || 10; // Offices share an IP
 
 // Game state
 interface PlayerAppearance {
   characterId: string;
 }
 
-interface Player {
+interface Player extends MovementState {
   id: string;
+  world: World;
   name: string;
-  x: number;
-  y: number;
   direction: string;
   appearance: PlayerAppearance;
   fritelleCount: number;
+  invulnerableUntil: number; // ms, can't be hit by thrown fritelles before this
+  rejections: Record<string, number>; // Rejected events by message type
+  violations: number[]; // Times of recent schema-invalid messages
+  userId: string | null; // Supabase user id (null for dev-bypass guests, who aren't scored)
+  sessionId: string; // fritelle_sessions row for this connection
+  pendingScore: ScoreDelta; // Not yet written to the database
+  resumeToken: string; // Lets a new socket take over this player (rotated on each resume)
+  connectionState: 'connected' | 'reconnecting';
+  disconnectedAt: number | null;
+  reconnectTimer: ReturnType<typeof setTimeout> | null;
+  visible: Set<string>; // Players this client has spawned (in its view)
+  watchers: Set<string>; // Players whose client has this one spawned
+  lastSnapshot: PlayerState; // State as of the last tick (snapshots send changes since)
 }
 
+// Fields other clients are allowed to see (movement budget stays server-side)
+type PlayerInfo = Pick<
+  Player,
+  'id' | 'name' | 'x' | 'y' | 'direction' | 'appearance' | 'fritelleCount' | 'connectionState'
+>;
+
 interface Fritelle {
   id: string;
   x: number;
@@ -615,24 +797,120 @@ interface Fritelle {
   isGolden: boolean;
 }
 
-const players = new Map<string, Player>();
-const fritelles = new Map<string, Fritelle>();
+// A world instance: players only see, hear and hit others in the same one.
+// Player and fritelle ids are unique across instances.
+interface World {
+  def: InstanceDef;
+  fritelles: Map<string, Fritelle>;
+  interestGrid: InterestGrid;
+  movementRules: MovementRules; // Collision comes from the instance's map
+  spawnRules: SpawnRules; // From the map's spawns section
+  isBlocked: (x: number, y: number) => boolean;
+  chatHistory: ChatHistory;
+  rush: RushRound | null; // Fritelle rush announced or running
+  projectiles: Projectile[]; // Thrown fritelles in flight (combat instances only)
+}
+
+const worlds = new Map<string, World>();
+let defaultWorld: World; // First entry in maps/instances.json
+
+const players = new Map<string, Player>(); // Every instance's players
 const sockets = new Map<string, WebSocket>();
+const resumeTokens = new Map<string, string>(); // resume token -> player id
+const connectionCounter = new ConnectionCounter(MAX_CONNECTIONS_PER_IP);
 
 let playerCounter = 0;
 let fritelleCounter = 0;
+let chatCounter = 0;
+let projectileCounter = 0;
+
+// Built from GAME_CONFIG at startup (see initGame)
+let viewConfig: ViewConfig;
+let protocol: WireProtocol;
+let spawning: SpawnRulesModule; // js/spawn-rules.js
+let messageSchemas: MessageSchemas;
+let chatRadius: number; // px
 
 // Generate unique ID
 function generateId(): string {
   return `p${++playerCounter}_${Date.now().toString(36)}`;
 }
 
-// Broadcast to all connected clients
-function broadcast(msg: object, excludeId?: string) {
-  const data = JSON.stringify(msg);
+function toPlayerInfo(p: Player): PlayerInfo {
+  return {
+    id: p.id,
+    name: p.name,
+    x: p.x,
+    y: p.y,
+    direction: p.direction,
+    appearance: p.appearance,
+    fritelleCount: p.fritelleCount,
+    connectionState: p.connectionState,
+  };
+}
+
+// Count and log a rejected client event so repeat offenders stand out
+function recordRejection(p: Player, event: string, reason: string) {
+  p.rejections[event] = (p.rejections[event] || 0) + 1;
+  const total = Object.values(p.rejections).reduce((sum, n) => sum + n, 0);
+  console.warn(`[AntiCheat] ${p.id} (${p.name}) ${event} rejected: ${reason} (${total} total)`);
+}
+
+// Reply to an invalid message with a structured error; close sockets that keep sending them
+function rejectMessage(
+  p: Player,
+  ws: WebSocket,
+  code: MessageErrorCode,
+  error: string,
+  messageType: unknown
+) {
+  p.violations = recordViolation(p.violations, Date.now());
+  console.warn(
+    `[AntiCheat] ${p.id} (${p.name}) invalid ${String(messageType)} message: ${error} (${p.violations.length} recent)`
+  );
+  send(p.id, { type: 'error', code, error, messageType });
+
+  if (p.violations.length >= MAX_VIOLATIONS) {
+    console.warn(`[AntiCheat] ${p.id} (${p.name}) disconnected for repeated invalid messages`);
+    ws.close(1008, 'Too many invalid messages');
+  }
+}
+
+// Write a player's buffered score changes; failed writes are re-queued
+function flushScore(p: Player) {
+  const supabase = getSupabaseAdmin();
+  if (!supabase || !p.userId || !hasScoreChanges(p.pendingScore)) return;
+
+  const delta = p.pendingScore;
+  p.pendingScore = createScoreDelta();
+
+  recordScore(supabase, p.userId, p.sessionId, delta).catch((err) => {
+    console.error(`[DB] Failed to record score for ${p.id}:`, err);
+    // Keep the changes for the next flush if the player is still connected
+    if (players.get(p.id) === p) {
+      mergeScoreDelta(p.pendingScore, delta);
+    }
+  });
+}
+
+// Encode for a socket's negotiated encoding; the cache lets a fan-out encode once per encoding
+function encodeFor(ws: WebSocket, msg: object, cache?: Map<WireEncoding, WireData>): WireData {
+  const encoding = protocol.getEncoding(ws.protocol);
+  let data = cache?.get(encoding);
+  if (data === undefined) {
+    data = protocol.encodeMessage(msg, encoding);
+    cache?.set(encoding, data);
+  }
+  return data;
+}
+
+// Broadcast to all connected clients in a world instance
+function broadcast(world: World, msg: object, excludeId?: string) {
+  const cache = new Map<WireEncoding, WireData>();
   sockets.forEach((ws, id) => {
-    if (id !== excludeId && ws.readyState === WebSocket.OPEN) {
-      ws.send(data);
+    if (id === excludeId || players.get(id)?.world !== world) return;
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(encodeFor(ws, msg, cache));
     }
   });
 }
@@ -641,113 +919,558 @@ function broadcast(msg: object, excludeId?: string) {
 function send(playerId: string, msg: object) {
   const ws = sockets.get(playerId);
   if (ws && ws.readyState === WebSocket.OPEN) {
-    ws.send(JSON.stringify(msg));
+    ws.send(encodeFor(ws, msg));
+  }
+}
+
+// Send to every client that has this player in range
+function sendToWatchers(p: Player, msg: object) {
+  const cache = new Map<WireEncoding, WireData>();
+  p.watchers.forEach((id) => {
+    const ws = sockets.get(id);
+    if (ws && ws.readyState === WebSocket.OPEN) {
+      ws.send(encodeFor(ws, msg, cache));
+    }
+  });
+}
+
+// Send to every connected player close enough to hear p's proximity chat (p included)
+function sendToEarshot(p: Player, msg: object) {
+  const cache = new Map<WireEncoding, WireData>();
+  const area = {
+    minX: p.x - chatRadius,
+    minY: p.y - chatRadius,
+    maxX: p.x + chatRadius,
+    maxY: p.y + chatRadius,
+  };
+  p.world.interestGrid.query(area).forEach((id) => {
+    const listener = players.get(id);
+    const ws = sockets.get(id);
+    if (!listener || !ws || ws.readyState !== WebSocket.OPEN) return;
+    if (isWithinEarshot(p.x, p.y, listener.x, listener.y, chatRadius)) {
+      ws.send(encodeFor(ws, msg, cache));
+    }
+  });
+}
+
+// ============================================================
+// Interest management: clients only hear about players near their camera
+// ============================================================
+
+function canSee(observer: Player, target: Player): boolean {
+  return containsPoint(getViewRect(observer.x, observer.y, viewConfig), target.x, target.y);
+}
+
+function addToView(observer: Player, target: Player, notify: boolean) {
+  observer.visible.add(target.id);
+  target.watchers.add(observer.id);
+  if (notify) {
+    send(observer.id, { type: 'playerEnteredRange', player: toPlayerInfo(target) });
+  }
+}
+
+function removeFromView(observer: Player, target: Player, notify: boolean) {
+  observer.visible.delete(target.id);
+  target.watchers.delete(observer.id);
+  if (notify) {
+    send(observer.id, { type: 'playerLeftRange', playerId: target.id });
   }
 }
 
-// Spawn initial fritelles
-function spawnInitialFritelles() {
-  for (let i = 0; i < 8; i++) {
-    spawnFritelle();
+/**
+ * Recompute ranges after a player spawned or moved
+ * @param p - Player whose position changed
+ * @param notifySelf - Send p enter/leave events (false while building init)
+ */
+function updateInterest(p: Player, notifySelf = true) {
+  const { interestGrid } = p.world;
+  interestGrid.update(p.id, p.x, p.y);
+
+  // Who p can see (new candidates from the grid, plus everyone already spawned)
+  const seen = interestGrid.query(getViewRect(p.x, p.y, viewConfig));
+  p.visible.forEach((id) => seen.add(id));
+  seen.forEach((id) => {
+    const other = players.get(id);
+    if (!other || other === p) return;
+
+    const inRange = canSee(p, other);
+    if (inRange && !p.visible.has(id)) addToView(p, other, notifySelf);
+    else if (!inRange && p.visible.has(id)) removeFromView(p, other, notifySelf);
+  });
+
+  // Who can see p
+  const watchers = interestGrid.query(getWatcherRect(p.x, p.y, viewConfig));
+  p.watchers.forEach((id) => watchers.add(id));
+  watchers.forEach((id) => {
+    const observer = players.get(id);
+    if (!observer || observer === p) return;
+
+    const inRange = canSee(observer, p);
+    if (inRange && !observer.visible.has(p.id)) addToView(observer, p, true);
+    else if (!inRange && observer.visible.has(p.id)) removeFromView(observer, p, true);
+  });
+}
+
+// Forget everything p had spawned (before rebuilding it for a resumed client)
+function clearView(p: Player) {
+  p.visible.forEach((id) => players.get(id)?.watchers.delete(p.id));
+  p.visible.clear();
+}
+
+// Spawn initial fritelles (up to the map's max count)
+function spawnInitialFritelles(world: World) {
+  for (let i = 0; i < world.spawnRules.maxCount; i++) {
+    spawnFritelle(world);
   }
 }
 
-// Spawn a single fritelle
-function spawnFritelle(): Fritelle {
-  const id = `f${++fritelleCounter}`;
-  const margin = TILE_SIZE * 2;
+// The map's spawn rules, boosted while a rush is active
+function currentSpawnRules(world: World): SpawnRules {
+  return world.rush?.phase(Date.now()) === 'active'
+    ? getRushSpawnRules(world.spawnRules)
+    : world.spawnRules;
+}
+
+// Spawn a single fritelle inside the map's spawn zones.
+// Returns null at the max count or if no free spot was found.
+function spawnFritelle(world: World): Fritelle | null {
+  const rules = currentSpawnRules(world);
+  if (world.fritelles.size >= rules.maxCount) return null;
+
+  const position = spawning.pickSpawnPosition(rules, world.isBlocked);
+  if (!position) return null;
 
   const fritelle: Fritelle = {
-    id,
-    x: margin + Math.random() * (WORLD_WIDTH - margin * 2),
-    y: margin + Math.random() * (WORLD_HEIGHT - margin * 2),
-    isGolden: Math.random() < GOLDEN_CHANCE,
+    id: `f${++fritelleCounter}`,
+    x: position.x,
+    y: position.y,
+    isGolden: spawning.rollGolden(rules),
   };
 
-  fritelles.set(id, fritelle);
+  world.fritelles.set(fritelle.id, fritelle);
   return fritelle;
 }
 
-// Handle new connection
-wss.on('connection', (ws) => {
-  const playerId = generateId();
+// Replace a collected fritelle after a short delay, retrying if the spawn zones are full
+function scheduleRespawn(world: World) {
+  setTimeout(
+    () => {
+      const fritelle = spawnFritelle(world);
+      if (fritelle) {
+        broadcast(world, { type: 'fritelleSpawned', fritelle });
+      } else if (world.fritelles.size < currentSpawnRules(world).maxCount) {
+        scheduleRespawn(world);
+      }
+    },
+    3000 + Math.random() * 5000
+  );
+}
+
+// Announce a fritelle rush, run it after the countdown and post the scoreboard at the end
+function startRush(world: World, durationMs: number): RushRound {
+  const rush = new RushRound(Date.now(), durationMs);
+  world.rush = rush;
+  broadcast(world, { type: 'fritelleRush', ...rush.status(Date.now()) });
+
+  setTimeout(() => {
+    broadcast(world, { type: 'fritelleRush', ...rush.status(Date.now()) });
+    // Burst of extra spawns up to the rush max count
+    let fritelle: Fritelle | null;
+    while ((fritelle = spawnFritelle(world))) {
+      broadcast(world, { type: 'fritelleSpawned', fritelle });
+    }
+  }, rush.startsAt - Date.now());
+
+  setTimeout(() => {
+    world.rush = null;
+    // Extra fritelles stay until collected; respawns fall back to the map's max count
+    broadcast(world, {
+      type: 'fritelleRush',
+      phase: 'ended',
+      startsAt: rush.startsAt,
+      endsAt: rush.endsAt,
+      scoreboard: rush.scoreboard(),
+    });
+  }, rush.endsAt - Date.now());
+
+  return rush;
+}
+
+// Who is behind a socket, resolved from the Supabase session during the upgrade
+interface SocketIdentity {
+  userId: string;
+  email: string | null; // For audit entries
+  name: string; // From players.display_name (falls back to the email prefix)
+  characterId: string | null;
+}
+
+/**
+ * Authenticate a WebSocket upgrade with the same rules as the HTTP middleware
+ * @returns Identity, or null for a guest allowed by the development bypass
+ * @throws Error if the connection must be refused
+ */
+async function authenticateSocket(req: IncomingMessage): Promise<SocketIdentity | null> {
+  const clientIp = getClientIp(req);
+  const bypass = shouldBypassAuth(req);
+
+  const token = getUpgradeToken(req);
+  if (!token) {
+    if (bypass) {
+      audit.logAuthBypassed(clientIp, 'development_mode');
+      return null;
+    }
+    audit.logLoginFailure(undefined, clientIp, 'no_token_provided');
+    throw new Error('no token provided');
+  }
+
+  const JWT_SECRET = process.env.SUPABASE_JWT_SECRET;
+  if (!JWT_SECRET) {
+    console.error('[Auth] SUPABASE_JWT_SECRET not configured');
+    audit.logTokenInvalid(clientIp, 'jwt_secret_not_configured');
+    if (bypass) return null;
+    throw new Error('jwt secret not configured');
+  }
+
+  let claims;
+  try {
+    claims = verifyAccessToken(token, JWT_SECRET);
+  } catch (err) {
+    logTokenFailure(err as Error, clientIp);
+    if (bypass) return null;
+    throw err;
+  }
+
+  if (!claims.sub) {
+    audit.logTokenInvalid(clientIp, 'missing_sub_claim');
+    throw new Error('token has no subject');
+  }
+  if (claims.email) {
+    audit.logTokenValidated(claims.email, clientIp);
+  }
+
+  // Display name and character come from the players row, never from the client
+  let profile = null;
+  const supabase = getSupabaseAdmin();
+  if (supabase) {
+    try {
+      profile = await fetchPlayerProfile(supabase, claims.sub);
+    } catch (err) {
+      console.error(`[DB] Failed to load profile for ${claims.sub}:`, err);
+    }
+  }
+
+  return {
+    userId: claims.sub,
+    email: claims.email || null,
+    name: profile?.displayName || claims.email?.split('@')[0] || 'Player',
+    characterId: profile?.characterId || null,
+  };
+}
+
+server.on('upgrade', (req, socket, head) => {
+  // Cap concurrent sockets per IP; the slot frees when the TCP socket closes, however that happens
+  const clientIp = getClientIp(req);
+  if (!connectionCounter.acquire(clientIp)) {
+    console.warn(`[Game] WebSocket rejected from ${clientIp}: too many connections`);
+    audit.logRateLimited(undefined, clientIp, {
+      reason: 'connection_limit',
+      limit: MAX_CONNECTIONS_PER_IP,
+    });
+    socket.write('HTTP/1.1 429 Too Many Requests\r\nConnection: close\r\n\r\n');
+    socket.destroy();
+    return;
+  }
+  socket.once('close', () => connectionCounter.release(clientIp));
+
+  authenticateSocket(req)
+    .then((identity) => {
+      wss.handleUpgrade(req, socket, head, (ws) => {
+        wss.emit('connection', ws, req, identity);
+      });
+    })
+    .catch((err: Error) => {
+      console.warn(`[Auth] WebSocket rejected from ${clientIp}: ${err.message}`);
+      socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+      socket.destroy();
+    });
+});
 
-  // Create player with default appearance
+// Create a player from their profile (guests get a placeholder name)
+function createPlayer(identity: SocketIdentity | null, world: World): Player {
   const player: Player = {
-    id: playerId,
-    name: `Player ${players.size + 1}`,
+    id: generateId(),
+    world,
+    name: identity?.name || `Player ${players.size + 1}`,
     x: 400 + Math.random() * 100,
     y: 400 + Math.random() * 100,
     direction: 'down',
-    appearance: { characterId: 'Farmer_Bob' }, // Default character
+    appearance: { characterId: identity?.characterId || 'Farmer_Bob' }, // Default character
     fritelleCount: 0,
+    moveBudget: world.movementRules.maxBudget,
+    lastMoveAt: Date.now(),
+    invulnerableUntil: Date.now() + INVULNERABLE_MS,
+    rejections: {},
+    violations: [],
+    userId: identity?.userId || null,
+    sessionId: randomUUID(),
+    pendingScore: createScoreDelta(),
+    resumeToken: randomUUID(),
+    connectionState: 'connected',
+    disconnectedAt: null,
+    reconnectTimer: null,
+    visible: new Set(),
+    watchers: new Set(),
+    lastSnapshot: { x: 0, y: 0, direction: 'down' },
   };
+  player.lastSnapshot = { x: player.x, y: player.y, direction: player.direction };
+
+  players.set(player.id, player);
+  resumeTokens.set(player.resumeToken, player.id);
+  return player;
+}
+
+/**
+ * Reattach a returning client to its player (page reload, network blip)
+ * @param token - Resume token from the client's last init message
+ * @param identity - Identity of the new connection
+ * @param world - Instance the client asked to join
+ * @returns The resumed player, or null to create a new one
+ */
+function resumePlayer(
+  token: string | null,
+  identity: SocketIdentity | null,
+  world: World
+): Player | null {
+  if (!token) return null;
+  const p = players.get(resumeTokens.get(token) || '');
+  if (!p) return null;
+
+  // Switching instances starts a new player; the old one times out as usual
+  if (p.world !== world) return null;
+
+  // A different (or newly logged-in) user can't take over someone else's player
+  if (p.userId !== (identity?.userId || null)) {
+    console.warn(`[Auth] ${p.id} resume rejected: identity changed`);
+    return null;
+  }
+
+  if (p.reconnectTimer) {
+    clearTimeout(p.reconnectTimer);
+    p.reconnectTimer = null;
+  }
+
+  // Still attached to another socket (duplicated tab, half-open connection)
+  const oldWs = sockets.get(p.id);
+  if (oldWs) {
+    send(p.id, { type: 'replacedByNewConnection' });
+    oldWs.close();
+    sockets.delete(p.id);
+  }
+
+  // Rotate the token so a copy of the old one can't be replayed
+  resumeTokens.delete(token);
+  p.resumeToken = randomUUID();
+  resumeTokens.set(p.resumeToken, p.id);
+
+  if (identity) p.name = identity.name;
+  p.connectionState = 'connected';
+  p.disconnectedAt = null;
+  p.moveBudget = world.movementRules.maxBudget;
+  p.lastMoveAt = Date.now();
+  return p;
+}
+
+// Keep a disconnected player in the world as "reconnecting" for the grace period
+function handleDisconnect(playerId: string, ws: WebSocket) {
+  // A newer connection already took over this player
+  if (sockets.get(playerId) !== ws) return;
+  sockets.delete(playerId);
+
+  const p = players.get(playerId);
+  if (!p) return;
+
+  flushScore(p);
+  p.connectionState = 'reconnecting';
+  p.disconnectedAt = Date.now();
+  p.reconnectTimer = setTimeout(() => removePlayer(playerId), RESUME_GRACE_MS);
 
-  players.set(playerId, player);
+  console.log(`${playerId} disconnected, holding for ${RESUME_GRACE_MS / 1000}s`);
+  sendToWatchers(p, {
+    type: 'playerDisconnected',
+    playerId,
+    gracePeriodSeconds: RESUME_GRACE_MS / 1000,
+  });
+}
+
+// Grace period expired without a resume
+function removePlayer(playerId: string) {
+  const p = players.get(playerId);
+  if (!p) return;
+
+  if (Object.keys(p.rejections).length > 0) {
+    console.warn(`[AntiCheat] ${playerId} (${p.name}) left with rejections:`, p.rejections);
+  }
+
+  flushScore(p);
+  sendToWatchers(p, { type: 'playerLeft', playerId });
+  p.watchers.forEach((id) => players.get(id)?.visible.delete(playerId));
+  clearView(p);
+  p.world.interestGrid.remove(playerId);
+  resumeTokens.delete(p.resumeToken);
+  players.delete(playerId);
+  console.log(`${playerId} left (${players.size} players)`);
+}
+
+// Handle new connection
+wss.on('connection', (ws: WebSocket, req: IncomingMessage, identity: SocketIdentity | null) => {
+  // Unknown instances (renamed or removed since the client listed them) fall back to the default
+  const instanceId = getInstanceId(req);
+  const world = (instanceId && worlds.get(instanceId)) || defaultWorld;
+  if (instanceId && world.def.id !== instanceId) {
+    console.warn(`[Game] Unknown instance ${instanceId}, joining ${world.def.id}`);
+  }
+
+  const resumed = resumePlayer(getResumeToken(req), identity, world);
+  const player = resumed || createPlayer(identity, world);
+  const playerId = player.id;
   sockets.set(playerId, ws);
 
-  console.log(`${playerId} connected (${players.size} players)`);
+  const clientIp = getClientIp(req);
+  const rateLimit = createRateLimitState();
+
+  const who = identity ? `${player.name} (${identity.userId})` : 'guest';
+  const encoding = protocol.getEncoding(ws.protocol);
+  console.log(
+    `${playerId} ${resumed ? 'resumed' : 'connected'} as ${who} in ${world.def.id}, ${encoding} (${players.size} players)`
+  );
 
-  // Send init message with current state
+  // Work out who is in range; init carries them, so no enter events for this client.
+  // Others in range get playerEnteredRange (a resumed player is already spawned for them).
+  clearView(player);
+  updateInterest(player, false);
+
+  // Send init message with current state (position and score survive a resume)
   send(playerId, {
     type: 'init',
     playerId,
-    player,
-    players: Array.from(players.values()).filter((p) => p.id !== playerId),
-    fritelles: Array.from(fritelles.values()),
+    resumeToken: player.resumeToken,
+    resumed: resumed !== null,
+    instance: world.def,
+    player: toPlayerInfo(player),
+    players: Array.from(player.visible, (id) => toPlayerInfo(players.get(id)!)),
+    fritelles: Array.from(world.fritelles.values()),
+    chatHistory: world.chatHistory.recent(),
+    rush: world.rush?.status(Date.now()) ?? null,
   });
 
-  // Broadcast new player to others
-  broadcast({ type: 'playerJoined', player }, playerId);
+  if (resumed) {
+    sendToWatchers(player, { type: 'playerReconnected', playerId, name: player.name });
+  }
 
   // Handle messages
-  ws.on('message', (data) => {
+  ws.on('message', (data, isBinary) => {
+    // Ignore a replaced or kicked socket that hasn't finished closing
+    if (sockets.get(playerId) !== ws || ws.readyState !== WebSocket.OPEN) return;
+
+    // Decode with the shared protocol, then check the fields against the message schema
+    let decoded: Record<string, unknown> | null;
     try {
-      const msg = JSON.parse(data.toString());
+      decoded = protocol.decodeMessage(isBinary ? (data as Buffer) : data.toString());
+    } catch {
+      rejectMessage(player, ws, 'MALFORMED', 'could not decode message', undefined);
+      return;
+    }
+    const result: ValidationResult = decoded
+      ? validateMessage(decoded, messageSchemas)
+      : { ok: false, code: 'UNKNOWN_TYPE', error: 'unknown message type' };
+    if (!result.ok) {
+      rejectMessage(player, ws, result.code, result.error, decoded?.type);
+      return;
+    }
+    const msg = result.message;
+
+    // Drop floods before they reach the handlers (and fan out to other players)
+    const limit = checkRateLimit(rateLimit, msg.type, Date.now());
+    if (!limit.allowed) {
+      if (limit.firstDrop || limit.kick) {
+        audit.logRateLimited(identity?.email || undefined, clientIp, {
+          reason: limit.kick ? 'kicked' : 'message_rate',
+          messageType: msg.type,
+          playerId,
+        });
+      }
+      if (limit.kick) {
+        console.warn(`[AntiCheat] ${playerId} (${player.name}) kicked for flooding ${msg.type}`);
+        ws.close(1008, 'Rate limit exceeded');
+        return;
+      }
+      // The client hid the fritelle on contact - show it again, this collect never ran
+      if (msg.type === 'collect') {
+        const fritelle = world.fritelles.get(msg.fritelleId);
+        if (fritelle) send(playerId, { type: 'fritelleSpawned', fritelle });
+      }
+      return;
+    }
 
+    try {
       switch (msg.type) {
         case 'move': {
           const p = players.get(playerId);
           if (p) {
-            p.x = msg.x;
-            p.y = msg.y;
-            p.direction = msg.direction || p.direction;
-            broadcast(
-              { type: 'playerMoved', playerId, x: msg.x, y: msg.y, direction: p.direction },
-              playerId
-            );
+            const moveResult = validateMove(p, msg.x, msg.y, world.movementRules, Date.now());
+
+            // Snap the client back to the authoritative position
+            if (moveResult.corrected) {
+              if (moveResult.reason !== 'bounds') {
+                recordRejection(p, 'move', moveResult.reason || 'unknown');
+              }
+              send(playerId, {
+                type: 'positionCorrected',
+                x: moveResult.x,
+                y: moveResult.y,
+                reason: moveResult.reason,
+              });
+            }
+
+            // Watchers get the new position in the next tick's snapshot
+            if (moveResult.accepted) {
+              p.direction = msg.direction || p.direction;
+              updateInterest(p);
+            }
           }
           break;
         }
 
         case 'collect': {
-          const fritelle = fritelles.get(msg.fritelleId);
-          if (fritelle) {
-            const p = players.get(playerId);
-            if (p) {
-              p.fritelleCount += fritelle.isGolden ? 15 : 1;
+          const fritelle = world.fritelles.get(msg.fritelleId);
+          const p = players.get(playerId);
+          if (fritelle && p) {
+            if (!isWithinPickupRange(p, fritelle, p.fritelleCount)) {
+              recordRejection(p, 'collect', 'out_of_range');
+              // The client hid it on contact - show it again
+              send(playerId, { type: 'fritelleSpawned', fritelle });
+              break;
             }
 
-            fritelles.delete(msg.fritelleId);
+            const points = fritelle.isGolden ? GOLDEN_VALUE : 1;
+            p.fritelleCount += points;
+            p.pendingScore.points += points;
+            p.pendingScore.collections++;
+            world.rush?.recordCollection(Date.now(), p.id, p.name, points);
+            world.fritelles.delete(msg.fritelleId);
 
             // Broadcast collection
-            broadcast({
+            broadcast(world, {
               type: 'fritelleCollected',
               playerId,
               fritelleId: msg.fritelleId,
               isGolden: fritelle.isGolden,
               x: fritelle.x,
               y: fritelle.y,
+              fritelleCount: p.fritelleCount, // Collector's new total
             });
 
-            // Respawn after delay
-            setTimeout(
-              () => {
-                const newFritelle = spawnFritelle();
-                broadcast({ type: 'fritelleSpawned', fritelle: newFritelle });
-              },
-              3000 + Math.random() * 5000
-            );
+            scheduleRespawn(world);
           }
           break;
         }
@@ -755,80 +1478,275 @@ wss.on('connection', (ws) => {
         case 'throw': {
           const p = players.get(playerId);
           if (p && p.fritelleCount > 0) {
+            const record = createThrowRecord(p, msg.x, msg.y, msg.dx, msg.dy, Date.now());
+            if (!record) {
+              recordRejection(p, 'throw', 'invalid_origin');
+              break;
+            }
+
             p.fritelleCount--;
-            broadcast({
+            const projectileId = `t${++projectileCounter}`;
+            if (world.def.combat) {
+              world.projectiles.push({
+                ...record,
+                id: projectileId,
+                throwerId: playerId,
+                tracedUntil: record.thrownAt,
+              });
+            }
+            sendToWatchers(p, {
               type: 'fritelleThrown',
               playerId,
-              x: msg.x,
-              y: msg.y,
-              dx: msg.dx,
-              dy: msg.dy,
+              projectileId,
+              x: record.x,
+              y: record.y,
+              dx: record.dx,
+              dy: record.dy,
             });
           }
           break;
         }
 
-        case 'hit': {
-          const target = players.get(msg.targetId);
-          if (target && target.fritelleCount > 0) {
-            target.fritelleCount--;
-            broadcast({
-              type: 'playerHit',
-              targetId: msg.targetId,
-              throwerId: playerId,
-            });
+        case 'setName': {
+          // Authenticated players keep their display name from the database
+          const p = players.get(playerId);
+          const name = msg.name.trim();
+          if (p && !p.userId && name) {
+            p.name = name;
+            sendToWatchers(p, { type: 'playerRenamed', playerId, name });
           }
           break;
         }
 
-        case 'setName': {
+        case 'setAppearance': {
           const p = players.get(playerId);
           if (p) {
-            p.name = msg.name;
-            broadcast({ type: 'playerRenamed', playerId, name: msg.name });
+            p.appearance = { characterId: msg.appearance.characterId };
+            sendToWatchers(p, {
+              type: 'playerAppearanceChanged',
+              playerId,
+              appearance: p.appearance,
+            });
           }
           break;
         }
 
-        case 'setAppearance': {
+        case 'chat': {
           const p = players.get(playerId);
-          if (p) {
-            p.appearance = { ...p.appearance, ...msg.appearance };
-            broadcast({ type: 'playerAppearanceChanged', playerId, appearance: p.appearance });
+          const text = normalizeChatText(msg.text);
+          if (!p || !text) break;
+
+          const entry: ChatEntry = {
+            id: `c${++chatCounter}`,
+            playerId,
+            name: p.name,
+            channel: msg.channel,
+            text,
+            sentAt: Date.now(),
+          };
+          if (entry.channel === 'global') {
+            world.chatHistory.add(entry);
+            broadcast(world, { type: 'chat', ...entry });
+          } else {
+            sendToEarshot(p, { type: 'chat', ...entry });
           }
           break;
         }
+
+        case 'emote': {
+          // Played locally by the sender; only players who can see them need it
+          const p = players.get(playerId);
+          if (p) sendToWatchers(p, { type: 'emote', playerId, emoteId: msg.emoteId });
+          break;
+        }
       }
     } catch (e) {
-      console.error('Message parse error:', e);
+      console.error(`Error handling ${msg.type} from ${playerId}:`, e);
     }
   });
 
   // Handle disconnect
-  ws.on('close', () => {
-    console.log(`${playerId} disconnected`);
-    players.delete(playerId);
-    sockets.delete(playerId);
-    broadcast({ type: 'playerLeft', playerId });
-  });
-
-  ws.on('error', (err) => {
+  ws.on('close', () => handleDisconnect(playerId, ws));
+
+  ws.on('error', (err: Error & { code?: string }) => {
+    if (err.code === 'WS_ERR_UNSUPPORTED_MESSAGE_LENGTH') {
+      console.warn(`[AntiCheat] ${playerId} (${player.name}) sent an oversized message`);
+      audit.logRateLimited(identity?.email || undefined, clientIp, {
+        reason: 'message_size',
+        limit: MAX_MESSAGE_BYTES,
+        playerId,
+      });
+      return;
+    }
     console.error(`Socket error for ${playerId}:`, err);
   });
 });
 
-// Initialize game
-spawnInitialFritelles();
+// Advance thrown fritelles; the first player or building on a projectile's path stops it
+function stepProjectiles(world: World, now: number) {
+  if (world.projectiles.length === 0) return;
+
+  const targets = Array.from(players.values()).filter(
+    (p) => p.world === world && p.connectionState === 'connected'
+  );
+  world.projectiles = world.projectiles.filter((projectile) => {
+    const result = traceProjectile(
+      projectile,
+      now,
+      targets.filter((t) => t.id !== projectile.throwerId && t.invulnerableUntil <= now),
+      world.isBlocked
+    );
+    if (result?.kind === 'hit') {
+      applyHit(world, projectile, players.get(result.targetId)!, now);
+    }
+    return result === null;
+  });
+}
+
+// Knock the target back, move fritelles to the thrower and protect the target for a while
+function applyHit(world: World, projectile: Projectile, target: Player, now: number) {
+  const thrower = players.get(projectile.throwerId); // Gone if they left mid-flight
+  const stolen = thrower ? stealAmount(target.fritelleCount) : 0;
+  target.fritelleCount -= stolen;
+  target.pendingScore.timesHit++;
+  if (thrower) {
+    thrower.fritelleCount += stolen;
+    thrower.pendingScore.hitsLanded++;
+  }
+
+  const knocked = knockbackPosition(target, projectile.dx, projectile.dy, world.movementRules);
+  target.x = knocked.x;
+  target.y = knocked.y;
+  target.invulnerableUntil = now + INVULNERABLE_MS;
+  updateInterest(target);
+
+  broadcast(world, {
+    type: 'playerHit',
+    targetId: target.id,
+    throwerId: projectile.throwerId,
+    projectileId: projectile.id,
+    stolen,
+    x: target.x, // Knocked-back position
+    y: target.y,
+    targetCount: target.fritelleCount,
+    throwerCount: thrower?.fritelleCount ?? null,
+    invulnerableMs: INVULNERABLE_MS,
+  });
+}
+
+// Send each client one snapshot per tick with the changes for players in its range
+function tick() {
+  const now = Date.now();
+  worlds.forEach((world) => stepProjectiles(world, now));
+
+  const deltas = new Map<string, PlayerDelta>();
+  players.forEach((p) => {
+    const delta = computeDelta(p.id, p.lastSnapshot, p);
+    if (delta) {
+      deltas.set(p.id, delta);
+      p.lastSnapshot = { x: p.x, y: p.y, direction: p.direction };
+    }
+  });
+  if (deltas.size === 0) return;
+
+  const t = Date.now();
+  sockets.forEach((ws, id) => {
+    const observer = players.get(id);
+    if (!observer || ws.readyState !== WebSocket.OPEN) return;
+
+    const changes: PlayerDelta[] = [];
+    observer.visible.forEach((visibleId) => {
+      const delta = deltas.get(visibleId);
+      if (delta) changes.push(delta);
+    });
+    if (changes.length > 0) {
+      ws.send(encodeFor(ws, { type: 'snapshot', t, players: changes }));
+    }
+  });
+}
+
+/**
+ * Set up a world instance with collision from its map
+ * @param def - Entry from maps/instances.json
+ * @param map - The instance's map
+ */
+function createWorld(def: InstanceDef, map: MapData, gameData: GameData): World {
+  const shapes = buildCollisionShapes(
+    map.entities || [],
+    gameData.getAsset,
+    gameData.config.tileSize,
+    gameData.bodies
+  );
+  const isBlocked = (x: number, y: number) => isPointBlocked(shapes, x, y);
+  const world: World = {
+    def,
+    fritelles: new Map(),
+    interestGrid: new InterestGrid(gameData.config.tileSize),
+    movementRules: createMovementRules(gameData.config, isBlocked),
+    spawnRules: gameData.spawn.getSpawnRules(map, gameData.config.tileSize),
+    isBlocked,
+    chatHistory: new ChatHistory(),
+    rush: null,
+    projectiles: [],
+  };
+  console.log(
+    `[Game] Instance ${def.id} (${def.name}): ${map.name} map, ${shapes.length} collision shapes, ` +
+      `${world.spawnRules.spawnZones.length} spawn zones (max ${world.spawnRules.maxCount} fritelles)`
+  );
+  return world;
+}
 
-// Start server
-server.listen(port, '0.0.0.0', () => {
-  console.log(`
+// Initialize game: load shared config + maps so the server validates against client data
+async function initGame() {
+  const gameData = await loadGameData();
+  for (const def of gameData.instances) {
+    worlds.set(def.id, createWorld(def, gameData.maps.get(def.map)!, gameData));
+  }
+  defaultWorld = worlds.get(gameData.instances[0].id)!;
+
+  viewConfig = createViewConfig(gameData.config);
+  chatRadius = PROXIMITY_RADIUS_TILES * gameData.config.tileSize;
+  protocol = gameData.protocol;
+  spawning = gameData.spawn;
+  messageSchemas = createMessageSchemas(
+    gameData.config,
+    gameData.characters,
+    gameData.protocol.DIRECTIONS,
+    gameData.emotes
+  );
+
+  worlds.forEach(spawnInitialFritelles);
+
+  setInterval(tick, TICK_INTERVAL_MS);
+  setInterval(() => players.forEach(flushScore), SCORE_FLUSH_INTERVAL);
+
+  if (RUSH_INTERVAL_MINUTES > 0) {
+    // Scheduled rushes in every instance that has players (skipped if one is already running)
+    setInterval(() => {
+      const populated = new Set(Array.from(players.values(), (p) => p.world));
+      populated.forEach((world) => {
+        if (!world.rush) startRush(world, RUSH_SCHEDULED_MINUTES * 60000);
+      });
+    }, RUSH_INTERVAL_MINUTES * 60000);
+  }
+}
+
+// Start server once game data is ready
+initGame()
+  .then(() => {
+    server.listen(port, '0.0.0.0', () => {
+      console.log(`
 ╔════════════════════════════════════════════════════════╗
 ║  EPCVIP Tools Hub - Multiplayer Server                 ║
 ╠════════════════════════════════════════════════════════╣
 ║  Game WS:    ws://0.0.0.0:${port}/                        ║
 ║  Health:     http://0.0.0.0:${port}/health               ║
-║  Protocol:   Native WebSocket + JSON                   ║
+║  Protocol:   Native WebSocket + binary/JSON            ║
 ╚════════════════════════════════════════════════════════╝
   `);
-});
+    });
+  })
+  .catch((err) => {
+    console.error('[Game] Failed to load game data:', err);
+    process.exit(1);
+  });
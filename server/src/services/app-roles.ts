@@ -0,0 +1,35 @@
+/**
+ * App Roles
+ *
+ * Reads a user's role for an app from the shared RBAC table
+ * (epcvip_app_roles, see supabase/migrations/008_rbac_user_setup.sql), for
+ * endpoints only an app's admins may call.
+ */
+
+import { SupabaseClient } from '@supabase/supabase-js';
+
+export const TOOLS_HUB_APP_ID = 'tools-hub';
+
+/**
+ * Check whether a user is an admin of an app
+ * @param client - Supabase service-role client
+ * @param email - User's email (roles are keyed by lowercase email)
+ * @throws Error if the query fails
+ */
+export async function isAppAdmin(
+  client: SupabaseClient,
+  email: string,
+  appId: string = TOOLS_HUB_APP_ID
+): Promise<boolean> {
+  const { data, error } = await client
+    .from('epcvip_app_roles')
+    .select('role')
+    .eq('app_id', appId)
+    .eq('user_email', email.toLowerCase())
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+  return (data as { role: string } | null)?.role === 'admin';
+}
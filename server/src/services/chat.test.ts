@@ -0,0 +1,36 @@
+import { ChatEntry, ChatHistory, isWithinEarshot, normalizeChatText } from './chat';
+
+function entry(id: string): ChatEntry {
+  return { id, playerId: 'p1', name: 'Bob', channel: 'global', text: id, sentAt: 0 };
+}
+
+describe('normalizeChatText', () => {
+  it('trims and collapses whitespace', () => {
+    expect(normalizeChatText('  hello    there  ')).toBe('hello there');
+    expect(normalizeChatText('   ')).toBe('');
+  });
+});
+
+describe('isWithinEarshot', () => {
+  it('uses straight-line distance', () => {
+    expect(isWithinEarshot(0, 0, 180, 0, 240)).toBe(true);
+    expect(isWithinEarshot(0, 0, 180, 180, 240)).toBe(false);
+  });
+});
+
+describe('ChatHistory', () => {
+  it('keeps only the most recent entries, oldest first', () => {
+    const history = new ChatHistory(2);
+    history.add(entry('a'));
+    history.add(entry('b'));
+    history.add(entry('c'));
+    expect(history.recent().map((e) => e.id)).toEqual(['b', 'c']);
+  });
+
+  it('returns a copy', () => {
+    const history = new ChatHistory();
+    history.add(entry('a'));
+    history.recent().pop();
+    expect(history.recent()).toHaveLength(1);
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Chat
+ *
+ * Overworld text chat. `global` messages go to every connected player and are
+ * kept in a short in-memory history that new and resumed players receive in
+ * `init`; `proximity` messages only reach players within PROXIMITY_RADIUS_TILES
+ * of the sender and are not kept.
+ *
+ * Text is plain: the schema rejects control characters, and clients escape it
+ * for whatever they render into (HTML in the chat log, KaPlay text in bubbles).
+ */
+
+export const CHAT_CHANNELS = ['global', 'proximity'] as const;
+export type ChatChannel = (typeof CHAT_CHANNELS)[number];
+
+export const MAX_CHAT_LENGTH = 200;
+export const CHAT_HISTORY_SIZE = 50;
+export const PROXIMITY_RADIUS_TILES = 10;
+
+export interface ChatEntry {
+  id: string;
+  playerId: string;
+  name: string;
+  channel: ChatChannel;
+  text: string;
+  sentAt: number;
+}
+
+/**
+ * Trim and collapse runs of whitespace
+ * @returns Normalized text ('' if there was nothing but whitespace)
+ */
+export function normalizeChatText(text: string): string {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Whether a listener at (x2, y2) hears a proximity message sent from (x1, y1)
+ * @param radius - Hearing distance in px
+ */
+export function isWithinEarshot(
+  x1: number,
+  y1: number,
+  x2: number,
+  y2: number,
+  radius: number
+): boolean {
+  return Math.hypot(x2 - x1, y2 - y1) <= radius;
+}
+
+/**
+ * Most recent global messages, oldest first
+ */
+export class ChatHistory {
+  private entries: ChatEntry[] = [];
+
+  constructor(private readonly size: number = CHAT_HISTORY_SIZE) {}
+
+  add(entry: ChatEntry): void {
+    this.entries.push(entry);
+    if (this.entries.length > this.size) {
+      this.entries.splice(0, this.entries.length - this.size);
+    }
+  }
+
+  recent(): ChatEntry[] {
+    return [...this.entries];
+  }
+}
@@ -0,0 +1,108 @@
+import {
+  HIT_RADIUS,
+  KNOCKBACK_DISTANCE,
+  Projectile,
+  knockbackPosition,
+  projectilePosition,
+  stealAmount,
+  traceProjectile,
+} from './combat';
+import { PROJECTILE_LIFETIME_MS } from './fritelle-validator';
+import { MovementRules } from './movement-validator';
+import { PLAYER_BODY_OFFSET_Y } from './world-collision';
+
+// Thrown right from (100, 100) at t=0; 200px/s
+function projectile(): Projectile {
+  return { id: 't1', throwerId: 'p1', x: 100, y: 100, dx: 1, dy: 0, thrownAt: 0, tracedUntil: 0 };
+}
+
+const open = () => false;
+
+// Target whose body center sits at (x, y)
+function target(id: string, x: number, y: number) {
+  return { id, x, y: y - PLAYER_BODY_OFFSET_Y };
+}
+
+describe('projectilePosition', () => {
+  it('moves at projectile speed and stops at the end of its lifetime', () => {
+    expect(projectilePosition(projectile(), 500)).toEqual({ x: 200, y: 100 });
+    expect(projectilePosition(projectile(), PROJECTILE_LIFETIME_MS * 2)).toEqual({
+      x: 400,
+      y: 100,
+    });
+  });
+});
+
+describe('traceProjectile', () => {
+  it('keeps flying with nothing in the way', () => {
+    const p = projectile();
+    expect(traceProjectile(p, 100, [], open)).toBeNull();
+    expect(p.tracedUntil).toBe(100);
+  });
+
+  it('hits a player on the path since the last trace', () => {
+    const p = projectile();
+    const result = traceProjectile(p, 500, [target('p2', 180, 100)], open);
+    expect(result).toMatchObject({ kind: 'hit', targetId: 'p2' });
+  });
+
+  it('hits the nearest of two players on the path', () => {
+    const p = projectile();
+    const result = traceProjectile(
+      p,
+      1000,
+      [target('far', 280, 100), target('near', 160, 100)],
+      open
+    );
+    expect(result).toMatchObject({ kind: 'hit', targetId: 'near' });
+  });
+
+  it('misses players off to the side', () => {
+    const p = projectile();
+    expect(traceProjectile(p, 500, [target('p2', 180, 100 + HIT_RADIUS * 2)], open)).toBeNull();
+  });
+
+  it('stops at buildings before players behind them', () => {
+    const p = projectile();
+    const wall = (x: number) => x >= 150 && x <= 160;
+    const result = traceProjectile(p, 1000, [target('p2', 200, 100)], wall);
+    expect(result).toMatchObject({ kind: 'blocked' });
+  });
+
+  it('expires at the end of its lifetime', () => {
+    const p = projectile();
+    expect(traceProjectile(p, PROJECTILE_LIFETIME_MS, [], open)).toEqual({ kind: 'expired' });
+  });
+});
+
+describe('knockbackPosition', () => {
+  const rules: MovementRules = {
+    maxSpeed: 200,
+    maxBudget: 100,
+    minX: 0,
+    maxX: 1000,
+    minY: 0,
+    maxY: 1000,
+    isBlocked: () => false,
+  };
+
+  it('pushes the target along the direction', () => {
+    expect(knockbackPosition({ x: 100, y: 100 }, 1, 0, rules)).toEqual({
+      x: 100 + KNOCKBACK_DISTANCE,
+      y: 100,
+    });
+  });
+
+  it('stops short of walls and the world edge', () => {
+    const walled = { ...rules, isBlocked: (x: number) => x > 120 };
+    expect(knockbackPosition({ x: 100, y: 100 }, 1, 0, walled)).toEqual({ x: 120, y: 100 });
+    expect(knockbackPosition({ x: 990, y: 100 }, 1, 0, rules)).toEqual({ x: 998, y: 100 });
+  });
+});
+
+describe('stealAmount', () => {
+  it('never takes more than the target has', () => {
+    expect(stealAmount(5)).toBe(1);
+    expect(stealAmount(0)).toBe(0);
+  });
+});
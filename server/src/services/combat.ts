@@ -0,0 +1,119 @@
+/**
+ * Combat
+ *
+ * Snowball-fight rules for instances that opt in with `"combat": true` in
+ * maps/instances.json. Thrown fritelles are simulated on the server every
+ * tick: a projectile that reaches another player's body knocks them back,
+ * steals fritelles for the thrower and leaves the target briefly
+ * invulnerable. Buildings stop projectiles.
+ */
+
+import { ThrowRecord, PROJECTILE_LIFETIME_MS, PROJECTILE_SPEED } from './fritelle-validator';
+import { MovementRules } from './movement-validator';
+import { PLAYER_BODY_OFFSET_Y } from './world-collision';
+
+// Player body (24x34) touching a thrown fritelle (16x16)
+export const HIT_RADIUS = 24;
+
+export const KNOCKBACK_DISTANCE = 48; // px
+const KNOCKBACK_STEP = 4; // px, stops at the first blocked step
+
+export const STEAL_AMOUNT = 1; // Fritelles moved from the target to the thrower
+
+// After being hit (and after joining) players can't be hit for this long
+export const INVULNERABLE_MS = 3000;
+
+// Distance between collision samples along a projectile's path
+const PATH_STEP = 8; // px
+
+interface Point {
+  x: number;
+  y: number;
+}
+
+export interface Projectile extends ThrowRecord {
+  id: string;
+  throwerId: string;
+  tracedUntil: number; // ms, the path up to here has been checked
+}
+
+/** Player a projectile can hit */
+export interface CombatTarget extends Point {
+  id: string;
+}
+
+export type ProjectileResult =
+  | { kind: 'hit'; targetId: string; x: number; y: number }
+  | { kind: 'blocked'; x: number; y: number }
+  | { kind: 'expired' };
+
+/**
+ * Where a projectile is at a given time (clamped to its lifetime)
+ */
+export function projectilePosition(p: ThrowRecord, now: number): Point {
+  const flightMs = Math.min(Math.max(now - p.thrownAt, 0), PROJECTILE_LIFETIME_MS);
+  const travelled = (PROJECTILE_SPEED * flightMs) / 1000;
+  return { x: p.x + p.dx * travelled, y: p.y + p.dy * travelled };
+}
+
+/**
+ * Advance a projectile to `now`, checking the path since the last trace
+ * @param targets - Players it can hit (not the thrower, not invulnerable)
+ * @param isBlocked - Building collision for a world position
+ * @returns What stopped it, or null if it is still flying
+ */
+export function traceProjectile(
+  p: Projectile,
+  now: number,
+  targets: CombatTarget[],
+  isBlocked: (x: number, y: number) => boolean
+): ProjectileResult | null {
+  const from = projectilePosition(p, p.tracedUntil);
+  const to = projectilePosition(p, now);
+  const length = Math.hypot(to.x - from.x, to.y - from.y);
+  p.tracedUntil = now;
+
+  // Walk the segment so the earliest hit or wall wins
+  const steps = Math.max(1, Math.ceil(length / PATH_STEP));
+  for (let i = 1; i <= steps; i++) {
+    const x = from.x + ((to.x - from.x) * i) / steps;
+    const y = from.y + ((to.y - from.y) * i) / steps;
+
+    const target = targets.find(
+      (t) => Math.hypot(t.x - x, t.y + PLAYER_BODY_OFFSET_Y - y) <= HIT_RADIUS
+    );
+    if (target) return { kind: 'hit', targetId: target.id, x, y };
+    if (isBlocked(x, y)) return { kind: 'blocked', x, y };
+  }
+
+  return now - p.thrownAt >= PROJECTILE_LIFETIME_MS ? { kind: 'expired' } : null;
+}
+
+/**
+ * Push a player along the projectile's direction, stopping at walls and the world edge
+ * @returns New position (unchanged if the first step is blocked)
+ */
+export function knockbackPosition(
+  target: Point,
+  dx: number,
+  dy: number,
+  rules: MovementRules
+): Point {
+  let { x, y } = target;
+  for (let moved = KNOCKBACK_STEP; moved <= KNOCKBACK_DISTANCE; moved += KNOCKBACK_STEP) {
+    const nx = target.x + dx * moved;
+    const ny = target.y + dy * moved;
+    const outOfBounds = nx < rules.minX || nx > rules.maxX || ny < rules.minY || ny > rules.maxY;
+    if (outOfBounds || rules.isBlocked(nx, ny + PLAYER_BODY_OFFSET_Y)) break;
+    x = nx;
+    y = ny;
+  }
+  return { x, y };
+}
+
+/**
+ * Fritelles a hit steals (never more than the target has)
+ */
+export function stealAmount(targetCount: number): number {
+  return Math.min(STEAL_AMOUNT, Math.max(targetCount, 0));
+}
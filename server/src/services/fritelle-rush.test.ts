@@ -0,0 +1,71 @@
+import {
+  DEFAULT_RUSH_MINUTES,
+  MAX_RUSH_MINUTES,
+  RUSH_GOLDEN_CHANCE,
+  RUSH_MAX_COUNT,
+  RushRound,
+  getRushSpawnRules,
+  parseRushOptions,
+} from './fritelle-rush';
+
+describe('parseRushOptions', () => {
+  it('defaults to the default instance and duration', () => {
+    expect(parseRushOptions(undefined)).toEqual({
+      instanceId: null,
+      minutes: DEFAULT_RUSH_MINUTES,
+    });
+    expect(parseRushOptions({ instance: 'offsite', minutes: 1.5 })).toEqual({
+      instanceId: 'offsite',
+      minutes: 1.5,
+    });
+  });
+
+  it('rejects bad values', () => {
+    expect(parseRushOptions({ instance: 3 })).toHaveProperty('error');
+    expect(parseRushOptions({ minutes: '5' })).toHaveProperty('error');
+    expect(parseRushOptions({ minutes: 0 })).toHaveProperty('error');
+    expect(parseRushOptions({ minutes: MAX_RUSH_MINUTES + 1 })).toHaveProperty('error');
+  });
+});
+
+describe('getRushSpawnRules', () => {
+  it('raises the count and golden chance, keeping other fields', () => {
+    const rules = getRushSpawnRules({ maxCount: 8, goldenChance: 0.04, spawnZones: [] });
+    expect(rules).toEqual({ maxCount: 24, goldenChance: RUSH_GOLDEN_CHANCE, spawnZones: [] });
+  });
+
+  it('caps the count and keeps a higher map chance', () => {
+    const rules = getRushSpawnRules({ maxCount: 40, goldenChance: 0.5 });
+    expect(rules).toEqual({ maxCount: RUSH_MAX_COUNT, goldenChance: 0.5 });
+  });
+});
+
+describe('RushRound', () => {
+  it('counts down, then runs for its duration', () => {
+    const round = new RushRound(1000, 60000, 10000);
+    expect(round.status(5000)).toEqual({ phase: 'countdown', startsAt: 11000, endsAt: 71000 });
+    expect(round.phase(11000)).toBe('active');
+  });
+
+  it('ignores collections during the countdown', () => {
+    const round = new RushRound(0, 60000, 10000);
+    round.recordCollection(5000, 'p1', 'Bob', 1);
+    expect(round.scoreboard()).toEqual([]);
+  });
+
+  it('ranks by collections, then points, with shared ranks for ties', () => {
+    const round = new RushRound(0, 60000, 0);
+    round.recordCollection(1, 'p1', 'Bob', 1);
+    round.recordCollection(2, 'p2', 'Ann', 15);
+    round.recordCollection(3, 'p2', 'Ann', 1);
+    round.recordCollection(4, 'p3', 'Cy', 1);
+    round.recordCollection(5, 'p4', 'Di', 1);
+
+    expect(round.scoreboard()).toEqual([
+      { rank: 1, playerId: 'p2', name: 'Ann', collections: 2, points: 16 },
+      { rank: 2, playerId: 'p1', name: 'Bob', collections: 1, points: 1 },
+      { rank: 2, playerId: 'p3', name: 'Cy', collections: 1, points: 1 },
+      { rank: 2, playerId: 'p4', name: 'Di', collections: 1, points: 1 },
+    ]);
+  });
+});
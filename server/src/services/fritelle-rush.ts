@@ -0,0 +1,132 @@
+/**
+ * Fritelle Rush
+ *
+ * A timed mini-game event in one world instance: an announcement with a short
+ * countdown, then RUSH spawn rules (more fritelles out at once, more of them
+ * golden) for the length of the round, then a scoreboard ranking everyone who
+ * collected something during the round.
+ *
+ * Admins start a rush with `POST /api/events/fritelle-rush`; the server can
+ * also schedule one every FRITELLE_RUSH_INTERVAL_MINUTES.
+ */
+
+export const RUSH_COUNTDOWN_SECONDS = 10;
+export const DEFAULT_RUSH_MINUTES = 3;
+export const MAX_RUSH_MINUTES = 15;
+
+// Spawn rules during the round, relative to the map's own
+export const RUSH_COUNT_MULTIPLIER = 3;
+export const RUSH_MAX_COUNT = 50; // Same cap as MAX_SPAWN_COUNT in js/spawn-rules.js
+export const RUSH_GOLDEN_CHANCE = 0.2; // At least this, or the map's chance if higher
+
+export type RushPhase = 'countdown' | 'active';
+
+/** Spawn rule fields a rush changes */
+export interface RushSpawnRules {
+  maxCount: number;
+  goldenChance: number;
+}
+
+export interface RushOptions {
+  instanceId: string | null; // null = default instance
+  minutes: number;
+}
+
+/** Row in the end-of-round scoreboard */
+export interface RushScore {
+  rank: number;
+  playerId: string;
+  name: string;
+  collections: number;
+  points: number;
+}
+
+/** What clients get in `fritelleRush` messages and `init` */
+export interface RushStatus {
+  phase: RushPhase;
+  startsAt: number; // ms epoch, end of the countdown
+  endsAt: number;
+}
+
+/**
+ * Check the body of a start request
+ * @param body - Parsed JSON: { instance?: string, minutes?: number }
+ * @returns Options, or an error message for a 400
+ */
+export function parseRushOptions(body: unknown): RushOptions | { error: string } {
+  const { instance = null, minutes = DEFAULT_RUSH_MINUTES } = (body ?? {}) as Record<
+    string,
+    unknown
+  >;
+  if (instance !== null && typeof instance !== 'string') {
+    return { error: 'instance must be an instance id' };
+  }
+  if (typeof minutes !== 'number' || !Number.isFinite(minutes)) {
+    return { error: 'minutes must be a number' };
+  }
+  if (minutes <= 0 || minutes > MAX_RUSH_MINUTES) {
+    return { error: `minutes must be between 0 and ${MAX_RUSH_MINUTES}` };
+  }
+  return { instanceId: instance, minutes };
+}
+
+/**
+ * Spawn rules while a round is active
+ */
+export function getRushSpawnRules<T extends RushSpawnRules>(rules: T): T {
+  return {
+    ...rules,
+    maxCount: Math.min(Math.max(rules.maxCount, 1) * RUSH_COUNT_MULTIPLIER, RUSH_MAX_COUNT),
+    goldenChance: Math.max(rules.goldenChance, RUSH_GOLDEN_CHANCE),
+  };
+}
+
+/**
+ * One rush round: its timing and who collected what
+ */
+export class RushRound {
+  readonly startsAt: number;
+  readonly endsAt: number;
+  private readonly scores = new Map<string, Omit<RushScore, 'rank'>>();
+
+  constructor(now: number, durationMs: number, countdownMs = RUSH_COUNTDOWN_SECONDS * 1000) {
+    this.startsAt = now + countdownMs;
+    this.endsAt = this.startsAt + durationMs;
+  }
+
+  phase(now: number): RushPhase {
+    return now < this.startsAt ? 'countdown' : 'active';
+  }
+
+  status(now: number): RushStatus {
+    return { phase: this.phase(now), startsAt: this.startsAt, endsAt: this.endsAt };
+  }
+
+  /**
+   * Count a collection (ignored during the countdown)
+   */
+  recordCollection(now: number, playerId: string, name: string, points: number): void {
+    if (this.phase(now) !== 'active') return;
+    const score = this.scores.get(playerId) || { playerId, name, collections: 0, points: 0 };
+    score.name = name; // Latest name if they renamed during the round
+    score.collections++;
+    score.points += points;
+    this.scores.set(playerId, score);
+  }
+
+  /**
+   * Everyone ranked by collections, then points; ties share a rank
+   */
+  scoreboard(): RushScore[] {
+    const sorted = Array.from(this.scores.values()).sort(
+      (a, b) => b.collections - a.collections || b.points - a.points
+    );
+    const ranked: RushScore[] = [];
+    sorted.forEach((score, i) => {
+      const prev = ranked[i - 1];
+      const tied = prev && prev.collections === score.collections && prev.points === score.points;
+      ranked.push({ ...score, rank: tied ? prev.rank : i + 1 });
+    });
+    return ranked;
+  }
+}
@@ -0,0 +1,37 @@
+import { createThrowRecord, isWithinPickupRange, MAGNET_THRESHOLD } from './fritelle-validator';
+
+describe('isWithinPickupRange', () => {
+  const player = { x: 100, y: 100 };
+
+  it('accepts fritelles touching the player body', () => {
+    expect(isWithinPickupRange(player, { x: 110, y: 120 }, 0)).toBe(true);
+  });
+
+  it('rejects fritelles across the map', () => {
+    expect(isWithinPickupRange(player, { x: 600, y: 500 }, 0)).toBe(false);
+  });
+
+  it('extends the range once the magnet kicks in', () => {
+    const nearby = { x: 190, y: 112 };
+    expect(isWithinPickupRange(player, nearby, 0)).toBe(false);
+    expect(isWithinPickupRange(player, nearby, MAGNET_THRESHOLD)).toBe(true);
+  });
+});
+
+describe('createThrowRecord', () => {
+  const thrower = { x: 300, y: 300 };
+
+  it('normalizes the direction', () => {
+    const record = createThrowRecord(thrower, 300, 300, 3, 4, 1000);
+    expect(record).toEqual({ x: 300, y: 300, dx: 0.6, dy: 0.8, thrownAt: 1000 });
+  });
+
+  it('rejects throws from far away from the thrower', () => {
+    expect(createThrowRecord(thrower, 900, 900, 1, 0, 1000)).toBeNull();
+  });
+
+  it('rejects missing or zero directions', () => {
+    expect(createThrowRecord(thrower, 300, 300, 0, 0, 1000)).toBeNull();
+    expect(createThrowRecord(thrower, 300, 300, 'left', 0, 1000)).toBeNull();
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Fritelle Validator
+ *
+ * Server-authoritative checks for `collect` and `throw` messages.
+ * Collections must happen within pickup range of the fritelle, and throws
+ * must start where the server thinks the thrower is (the projectile itself
+ * is simulated on the server, see combat.ts).
+ */
+
+import { PLAYER_BODY_OFFSET_Y } from './world-collision';
+
+// Player body (24x34) touching a fritelle (16x16), plus one network update of movement
+export const PICKUP_RANGE = 48;
+
+// At 15+ fritelles the client pulls fritelles within 100px toward the player
+// (magnet effect in js/entities/collectible.js)
+export const MAGNET_THRESHOLD = 15;
+const MAGNET_RADIUS = 100;
+
+// Thrown fritelles move at 200px/s for 1.5s (see throwFritelle in collectible.js)
+export const PROJECTILE_SPEED = 200;
+export const PROJECTILE_LIFETIME_MS = 1500;
+
+// A throw must start close to where the server thinks the thrower is
+const THROW_ORIGIN_RANGE = 48;
+
+interface Point {
+  x: number;
+  y: number;
+}
+
+export interface ThrowRecord {
+  x: number;
+  y: number;
+  dx: number; // Unit direction
+  dy: number;
+  thrownAt: number; // ms
+}
+
+/**
+ * Check whether a player is close enough to pick up a fritelle
+ * @param player - Player's server position
+ * @param fritelle - Fritelle's server position
+ * @param fritelleCount - Player's current count (enables the magnet radius)
+ */
+export function isWithinPickupRange(
+  player: Point,
+  fritelle: Point,
+  fritelleCount: number
+): boolean {
+  const range = fritelleCount >= MAGNET_THRESHOLD ? MAGNET_RADIUS + PICKUP_RANGE : PICKUP_RANGE;
+  const dist = Math.hypot(fritelle.x - player.x, fritelle.y - (player.y + PLAYER_BODY_OFFSET_Y));
+  return dist <= range;
+}
+
+/**
+ * Validate a throw request and build the record the projectile is simulated from
+ * @param thrower - Thrower's server position
+ * @returns Throw record, or null if the origin or direction is invalid
+ */
+export function createThrowRecord(
+  thrower: Point,
+  x: unknown,
+  y: unknown,
+  dx: unknown,
+  dy: unknown,
+  now: number
+): ThrowRecord | null {
+  const values = [x, y, dx, dy];
+  if (!values.every((v) => typeof v === 'number' && isFinite(v))) return null;
+
+  const [ox, oy, rawDx, rawDy] = values as number[];
+  const length = Math.hypot(rawDx, rawDy);
+  if (length === 0) return null;
+
+  if (Math.hypot(ox - thrower.x, oy - thrower.y) > THROW_ORIGIN_RANGE) return null;
+
+  return { x: ox, y: oy, dx: rawDx / length, dy: rawDy / length, thrownAt: now };
+}
@@ -0,0 +1,263 @@
+/**
+ * Game Data Loader
+ *
+ * Loads the browser game's own definitions (GAME_CONFIG, CHARACTERS, the
+ * asset library, the maps used by world instances, fritelle spawn rules and
+ * the wire protocol) so the server validates against the exact data the
+ * client runs with instead of a hand-copied duplicate.
+ *
+ * The client files are plain ES modules under the repo root (which has
+ * "type": "module"), so they are loaded with a native dynamic import.
+ */
+
+import { randomUUID } from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { InstanceDef, parseInstanceDefs } from './world-instance';
+
+// Repo root: server/src/services (ts-node) and server/dist/services (compiled)
+const REPO_ROOT = path.join(__dirname, '../../..');
+
+const MAPS_DIR = path.join(REPO_ROOT, 'maps');
+const INSTANCES_PATH = path.join(MAPS_DIR, 'instances.json');
+const CONFIG_MODULE_PATH = path.join(REPO_ROOT, 'js/config.js');
+const ASSET_LIBRARY_MODULE_PATH = path.join(REPO_ROOT, 'tools/js/asset-library.js');
+const PROTOCOL_MODULE_PATH = path.join(REPO_ROOT, 'js/protocol.js');
+const SPAWN_RULES_MODULE_PATH = path.join(REPO_ROOT, 'js/spawn-rules.js');
+
+// TypeScript (module: commonjs) rewrites import() to require(), which can't load
+// ES modules. Constructing the call at runtime keeps Node's native import().
+// The unique comment keeps Node 20 from reusing a cached copy of this function
+// compiled in another Jest test file, whose import hook points at a torn-down context.
+const importModule = new Function('specifier', `return import(specifier); // ${randomUUID()}`) as (
+  specifier: string
+) => Promise<Record<string, unknown>>;
+
+/** Subset of GAME_CONFIG (js/config.js) the server relies on */
+export interface GameConfig {
+  width: number; // Viewport (camera) size
+  height: number;
+  tileSize: number;
+  worldWidth: number;
+  worldHeight: number;
+  playerSpeed: number;
+}
+
+/** Static body sizes of map entities from js/config.js */
+export interface EntityBodies {
+  buildingSpriteScale: number; // BUILDING_SPRITE_SCALE
+  npcFootprintTiles: number; // NPC_FOOTPRINT_TILES
+  npcBody: { x: number; y: number; w: number; h: number }; // NPC_BODY
+}
+
+/** Playable character entry from CHARACTERS (js/config.js) */
+export interface CharacterDef {
+  id: string;
+  name: string;
+  role: string;
+}
+
+/** Emote wheel entry from EMOTES (js/config.js) */
+export interface EmoteDef {
+  id: string;
+  name: string;
+  icon: string;
+  animation: string;
+}
+
+/** Normalized (0-1) collision shape from the asset library */
+export type CollisionShape =
+  | { type: 'rect'; x: number; y: number; w: number; h: number }
+  | { type: 'polygon'; points: [number, number][] };
+
+/** Sprite sheet piece (e.g. one bench out of a row of benches) */
+export interface AssetPiece {
+  id: string;
+  width: number;
+  height: number;
+}
+
+/** Asset definition from tools/js/asset-library.js */
+export interface AssetDef {
+  id: string;
+  name: string;
+  width: number;
+  height: number;
+  collisionShapes?: CollisionShape[];
+  pieces?: AssetPiece[];
+}
+
+/** Entity placed with the map editor (x/y in tiles) */
+export interface MapEntity {
+  id: string;
+  type: string;
+  assetId: string;
+  x: number;
+  y: number;
+  pieceId?: string;
+  properties?: Record<string, unknown>;
+}
+
+/** Map JSON saved by the map editor */
+export interface MapData {
+  name: string;
+  width: number;
+  height: number;
+  tileSize: number;
+  entities?: MapEntity[];
+  spawns?: MapSpawns;
+}
+
+/** Spawn zone drawn in the map editor (tiles) */
+export interface MapSpawnZone {
+  id: string;
+  kind: 'spawn' | 'exclude';
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+/** Fritelle spawn settings saved with a map */
+export interface MapSpawns {
+  maxCount?: number;
+  goldenChance?: number;
+  zones?: MapSpawnZone[];
+}
+
+/** Zone rectangle in world pixels */
+export interface SpawnRect {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+/** A map's spawn settings resolved by js/spawn-rules.js */
+export interface SpawnRules {
+  maxCount: number;
+  goldenChance: number;
+  spawnZones: SpawnRect[];
+  exclusions: SpawnRect[];
+}
+
+/** Spawn rule helpers from js/spawn-rules.js */
+export interface SpawnRulesModule {
+  DEFAULT_SPAWN_RULES: { maxCount: number; goldenChance: number };
+  getSpawnRules: (map: MapData, tileSize: number) => SpawnRules;
+  isExcluded: (rules: SpawnRules, x: number, y: number) => boolean;
+  pickSpawnPosition: (
+    rules: SpawnRules,
+    isBlocked?: (x: number, y: number) => boolean,
+    random?: () => number
+  ) => { x: number; y: number } | null;
+  rollGolden: (rules: SpawnRules, random?: () => number) => boolean;
+}
+
+export type WireEncoding = 'binary' | 'json';
+
+/** Encoded frame: JSON text or binary */
+export type WireData = string | Uint8Array;
+
+/** Message schema and codecs from js/protocol.js */
+export interface WireProtocol {
+  MESSAGE_TYPES: { client: string[]; server: string[] };
+  DIRECTIONS: string[];
+  getEncoding: (subprotocol: string) => WireEncoding;
+  selectSubprotocol: (offered: Iterable<string>) => string | false;
+  encodeMessage: (msg: object, encoding: WireEncoding) => WireData;
+  // Fields are unchecked client input until validated (see message-schema.ts)
+  decodeMessage: (data: string | ArrayBufferView) => Record<string, unknown> | null;
+}
+
+export interface GameData {
+  config: GameConfig;
+  bodies: EntityBodies;
+  characters: CharacterDef[];
+  emotes: EmoteDef[];
+  instances: InstanceDef[];
+  maps: Map<string, MapData>; // By name (maps/<name>.json), for every instance's map
+  protocol: WireProtocol;
+  spawn: SpawnRulesModule;
+  getAsset: (assetId: string) => AssetDef | null;
+}
+
+/**
+ * Read and parse a map JSON file
+ * @param mapPath - Absolute path to the map file
+ */
+export function loadMapFile(mapPath: string): MapData {
+  return JSON.parse(fs.readFileSync(mapPath, 'utf-8')) as MapData;
+}
+
+/**
+ * Read the world instance list (maps/instances.json)
+ * @throws Error if the file is missing or invalid
+ */
+export function loadInstanceDefs(): InstanceDef[] {
+  return parseInstanceDefs(JSON.parse(fs.readFileSync(INSTANCES_PATH, 'utf-8')));
+}
+
+/**
+ * Load the client/server message schema (js/protocol.js)
+ */
+export async function loadProtocol(): Promise<WireProtocol> {
+  return (await importModule(pathToFileURL(PROTOCOL_MODULE_PATH).href)) as unknown as WireProtocol;
+}
+
+/**
+ * Load the fritelle spawn rule helpers (js/spawn-rules.js)
+ */
+export async function loadSpawnRules(): Promise<SpawnRulesModule> {
+  return (await importModule(
+    pathToFileURL(SPAWN_RULES_MODULE_PATH).href
+  )) as unknown as SpawnRulesModule;
+}
+
+/**
+ * Load game config, characters, emotes, asset library, world instances, their maps,
+ * spawn rules and the protocol
+ * @returns Shared game data used by the multiplayer server
+ */
+export async function loadGameData(): Promise<GameData> {
+  const configModule = await importModule(pathToFileURL(CONFIG_MODULE_PATH).href);
+  const assetModule = await importModule(pathToFileURL(ASSET_LIBRARY_MODULE_PATH).href);
+
+  const config = configModule.GAME_CONFIG as GameConfig;
+  const bodies: EntityBodies = {
+    buildingSpriteScale: configModule.BUILDING_SPRITE_SCALE as number,
+    npcFootprintTiles: configModule.NPC_FOOTPRINT_TILES as number,
+    npcBody: configModule.NPC_BODY as EntityBodies['npcBody'],
+  };
+  const characters = configModule.CHARACTERS as CharacterDef[];
+  const emotes = configModule.EMOTES as EmoteDef[];
+  const library = assetModule.ASSET_LIBRARY as Record<string, AssetDef[]>;
+
+  // Map entities reference assets by ID across all asset types
+  const assets = new Map<string, AssetDef>();
+  for (const list of Object.values(library)) {
+    for (const asset of list) {
+      if (!assets.has(asset.id)) assets.set(asset.id, asset);
+    }
+  }
+
+  // Instances can share a map; each file is read once
+  const instances = loadInstanceDefs();
+  const maps = new Map<string, MapData>();
+  for (const { map } of instances) {
+    if (!maps.has(map)) maps.set(map, loadMapFile(path.join(MAPS_DIR, `${map}.json`)));
+  }
+
+  return {
+    config,
+    bodies,
+    characters,
+    emotes,
+    instances,
+    maps,
+    protocol: await loadProtocol(),
+    spawn: await loadSpawnRules(),
+    getAsset: (assetId) => assets.get(assetId) || null,
+  };
+}
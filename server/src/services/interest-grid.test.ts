@@ -0,0 +1,70 @@
+import {
+  InterestGrid,
+  containsPoint,
+  createViewConfig,
+  getViewRect,
+  getWatcherRect,
+} from './interest-grid';
+
+const view = createViewConfig({
+  width: 1200,
+  height: 864,
+  tileSize: 24,
+  worldWidth: 2400,
+  worldHeight: 2160,
+  playerSpeed: 120,
+});
+
+describe('getViewRect', () => {
+  it('centers the camera on the player with a margin', () => {
+    expect(getViewRect(1200, 1080, view)).toEqual({
+      minX: 600 - 96,
+      minY: 648 - 96,
+      maxX: 1800 + 96,
+      maxY: 1512 + 96,
+    });
+  });
+
+  it('clamps the camera at the world edge like the client', () => {
+    const rect = getViewRect(10, 10, view);
+    expect(rect.minX).toBe(-96);
+    expect(rect.maxX).toBe(1200 + 96);
+  });
+
+  it('is always inside the watcher area of the observed point', () => {
+    // Observer in the corner sees a point far from them thanks to the clamp
+    const observer = { x: 10, y: 10 };
+    const target = { x: 1250, y: 900 };
+    expect(containsPoint(getViewRect(observer.x, observer.y, view), target.x, target.y)).toBe(true);
+    expect(containsPoint(getWatcherRect(target.x, target.y, view), observer.x, observer.y)).toBe(
+      true
+    );
+  });
+});
+
+describe('InterestGrid', () => {
+  it('returns players in chunks overlapping the query', () => {
+    const grid = new InterestGrid(24);
+    grid.update('near', 100, 100);
+    grid.update('far', 2000, 2000);
+
+    const ids = grid.query({ minX: 0, minY: 0, maxX: 300, maxY: 300 });
+    expect([...ids]).toEqual(['near']);
+  });
+
+  it('moves players between chunks', () => {
+    const grid = new InterestGrid(24);
+    grid.update('p1', 100, 100);
+    grid.update('p1', 2000, 2000);
+
+    expect(grid.query({ minX: 0, minY: 0, maxX: 300, maxY: 300 }).size).toBe(0);
+    expect(grid.query({ minX: 1900, minY: 1900, maxX: 2100, maxY: 2100 }).has('p1')).toBe(true);
+  });
+
+  it('forgets removed players', () => {
+    const grid = new InterestGrid(24);
+    grid.update('p1', 100, 100);
+    grid.remove('p1');
+    expect(grid.query({ minX: 0, minY: 0, maxX: 300, maxY: 300 }).size).toBe(0);
+  });
+});
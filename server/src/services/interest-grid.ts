@@ -0,0 +1,147 @@
+/**
+ * Interest Grid
+ *
+ * Spatial partitioning for overworld players so movement is only relayed to
+ * clients whose camera could show it. Players are bucketed into square chunks
+ * of CHUNK_TILES tiles; range queries only visit the chunks a rectangle
+ * overlaps instead of every connected player.
+ *
+ * A player's view is the client camera rectangle (js/systems/camera.js:
+ * centered on the player, clamped to the world) plus a margin, so others
+ * are spawned just before they walk on screen.
+ */
+
+import { GameConfig } from './game-data';
+
+// Chunk edge in tiles (8 x 24px = 192px)
+export const CHUNK_TILES = 8;
+
+// Extra tiles around the camera so players spawn before they're visible
+export const VIEW_MARGIN_TILES = 4;
+
+export interface Rect {
+  minX: number;
+  minY: number;
+  maxX: number;
+  maxY: number;
+}
+
+export interface ViewConfig {
+  viewWidth: number;
+  viewHeight: number;
+  worldWidth: number;
+  worldHeight: number;
+  margin: number; // px
+}
+
+/**
+ * Derive the view rules from GAME_CONFIG
+ * @param config - Shared game config (viewport, world and tile size)
+ */
+export function createViewConfig(config: GameConfig): ViewConfig {
+  return {
+    viewWidth: config.width,
+    viewHeight: config.height,
+    worldWidth: config.worldWidth,
+    worldHeight: config.worldHeight,
+    margin: VIEW_MARGIN_TILES * config.tileSize,
+  };
+}
+
+/**
+ * Area a player at (x, y) can see: their camera rectangle plus the margin
+ */
+export function getViewRect(x: number, y: number, view: ViewConfig): Rect {
+  // Same clamp as updateCamera() so the edges of the world match the client
+  const camX = Math.max(0, Math.min(x - view.viewWidth / 2, view.worldWidth - view.viewWidth));
+  const camY = Math.max(0, Math.min(y - view.viewHeight / 2, view.worldHeight - view.viewHeight));
+
+  return {
+    minX: camX - view.margin,
+    minY: camY - view.margin,
+    maxX: camX + view.viewWidth + view.margin,
+    maxY: camY + view.viewHeight + view.margin,
+  };
+}
+
+/**
+ * Area containing every player whose view could include (x, y)
+ * A clamped camera can sit up to half a viewport off-center, so this extends
+ * a full viewport (plus margin) in each direction.
+ */
+export function getWatcherRect(x: number, y: number, view: ViewConfig): Rect {
+  return {
+    minX: x - view.viewWidth - view.margin,
+    minY: y - view.viewHeight - view.margin,
+    maxX: x + view.viewWidth + view.margin,
+    maxY: y + view.viewHeight + view.margin,
+  };
+}
+
+export function containsPoint(rect: Rect, x: number, y: number): boolean {
+  return x >= rect.minX && x <= rect.maxX && y >= rect.minY && y <= rect.maxY;
+}
+
+/**
+ * Player ids bucketed by chunk
+ */
+export class InterestGrid {
+  private readonly chunkSize: number;
+  private chunks = new Map<string, Set<string>>();
+  private playerChunks = new Map<string, string>();
+
+  /**
+   * @param tileSize - GAME_CONFIG.tileSize
+   */
+  constructor(tileSize: number) {
+    this.chunkSize = tileSize * CHUNK_TILES;
+  }
+
+  private key(cx: number, cy: number): string {
+    return `${cx},${cy}`;
+  }
+
+  /**
+   * Insert a player or move them to the chunk containing (x, y)
+   */
+  update(id: string, x: number, y: number): void {
+    const key = this.key(Math.floor(x / this.chunkSize), Math.floor(y / this.chunkSize));
+    const current = this.playerChunks.get(id);
+    if (current === key) return;
+
+    if (current) this.chunks.get(current)?.delete(id);
+
+    let chunk = this.chunks.get(key);
+    if (!chunk) {
+      chunk = new Set();
+      this.chunks.set(key, chunk);
+    }
+    chunk.add(id);
+    this.playerChunks.set(id, key);
+  }
+
+  remove(id: string): void {
+    const current = this.playerChunks.get(id);
+    if (current) this.chunks.get(current)?.delete(id);
+    this.playerChunks.delete(id);
+  }
+
+  /**
+   * Ids in every chunk overlapping the rectangle
+   * Candidates only - callers still test exact positions.
+   */
+  query(rect: Rect): Set<string> {
+    const result = new Set<string>();
+    const minCx = Math.floor(rect.minX / this.chunkSize);
+    const maxCx = Math.floor(rect.maxX / this.chunkSize);
+    const minCy = Math.floor(rect.minY / this.chunkSize);
+    const maxCy = Math.floor(rect.maxY / this.chunkSize);
+
+    for (let cx = minCx; cx <= maxCx; cx++) {
+      for (let cy = minCy; cy <= maxCy; cy++) {
+        this.chunks.get(this.key(cx, cy))?.forEach((id) => result.add(id));
+      }
+    }
+    return result;
+  }
+}
@@ -0,0 +1,115 @@
+import { loadProtocol } from './game-data';
+import {
+  MAX_NAME_LENGTH,
+  VIOLATION_WINDOW_MS,
+  createMessageSchemas,
+  recordViolation,
+  validateMessage,
+} from './message-schema';
+
+const schemas = createMessageSchemas(
+  { width: 1200, height: 864, tileSize: 24, worldWidth: 1200, worldHeight: 1080, playerSpeed: 120 },
+  [
+    { id: 'Farmer_Bob', name: 'Farmer Bob', role: 'Farmer' },
+    { id: 'Chef_Chloe', name: 'Chef Chloe', role: 'Chef' },
+  ],
+  ['down', 'up', 'left', 'right'],
+  [{ id: 'wave', name: 'Wave', icon: 'o/', animation: 'shake' }]
+);
+
+describe('validateMessage', () => {
+  it('accepts well-formed messages', () => {
+    expect(validateMessage({ type: 'move', x: 100, y: 200, direction: 'left' }, schemas)).toEqual({
+      ok: true,
+      message: { type: 'move', x: 100, y: 200, direction: 'left' },
+    });
+    expect(validateMessage({ type: 'move', x: 100, y: 200 }, schemas).ok).toBe(true);
+    expect(
+      validateMessage({ type: 'setAppearance', appearance: { characterId: 'Chef_Chloe' } }, schemas)
+        .ok
+    ).toBe(true);
+  });
+
+  it('rejects unknown message types', () => {
+    expect(validateMessage({ type: 'init' }, schemas)).toMatchObject({
+      ok: false,
+      code: 'UNKNOWN_TYPE',
+    });
+    expect(validateMessage({ type: 'constructor' }, schemas)).toMatchObject({
+      ok: false,
+      code: 'UNKNOWN_TYPE',
+    });
+  });
+
+  it('rejects non-numeric and out-of-range positions', () => {
+    expect(validateMessage({ type: 'move', x: '100', y: 200 }, schemas)).toMatchObject({
+      ok: false,
+      code: 'INVALID_MESSAGE',
+      error: 'x must be a number',
+    });
+    expect(validateMessage({ type: 'move', x: 100, y: 5000 }, schemas)).toMatchObject({
+      ok: false,
+      error: 'y must be between 0 and 1080',
+    });
+    expect(validateMessage({ type: 'throw', x: 10, y: 10, dx: 3, dy: 0 }, schemas).ok).toBe(false);
+  });
+
+  it('limits name length and rejects control characters', () => {
+    const longName = 'x'.repeat(MAX_NAME_LENGTH + 1);
+    expect(validateMessage({ type: 'setName', name: longName }, schemas).ok).toBe(false);
+    expect(validateMessage({ type: 'setName', name: '' }, schemas).ok).toBe(false);
+    expect(validateMessage({ type: 'setName', name: 'Bob\n' }, schemas).ok).toBe(false);
+    expect(validateMessage({ type: 'setName', name: 'Bob' }, schemas).ok).toBe(true);
+  });
+
+  it('only accepts CHARACTERS ids and no extra appearance keys', () => {
+    expect(
+      validateMessage({ type: 'setAppearance', appearance: { characterId: 'Dragon' } }, schemas)
+    ).toMatchObject({ ok: false, code: 'INVALID_MESSAGE' });
+    expect(
+      validateMessage(
+        { type: 'setAppearance', appearance: { characterId: 'Farmer_Bob', isAdmin: true } },
+        schemas
+      )
+    ).toMatchObject({ ok: false, error: 'unexpected field appearance.isAdmin' });
+  });
+
+  it('limits chat length and channels', () => {
+    expect(validateMessage({ type: 'chat', channel: 'global', text: 'hi' }, schemas).ok).toBe(true);
+    expect(validateMessage({ type: 'chat', channel: 'team', text: 'hi' }, schemas).ok).toBe(false);
+    expect(
+      validateMessage({ type: 'chat', channel: 'proximity', text: 'x'.repeat(201) }, schemas).ok
+    ).toBe(false);
+  });
+
+  it('only accepts EMOTES ids', () => {
+    expect(validateMessage({ type: 'emote', emoteId: 'wave' }, schemas).ok).toBe(true);
+    expect(validateMessage({ type: 'emote', emoteId: 'dance' }, schemas)).toMatchObject({
+      ok: false,
+      code: 'INVALID_MESSAGE',
+    });
+  });
+
+  it('rejects missing and unexpected fields', () => {
+    expect(validateMessage({ type: 'collect' }, schemas)).toMatchObject({
+      ok: false,
+      error: 'missing field fritelleId',
+    });
+    expect(validateMessage({ type: 'collect', fritelleId: 'f1', extra: 1 }, schemas)).toMatchObject(
+      { ok: false, error: 'unexpected field extra' }
+    );
+  });
+
+  it('has a schema for every client message in js/protocol.js', async () => {
+    const protocol = await loadProtocol();
+    expect(Object.keys(schemas).sort()).toEqual([...protocol.MESSAGE_TYPES.client].sort());
+  });
+});
+
+describe('recordViolation', () => {
+  it('only keeps violations inside the window', () => {
+    const now = 1_000_000;
+    const violations = recordViolation([now - VIOLATION_WINDOW_MS - 1, now - 1000], now);
+    expect(violations).toEqual([now - 1000, now]);
+  });
+});
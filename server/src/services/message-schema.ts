@@ -0,0 +1,218 @@
+/**
+ * Message Schema
+ *
+ * One schema per client -> server message type (the list of types lives in
+ * js/protocol.js). Every message is checked here before its handler runs:
+ * field types, string lengths, numeric ranges and allowed values such as
+ * CHARACTERS and EMOTES ids. Unknown fields are rejected so nothing unchecked reaches
+ * player state.
+ *
+ * Invalid messages count as violations; a socket that keeps sending them
+ * within VIOLATION_WINDOW_MS is disconnected.
+ */
+
+import { CHAT_CHANNELS, ChatChannel, MAX_CHAT_LENGTH } from './chat';
+import { CharacterDef, EmoteDef, GameConfig } from './game-data';
+
+export const MAX_NAME_LENGTH = 24;
+export const MAX_ID_LENGTH = 64; // Player and fritelle ids
+
+// Invalid messages allowed per window before the socket is closed
+export const MAX_VIOLATIONS = 10;
+export const VIOLATION_WINDOW_MS = 60000;
+
+// C0 controls and DEL - never valid in names or ids shown to other players
+const CONTROL_CHARS = /[\u0000-\u001f\u007f]/;
+
+type FieldSpec = (
+  | { type: 'number'; min: number; max: number }
+  | { type: 'string'; minLength?: number; maxLength: number }
+  | { type: 'enum'; values: ReadonlySet<string> }
+  | { type: 'object'; fields: Fields }
+) & { optional?: boolean };
+
+type Fields = Record<string, FieldSpec>;
+
+export interface MoveMessage {
+  type: 'move';
+  x: number;
+  y: number;
+  direction?: string;
+}
+
+export interface CollectMessage {
+  type: 'collect';
+  fritelleId: string;
+}
+
+export interface ThrowMessage {
+  type: 'throw';
+  x: number;
+  y: number;
+  dx: number;
+  dy: number;
+}
+
+export interface SetNameMessage {
+  type: 'setName';
+  name: string;
+}
+
+export interface SetAppearanceMessage {
+  type: 'setAppearance';
+  appearance: { characterId: string };
+}
+
+export interface ChatMessage {
+  type: 'chat';
+  channel: ChatChannel;
+  text: string;
+}
+
+export interface EmoteMessage {
+  type: 'emote';
+  emoteId: string;
+}
+
+export type ClientMessage =
+  | MoveMessage
+  | CollectMessage
+  | ThrowMessage
+  | SetNameMessage
+  | SetAppearanceMessage
+  | ChatMessage
+  | EmoteMessage;
+
+export type ClientMessageType = ClientMessage['type'];
+
+export type MessageSchemas = Record<ClientMessageType, Fields>;
+
+export type MessageErrorCode = 'MALFORMED' | 'UNKNOWN_TYPE' | 'INVALID_MESSAGE';
+
+export type ValidationResult =
+  | { ok: true; message: ClientMessage }
+  | { ok: false; code: MessageErrorCode; error: string };
+
+/**
+ * Build the schemas from the shared game data
+ * @param config - World size bounds positions
+ * @param characters - CHARACTERS; only their ids are valid appearances
+ * @param directions - Facing directions from js/protocol.js
+ * @param emotes - EMOTES; only their ids can be played
+ */
+export function createMessageSchemas(
+  config: GameConfig,
+  characters: CharacterDef[],
+  directions: string[],
+  emotes: EmoteDef[]
+): MessageSchemas {
+  const x = { type: 'number', min: 0, max: config.worldWidth } as const;
+  const y = { type: 'number', min: 0, max: config.worldHeight } as const;
+  const unit = { type: 'number', min: -1, max: 1 } as const;
+  const id = { type: 'string', minLength: 1, maxLength: MAX_ID_LENGTH } as const;
+
+  return {
+    move: { x, y, direction: { type: 'enum', values: new Set(directions), optional: true } },
+    collect: { fritelleId: id },
+    throw: { x, y, dx: unit, dy: unit },
+    setName: { name: { type: 'string', minLength: 1, maxLength: MAX_NAME_LENGTH } },
+    setAppearance: {
+      appearance: {
+        type: 'object',
+        fields: {
+          characterId: { type: 'enum', values: new Set(characters.map((c) => c.id)) },
+        },
+      },
+    },
+    chat: {
+      channel: { type: 'enum', values: new Set(CHAT_CHANNELS) },
+      text: { type: 'string', minLength: 1, maxLength: MAX_CHAT_LENGTH },
+    },
+    emote: { emoteId: { type: 'enum', values: new Set(emotes.map((e) => e.id)) } },
+  };
+}
+
+function checkField(name: string, value: unknown, spec: FieldSpec): string | null {
+  switch (spec.type) {
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return `${name} must be a number`;
+      }
+      if (value < spec.min || value > spec.max) {
+        return `${name} must be between ${spec.min} and ${spec.max}`;
+      }
+      return null;
+
+    case 'string':
+      if (typeof value !== 'string') return `${name} must be a string`;
+      if (value.length < (spec.minLength ?? 0) || value.length > spec.maxLength) {
+        return `${name} must be ${spec.minLength ?? 0}-${spec.maxLength} characters`;
+      }
+      if (CONTROL_CHARS.test(value)) return `${name} contains control characters`;
+      return null;
+
+    case 'enum':
+      if (typeof value !== 'string' || !spec.values.has(value)) {
+        return `${name} must be one of: ${[...spec.values].join(', ')}`;
+      }
+      return null;
+
+    case 'object':
+      if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        return `${name} must be an object`;
+      }
+      return checkFields(value as Record<string, unknown>, spec.fields, `${name}.`);
+  }
+}
+
+const hasOwn = (obj: object, key: string) => Object.prototype.hasOwnProperty.call(obj, key);
+
+function checkFields(obj: Record<string, unknown>, fields: Fields, prefix = ''): string | null {
+  for (const key of Object.keys(obj)) {
+    if (!hasOwn(fields, key) && !(prefix === '' && key === 'type')) {
+      return `unexpected field ${prefix}${key}`;
+    }
+  }
+  for (const [key, spec] of Object.entries(fields)) {
+    if (obj[key] === undefined) {
+      if (spec.optional) continue;
+      return `missing field ${prefix}${key}`;
+    }
+    const error = checkField(`${prefix}${key}`, obj[key], spec);
+    if (error) return error;
+  }
+  return null;
+}
+
+/**
+ * Validate a decoded client message against its schema
+ * @param msg - Decoded message (unchecked client input)
+ * @param schemas - From createMessageSchemas()
+ * @returns The typed message, or an error code and reason for the `error` reply
+ */
+export function validateMessage(
+  msg: Record<string, unknown>,
+  schemas: MessageSchemas
+): ValidationResult {
+  const type = msg.type;
+  if (typeof type !== 'string' || !hasOwn(schemas, type)) {
+    return { ok: false, code: 'UNKNOWN_TYPE', error: `unknown message type ${String(type)}` };
+  }
+
+  const error = checkFields(msg, schemas[type as ClientMessageType]);
+  if (error) return { ok: false, code: 'INVALID_MESSAGE', error };
+
+  return { ok: true, message: msg as unknown as ClientMessage };
+}
+
+/**
+ * Record a violation and drop the ones outside the window
+ * @param violations - Timestamps of earlier violations (oldest first)
+ * @param now - Current time in ms
+ * @returns Timestamps still inside the window, including this one
+ */
+export function recordViolation(violations: number[], now: number): number[] {
+  const recent = violations.filter((t) => now - t < VIOLATION_WINDOW_MS);
+  recent.push(now);
+  return recent;
+}
@@ -0,0 +1,138 @@
+import { createMovementRules, validateMove, MovementState } from './movement-validator';
+import { buildCollisionShapes, isPointBlocked } from './world-collision';
+import { AssetDef, EntityBodies, GameConfig } from './game-data';
+
+const config: GameConfig = {
+  width: 1200,
+  height: 864,
+  tileSize: 24,
+  worldWidth: 1200,
+  worldHeight: 1080,
+  playerSpeed: 120,
+};
+
+const bodies: EntityBodies = {
+  buildingSpriteScale: 1.4,
+  npcFootprintTiles: 6,
+  npcBody: { x: -12, y: -4.8, w: 24, h: 33.6 },
+};
+
+const house: AssetDef = {
+  id: 'house',
+  name: 'House',
+  width: 100,
+  height: 100,
+  collisionShapes: [{ type: 'rect', x: 0, y: 0, w: 1, h: 1 }],
+};
+
+// One 140x140 building at tile (10, 10) => world (240, 240) to (380, 380)
+const shapes = buildCollisionShapes(
+  [{ id: 'e1', type: 'buildings', assetId: 'house', x: 10, y: 10 }],
+  (id) => (id === 'house' ? house : null),
+  config.tileSize,
+  bodies
+);
+const rules = createMovementRules(config, (x, y) => isPointBlocked(shapes, x, y));
+
+function makeState(x: number, y: number, now = 0): MovementState {
+  return { x, y, moveBudget: rules.maxBudget, lastMoveAt: now };
+}
+
+describe('buildCollisionShapes', () => {
+  it('scales normalized shapes to the building sprite size', () => {
+    expect(shapes).toEqual([{ type: 'rect', x: 240, y: 240, w: 140, h: 140 }]);
+  });
+
+  it('skips entities with unknown assets', () => {
+    const none = buildCollisionShapes(
+      [{ id: 'e2', type: 'buildings', assetId: 'missing', x: 0, y: 0 }],
+      () => null,
+      config.tileSize,
+      bodies
+    );
+    expect(none).toEqual([]);
+  });
+
+  it('gives NPCs a body in the middle of their footprint', () => {
+    // Footprint from tile (2, 2): the NPC stands at world (120, 120)
+    const npc = buildCollisionShapes(
+      [{ id: 'e3', type: 'npcs', assetId: 'house', x: 2, y: 2 }],
+      () => house,
+      config.tileSize,
+      bodies
+    );
+    expect(npc).toEqual([{ type: 'rect', x: 108, y: 115.2, w: 24, h: 33.6 }]);
+  });
+
+  it('detects points inside polygons', () => {
+    const triangle = [
+      {
+        type: 'polygon' as const,
+        points: [
+          [0, 0],
+          [100, 0],
+          [0, 100],
+        ] as [number, number][],
+      },
+    ];
+    expect(isPointBlocked(triangle, 10, 10)).toBe(true);
+    expect(isPointBlocked(triangle, 90, 90)).toBe(false);
+  });
+});
+
+describe('validateMove', () => {
+  it('accepts a normal step', () => {
+    const state = makeState(600, 600);
+    const result = validateMove(state, 606, 600, rules, 50);
+    expect(result).toMatchObject({ accepted: true, corrected: false, x: 606, y: 600 });
+    expect(state.x).toBe(606);
+  });
+
+  it('rejects teleports and keeps the last valid position', () => {
+    const state = makeState(600, 600);
+    const result = validateMove(state, 1000, 900, rules, 50);
+    expect(result).toMatchObject({ accepted: false, corrected: true, reason: 'speed' });
+    expect(result.x).toBe(600);
+    expect(state.x).toBe(600);
+  });
+
+  it('accepts a burst of delayed packets within the banked budget', () => {
+    const state = makeState(600, 600);
+    // Five 50ms steps arriving at once
+    for (let i = 1; i <= 5; i++) {
+      expect(validateMove(state, 600 + i * 6, 600, rules, 0).accepted).toBe(true);
+    }
+  });
+
+  it('rejects sustained movement faster than the max speed', () => {
+    const state = makeState(100, 600);
+    let rejected = 0;
+    for (let t = 1; t <= 40; t++) {
+      // 3x playerSpeed, one update every 50ms
+      const result = validateMove(state, state.x + 18, 600, rules, t * 50);
+      if (!result.accepted) rejected++;
+    }
+    expect(rejected).toBeGreaterThan(0);
+  });
+
+  it('clamps positions to the world bounds and corrects the client', () => {
+    const state = makeState(30, 600);
+    const result = validateMove(state, 10, 600, rules, 50);
+    expect(result).toMatchObject({ accepted: true, corrected: true, reason: 'bounds' });
+    expect(result.x).toBe(config.tileSize);
+  });
+
+  it('rejects positions inside building collision shapes', () => {
+    const state = makeState(300, 225);
+    const result = validateMove(state, 300, 240, rules, 100);
+    expect(result).toMatchObject({ accepted: false, reason: 'collision', x: 300, y: 225 });
+  });
+
+  it('rejects non-numeric coordinates', () => {
+    const state = makeState(600, 600);
+    expect(validateMove(state, '600', null, rules, 50)).toMatchObject({
+      accepted: false,
+      reason: 'invalid',
+    });
+  });
+});
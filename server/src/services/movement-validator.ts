@@ -0,0 +1,132 @@
+/**
+ * Movement Validator
+ *
+ * Server-authoritative checks for client `move` messages: world bounds,
+ * maximum speed and building collision.
+ *
+ * Speed is enforced with a distance budget rather than a per-message limit:
+ * the budget refills at the max speed and can bank a short burst, so packets
+ * that arrive bunched up after a network hiccup are still accepted.
+ */
+
+import { GameConfig } from './game-data';
+import { PLAYER_BODY_OFFSET_Y } from './world-collision';
+
+// Diagonal movement applies playerSpeed on both axes (see js/entities/player.js)
+const DIAGONAL_FACTOR = Math.SQRT2;
+
+// Headroom for frame-time jitter in the client's movement integration
+const SPEED_TOLERANCE = 1.25;
+
+// Seconds of movement that can be banked for bursts of delayed packets
+const BURST_SECONDS = 0.5;
+
+export interface MovementRules {
+  maxSpeed: number; // px/sec
+  maxBudget: number; // px
+  minX: number;
+  maxX: number;
+  minY: number;
+  maxY: number;
+  isBlocked: (x: number, y: number) => boolean;
+}
+
+export interface MovementState {
+  x: number;
+  y: number;
+  moveBudget: number;
+  lastMoveAt: number;
+}
+
+export type MoveRejectReason = 'invalid' | 'speed' | 'collision' | 'bounds';
+
+export interface MoveResult {
+  x: number;
+  y: number;
+  accepted: boolean; // false = position unchanged
+  corrected: boolean; // true = client must snap to x/y
+  reason?: MoveRejectReason;
+}
+
+/**
+ * Derive movement rules from GAME_CONFIG
+ * @param config - Shared game config (speed, world size, tile size)
+ * @param isBlocked - Collision test for a world position
+ */
+export function createMovementRules(
+  config: GameConfig,
+  isBlocked: (x: number, y: number) => boolean
+): MovementRules {
+  const maxSpeed = config.playerSpeed * DIAGONAL_FACTOR * SPEED_TOLERANCE;
+  const tile = config.tileSize;
+
+  // Same clamp the client applies in js/entities/player.js
+  return {
+    maxSpeed,
+    maxBudget: maxSpeed * BURST_SECONDS,
+    minX: tile,
+    maxX: config.worldWidth - tile,
+    minY: tile * 2,
+    maxY: config.worldHeight - tile,
+    isBlocked,
+  };
+}
+
+/**
+ * Validate a requested position and update the movement state in place
+ * @param state - Player's last accepted position and speed budget
+ * @param x - Requested x
+ * @param y - Requested y
+ * @param rules - Movement rules from createMovementRules()
+ * @param now - Current time in ms
+ * @returns Accepted (possibly clamped) position, or the last valid one
+ */
+export function validateMove(
+  state: MovementState,
+  x: unknown,
+  y: unknown,
+  rules: MovementRules,
+  now: number
+): MoveResult {
+  const reject = (reason: MoveRejectReason): MoveResult => ({
+    x: state.x,
+    y: state.y,
+    accepted: false,
+    corrected: true,
+    reason,
+  });
+
+  if (typeof x !== 'number' || typeof y !== 'number' || !isFinite(x) || !isFinite(y)) {
+    return reject('invalid');
+  }
+
+  const clampedX = Math.min(Math.max(x, rules.minX), rules.maxX);
+  const clampedY = Math.min(Math.max(y, rules.minY), rules.maxY);
+  const wasClamped = clampedX !== x || clampedY !== y;
+
+  // Refill the distance budget for the time since the last move
+  const elapsed = Math.max(0, now - state.lastMoveAt) / 1000;
+  state.moveBudget = Math.min(rules.maxBudget, state.moveBudget + elapsed * rules.maxSpeed);
+  state.lastMoveAt = now;
+
+  const distance = Math.hypot(clampedX - state.x, clampedY - state.y);
+  if (distance > state.moveBudget) {
+    return reject('speed');
+  }
+
+  if (rules.isBlocked(clampedX, clampedY + PLAYER_BODY_OFFSET_Y)) {
+    return reject('collision');
+  }
+
+  state.moveBudget -= distance;
+  state.x = clampedX;
+  state.y = clampedY;
+
+  return {
+    x: clampedX,
+    y: clampedY,
+    accepted: true,
+    corrected: wasClamped,
+    reason: wasClamped ? 'bounds' : undefined,
+  };
+}
@@ -0,0 +1,40 @@
+/**
+ * Player Database
+ *
+ * Reads player profiles (supabase/migrations/001_create_players.sql) so the
+ * game server can use the stored display name and character for
+ * authenticated connections instead of trusting client messages.
+ */
+
+import { SupabaseClient } from '@supabase/supabase-js';
+
+export interface PlayerProfile {
+  displayName: string | null;
+  characterId: string | null;
+}
+
+/**
+ * Fetch a player's profile
+ * @param client - Supabase service-role client
+ * @param userId - Supabase user id (players.id)
+ * @returns Profile, or null if the player has no row yet
+ * @throws Error if the query fails
+ */
+export async function fetchPlayerProfile(
+  client: SupabaseClient,
+  userId: string
+): Promise<PlayerProfile | null> {
+  const { data, error } = await client
+    .from('players')
+    .select('display_name, character_id')
+    .eq('id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+  if (!data) return null;
+
+  const row = data as { display_name: string | null; character_id: string | null };
+  return { displayName: row.display_name, characterId: row.character_id };
+}
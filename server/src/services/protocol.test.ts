@@ -0,0 +1,59 @@
+import { WireProtocol, loadProtocol } from './game-data';
+
+describe('wire protocol (js/protocol.js)', () => {
+  let protocol: WireProtocol;
+
+  beforeAll(async () => {
+    protocol = await loadProtocol();
+  });
+
+  it('prefers binary when the client offers it', () => {
+    expect(protocol.selectSubprotocol(['overworld.json.v1', 'overworld.binary.v1'])).toBe(
+      'overworld.binary.v1'
+    );
+    expect(protocol.selectSubprotocol(['overworld.json.v1'])).toBe('overworld.json.v1');
+    expect(protocol.selectSubprotocol([])).toBe(false);
+    expect(protocol.getEncoding('')).toBe('json');
+  });
+
+  it('round-trips move as a 10-byte binary frame', () => {
+    const data = protocol.encodeMessage(
+      { type: 'move', x: 100.5, y: 200, direction: 'left' },
+      'binary'
+    );
+    expect(data).toBeInstanceOf(Uint8Array);
+    expect((data as Uint8Array).length).toBe(10);
+    expect(protocol.decodeMessage(Buffer.from(data as Uint8Array))).toEqual({
+      type: 'move',
+      x: 100.5,
+      y: 200,
+      direction: 'left',
+    });
+  });
+
+  it('round-trips snapshot deltas with only the fields present', () => {
+    const msg = {
+      type: 'snapshot',
+      t: 1700000000123,
+      players: [{ id: 'p1_abc', x: 12.5 }, { id: 'p2_def', y: 40, direction: 'up' }, { id: 'p3' }],
+    };
+    const data = protocol.encodeMessage(msg, 'binary') as Uint8Array;
+    expect(data).toBeInstanceOf(Uint8Array);
+    expect(protocol.decodeMessage(data)).toEqual(msg);
+  });
+
+  it('keeps other messages as JSON text in binary mode', () => {
+    const msg = { type: 'setName', name: 'Bob' };
+    expect(protocol.encodeMessage(msg, 'binary')).toBe(JSON.stringify(msg));
+  });
+
+  it('falls back to JSON when a field has no binary form', () => {
+    const msg = { type: 'move', x: 1, y: 2, direction: 'sideways' };
+    expect(typeof protocol.encodeMessage(msg, 'binary')).toBe('string');
+  });
+
+  it('drops message types outside the schema', () => {
+    expect(protocol.decodeMessage(JSON.stringify({ type: 'teleport' }))).toBeNull();
+    expect(protocol.decodeMessage(new Uint8Array([99]))).toBeNull();
+  });
+});
@@ -0,0 +1,72 @@
+import {
+  ConnectionCounter,
+  MAX_DROPPED_MESSAGES,
+  RATE_LIMITS,
+  checkRateLimit,
+  createRateLimitState,
+  takeToken,
+} from './rate-limiter';
+
+describe('takeToken', () => {
+  it('refills at the configured rate up to the burst size', () => {
+    const limit = { rate: 10, burst: 2 };
+    const bucket = { tokens: 0, updatedAt: 0 };
+
+    expect(takeToken(bucket, limit, 50)).toBe(false); // 0.5 tokens
+    expect(takeToken(bucket, limit, 100)).toBe(true); // 1 token
+    expect(takeToken(bucket, limit, 10000)).toBe(true);
+    expect(bucket.tokens).toBe(1); // Capped at burst, minus the one taken
+  });
+});
+
+describe('checkRateLimit', () => {
+  it('allows a normal 20/sec move stream', () => {
+    const state = createRateLimitState();
+    for (let t = 0; t < 10000; t += 50) {
+      expect(checkRateLimit(state, 'move', t).allowed).toBe(true);
+    }
+  });
+
+  it('drops messages past the burst and flags the first drop', () => {
+    const state = createRateLimitState();
+    const { burst } = RATE_LIMITS.setName;
+    for (let i = 0; i < burst; i++) {
+      expect(checkRateLimit(state, 'setName', 0).allowed).toBe(true);
+    }
+    expect(checkRateLimit(state, 'setName', 0)).toEqual({
+      allowed: false,
+      firstDrop: true,
+      kick: false,
+    });
+    expect(checkRateLimit(state, 'setName', 0).firstDrop).toBe(false);
+  });
+
+  it('keeps buckets separate per message type', () => {
+    const state = createRateLimitState();
+    for (let i = 0; i < RATE_LIMITS.throw.burst + 1; i++) checkRateLimit(state, 'throw', 0);
+    expect(checkRateLimit(state, 'move', 0).allowed).toBe(true);
+  });
+
+  it('kicks a connection that keeps flooding', () => {
+    const state = createRateLimitState();
+    let kicked = false;
+    for (let i = 0; i < RATE_LIMITS.move.burst + MAX_DROPPED_MESSAGES; i++) {
+      kicked = checkRateLimit(state, 'move', 0).kick;
+    }
+    expect(kicked).toBe(true);
+  });
+});
+
+describe('ConnectionCounter', () => {
+  it('caps connections per IP and frees slots on release', () => {
+    const counter = new ConnectionCounter(2);
+    expect(counter.acquire('1.2.3.4')).toBe(true);
+    expect(counter.acquire('1.2.3.4')).toBe(true);
+    expect(counter.acquire('1.2.3.4')).toBe(false);
+    expect(counter.acquire('5.6.7.8')).toBe(true);
+
+    counter.release('1.2.3.4');
+    expect(counter.count('1.2.3.4')).toBe(1);
+    expect(counter.acquire('1.2.3.4')).toBe(true);
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Rate Limiter
+ *
+ * Flood protection for the game socket. Each connection gets a token bucket
+ * per client message type: the bucket refills at a steady rate and holds a
+ * small burst, so a normal client (20 moves/sec, the odd throw) never notices
+ * while a flooding one has its extra messages dropped before they reach the
+ * handlers or fan out to other players.
+ *
+ * A connection that keeps hitting its limits is kicked. Message size and
+ * connections per IP are capped separately in index.ts.
+ */
+
+import { ClientMessageType } from './message-schema';
+
+export interface BucketLimit {
+  rate: number; // Tokens added per second
+  burst: number; // Bucket size
+}
+
+// The client sends `move` 20 times/sec; everything else is player-driven
+export const RATE_LIMITS: Record<ClientMessageType, BucketLimit> = {
+  move: { rate: 30, burst: 30 },
+  collect: { rate: 5, burst: 10 },
+  throw: { rate: 3, burst: 5 },
+  setName: { rate: 0.2, burst: 3 },
+  setAppearance: { rate: 0.5, burst: 3 },
+  chat: { rate: 0.5, burst: 5 },
+  emote: { rate: 1, burst: 3 },
+};
+
+export const MAX_MESSAGE_BYTES = 4096;
+
+// Dropped messages within the window that get a connection kicked
+export const MAX_DROPPED_MESSAGES = 50;
+export const DROP_WINDOW_MS = 10000;
+
+interface TokenBucket {
+  tokens: number;
+  updatedAt: number;
+}
+
+export interface RateLimitState {
+  buckets: Partial<Record<ClientMessageType, TokenBucket>>;
+  dropped: number[]; // Times of recently dropped messages
+}
+
+export interface RateLimitResult {
+  allowed: boolean;
+  firstDrop: boolean; // First drop in the window - worth an audit entry
+  kick: boolean;
+}
+
+export function createRateLimitState(): RateLimitState {
+  return { buckets: {}, dropped: [] };
+}
+
+/**
+ * Take a token from a bucket, refilling it for the time since the last call
+ * @returns false if the bucket is empty
+ */
+export function takeToken(bucket: TokenBucket, limit: BucketLimit, now: number): boolean {
+  const elapsed = Math.max(0, now - bucket.updatedAt) / 1000;
+  bucket.tokens = Math.min(limit.burst, bucket.tokens + elapsed * limit.rate);
+  bucket.updatedAt = now;
+
+  if (bucket.tokens < 1) return false;
+  bucket.tokens -= 1;
+  return true;
+}
+
+/**
+ * Check a message against the connection's limit for its type
+ * @param state - Connection's rate limit state (updated in place)
+ * @param type - Client message type
+ * @param now - Current time in ms
+ */
+export function checkRateLimit(
+  state: RateLimitState,
+  type: ClientMessageType,
+  now: number
+): RateLimitResult {
+  const limit = RATE_LIMITS[type];
+  let bucket = state.buckets[type];
+  if (!bucket) {
+    bucket = { tokens: limit.burst, updatedAt: now };
+    state.buckets[type] = bucket;
+  }
+
+  if (takeToken(bucket, limit, now)) {
+    return { allowed: true, firstDrop: false, kick: false };
+  }
+
+  state.dropped = state.dropped.filter((t) => now - t < DROP_WINDOW_MS);
+  state.dropped.push(now);
+  return {
+    allowed: false,
+    firstDrop: state.dropped.length === 1,
+    kick: state.dropped.length >= MAX_DROPPED_MESSAGES,
+  };
+}
+
+/**
+ * Live connection counts per client IP
+ */
+export class ConnectionCounter {
+  private counts = new Map<string, number>();
+
+  constructor(private readonly maxPerIp: number) {}
+
+  /**
+   * Reserve a connection slot
+   * @returns false if the IP is already at the cap
+   */
+  acquire(ip: string): boolean {
+    const count = this.counts.get(ip) || 0;
+    if (count >= this.maxPerIp) return false;
+    this.counts.set(ip, count + 1);
+    return true;
+  }
+
+  release(ip: string): void {
+    const count = (this.counts.get(ip) || 0) - 1;
+    if (count > 0) {
+      this.counts.set(ip, count);
+    } else {
+      this.counts.delete(ip);
+    }
+  }
+
+  count(ip: string): number {
+    return this.counts.get(ip) || 0;
+  }
+}
@@ -0,0 +1,36 @@
+import {
+  createScoreDelta,
+  hasScoreChanges,
+  isLeaderboardPeriod,
+  mergeScoreDelta,
+} from './score-database';
+
+describe('score deltas', () => {
+  it('starts empty', () => {
+    expect(hasScoreChanges(createScoreDelta())).toBe(false);
+  });
+
+  it('reports any non-zero field as a change', () => {
+    const delta = createScoreDelta();
+    delta.timesHit = 1;
+    expect(hasScoreChanges(delta)).toBe(true);
+  });
+
+  it('merges a failed write back into the pending delta', () => {
+    const pending = { points: 1, collections: 1, hitsLanded: 0, timesHit: 0 };
+    mergeScoreDelta(pending, { points: 15, collections: 1, hitsLanded: 2, timesHit: 1 });
+    expect(pending).toEqual({ points: 16, collections: 2, hitsLanded: 2, timesHit: 1 });
+  });
+});
+
+describe('isLeaderboardPeriod', () => {
+  it('accepts the supported periods', () => {
+    expect(['daily', 'weekly', 'all'].every(isLeaderboardPeriod)).toBe(true);
+  });
+
+  it('rejects anything else', () => {
+    expect(isLeaderboardPeriod('monthly')).toBe(false);
+    expect(isLeaderboardPeriod(['daily'])).toBe(false);
+    expect(isLeaderboardPeriod(undefined)).toBe(false);
+  });
+});
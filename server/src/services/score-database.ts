@@ -0,0 +1,112 @@
+/**
+ * Fritelle Score Database
+ *
+ * Persists fritelle scores for logged-in players and reads the leaderboard
+ * (see supabase/migrations/009_fritelle_scores.sql). Score changes are
+ * accumulated per player and written in batches by the game server instead
+ * of one write per pickup.
+ */
+
+import { SupabaseClient } from '@supabase/supabase-js';
+
+export type LeaderboardPeriod = 'daily' | 'weekly' | 'all';
+
+export const LEADERBOARD_PERIODS: LeaderboardPeriod[] = ['daily', 'weekly', 'all'];
+
+export interface ScoreDelta {
+  points: number;
+  collections: number;
+  hitsLanded: number;
+  timesHit: number;
+}
+
+export interface LeaderboardEntry {
+  playerId: string;
+  displayName: string;
+  characterId: string | null;
+  score: number;
+}
+
+interface LeaderboardRow {
+  player_id: string;
+  display_name: string | null;
+  character_id: string | null;
+  score: number | string; // BIGINT may arrive as a string
+}
+
+export function createScoreDelta(): ScoreDelta {
+  return { points: 0, collections: 0, hitsLanded: 0, timesHit: 0 };
+}
+
+export function hasScoreChanges(delta: ScoreDelta): boolean {
+  return delta.points > 0 || delta.collections > 0 || delta.hitsLanded > 0 || delta.timesHit > 0;
+}
+
+/**
+ * Add one delta into another (used to re-queue a failed write)
+ */
+export function mergeScoreDelta(into: ScoreDelta, from: ScoreDelta): void {
+  into.points += from.points;
+  into.collections += from.collections;
+  into.hitsLanded += from.hitsLanded;
+  into.timesHit += from.timesHit;
+}
+
+export function isLeaderboardPeriod(value: unknown): value is LeaderboardPeriod {
+  return LEADERBOARD_PERIODS.includes(value as LeaderboardPeriod);
+}
+
+/**
+ * Write a batch of score changes for a player's session
+ * @param client - Supabase service-role client
+ * @param playerId - Supabase user id (players.id)
+ * @param sessionId - Server-generated id for this connection
+ * @param delta - Changes since the last write
+ */
+export async function recordScore(
+  client: SupabaseClient,
+  playerId: string,
+  sessionId: string,
+  delta: ScoreDelta
+): Promise<void> {
+  const { error } = await client.rpc('record_fritelle_score', {
+    p_player_id: playerId,
+    p_session_id: sessionId,
+    p_points: delta.points,
+    p_collections: delta.collections,
+    p_hits_landed: delta.hitsLanded,
+    p_times_hit: delta.timesHit,
+  });
+
+  if (error) {
+    throw new Error(error.message);
+  }
+}
+
+/**
+ * Fetch the top players for a period
+ * @param client - Supabase client
+ * @param period - 'daily' (since midnight UTC), 'weekly' (since Monday UTC) or 'all'
+ * @param limit - Max rows
+ */
+export async function fetchLeaderboard(
+  client: SupabaseClient,
+  period: LeaderboardPeriod,
+  limit: number
+): Promise<LeaderboardEntry[]> {
+  const { data, error } = await client.rpc('get_fritelle_leaderboard', {
+    p_period: period,
+    p_limit: limit,
+  });
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return ((data as LeaderboardRow[] | null) || []).map((row) => ({
+    playerId: row.player_id,
+    displayName: row.display_name || 'Player',
+    characterId: row.character_id,
+    score: Number(row.score),
+  }));
+}
@@ -0,0 +1,77 @@
+import {
+  MONITOR_MAP,
+  parseHeartbeatTime,
+  summarizeHeartbeats,
+  unknownStatuses,
+} from './service-status';
+
+const beat = (time: string, status: number) => ({ time, status, msg: '', ping: 10 });
+
+describe('parseHeartbeatTime', () => {
+  it('reads times without a zone as UTC', () => {
+    expect(parseHeartbeatTime('2026-10-19 08:30:00.000')).toBe(Date.UTC(2026, 9, 19, 8, 30, 0));
+    expect(parseHeartbeatTime('2026-10-19T08:30:00+02:00')).toBe(Date.UTC(2026, 9, 19, 6, 30, 0));
+  });
+
+  it('returns NaN for garbage', () => {
+    expect(parseHeartbeatTime('not a time')).toBeNaN();
+  });
+});
+
+describe('summarizeHeartbeats', () => {
+  const monitorMap = { '1': 'athena' };
+
+  it('uses the latest heartbeat whatever order the list is in', () => {
+    const oldestFirst = {
+      heartbeatList: {
+        '1': [beat('2026-10-19 08:00:00', 0), beat('2026-10-19 09:00:00', 1)],
+      },
+    };
+    expect(summarizeHeartbeats(oldestFirst, monitorMap).athena.status).toBe('up');
+
+    const newestFirst = {
+      heartbeatList: {
+        '1': [beat('2026-10-19 09:00:00', 0), beat('2026-10-19 08:00:00', 1)],
+      },
+    };
+    expect(summarizeHeartbeats(newestFirst, monitorMap).athena.status).toBe('down');
+  });
+
+  it('reports the latest down heartbeat as the last incident', () => {
+    const data = {
+      heartbeatList: {
+        '1': [
+          beat('2026-10-19 07:00:00', 0),
+          beat('2026-10-19 08:00:00', 0),
+          beat('2026-10-19 09:00:00', 1),
+        ],
+      },
+    };
+    expect(summarizeHeartbeats(data, monitorMap).athena).toEqual({
+      status: 'up',
+      lastIncidentAt: Date.UTC(2026, 9, 19, 8, 0, 0),
+    });
+  });
+
+  it('has no incident when every heartbeat is up', () => {
+    const data = { heartbeatList: { '1': [beat('2026-10-19 09:00:00', 1)] } };
+    expect(summarizeHeartbeats(data, monitorMap).athena.lastIncidentAt).toBeNull();
+  });
+
+  it('is unknown without heartbeats', () => {
+    expect(summarizeHeartbeats({}, monitorMap).athena).toEqual({
+      status: 'unknown',
+      lastIncidentAt: null,
+    });
+    const unparseable = { heartbeatList: { '1': [beat('garbage', 1)] } };
+    expect(summarizeHeartbeats(unparseable, monitorMap).athena.status).toBe('unknown');
+  });
+});
+
+describe('unknownStatuses', () => {
+  it('covers every mapped service', () => {
+    const statuses = unknownStatuses();
+    expect(Object.keys(statuses).sort()).toEqual(Object.values(MONITOR_MAP).sort());
+    expect(Object.values(statuses).every((s) => s.status === 'unknown')).toBe(true);
+  });
+});
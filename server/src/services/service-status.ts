@@ -0,0 +1,82 @@
+/**
+ * Service Status
+ *
+ * Turns the Uptime Kuma status-page heartbeats into the per-tool status the
+ * hub page and the overworld buildings show: whether each tool is up right
+ * now, and when it was last seen down.
+ */
+
+export type ServiceState = 'up' | 'down' | 'unknown';
+
+// Uptime Kuma heartbeat response type
+export interface UptimeKumaHeartbeat {
+  status: number; // 1 = up, 0 = down
+  time: string; // UTC, "YYYY-MM-DD HH:mm:ss.SSS"
+  msg: string;
+  ping: number;
+}
+
+export interface UptimeKumaResponse {
+  heartbeatList?: Record<string, UptimeKumaHeartbeat[]>;
+}
+
+export interface ServiceStatus {
+  status: ServiceState;
+  lastIncidentAt: number | null; // ms epoch of the latest down heartbeat, null if none recent
+}
+
+// Monitor ID → service key mapping (verified from Uptime Kuma dashboard)
+// Note: Monitor 3 (Tools Hub itself) is skipped to avoid self-monitoring loop
+export const MONITOR_MAP: Record<string, string> = {
+  '1': 'athena', // Athena Monitor
+  '2': 'compare', // Ping Tree Compare
+  '4': 'xp', // Experiments Dashboard
+  '5': 'tools', // Competitor Analyzer
+  '6': 'reports', // Reports Dashboard
+};
+
+/**
+ * Parse a heartbeat time (UTC without a zone suffix)
+ * @returns ms epoch, or NaN if unparseable
+ */
+export function parseHeartbeatTime(time: string): number {
+  const iso = time.includes('T') ? time : time.replace(' ', 'T');
+  return Date.parse(/Z|[+-]\d\d:?\d\d$/.test(iso) ? iso : `${iso}Z`);
+}
+
+/**
+ * Status of every mapped service from the heartbeats
+ * The latest heartbeat (by time, whatever order the list is in) decides up/down.
+ */
+export function summarizeHeartbeats(
+  data: UptimeKumaResponse,
+  monitorMap: Record<string, string> = MONITOR_MAP
+): Record<string, ServiceStatus> {
+  const result: Record<string, ServiceStatus> = {};
+
+  for (const [monitorId, key] of Object.entries(monitorMap)) {
+    const beats = (data.heartbeatList?.[monitorId] || [])
+      .map((beat) => ({ up: beat.status === 1, at: parseHeartbeatTime(beat.time) }))
+      .filter((beat) => Number.isFinite(beat.at))
+      .sort((a, b) => b.at - a.at);
+
+    const lastDown = beats.find((beat) => !beat.up);
+    result[key] = {
+      status: beats.length === 0 ? 'unknown' : beats[0].up ? 'up' : 'down',
+      lastIncidentAt: lastDown ? lastDown.at : null,
+    };
+  }
+
+  return result;
+}
+
+/**
+ * Every mapped service as unknown (when Uptime Kuma can't be reached)
+ */
+export function unknownStatuses(
+  monitorMap: Record<string, string> = MONITOR_MAP
+): Record<string, ServiceStatus> {
+  return Object.fromEntries(
+    Object.values(monitorMap).map((key) => [key, { status: 'unknown', lastIncidentAt: null }])
+  );
+}
@@ -0,0 +1,25 @@
+import { computeDelta } from './snapshot';
+
+describe('computeDelta', () => {
+  const last = { x: 100, y: 200, direction: 'down' };
+
+  it('returns null when nothing changed', () => {
+    expect(computeDelta('p1', last, { ...last })).toBeNull();
+  });
+
+  it('only includes the fields that changed', () => {
+    expect(computeDelta('p1', last, { ...last, x: 106 })).toEqual({ id: 'p1', x: 106 });
+    expect(computeDelta('p1', last, { ...last, direction: 'left' })).toEqual({
+      id: 'p1',
+      direction: 'left',
+    });
+  });
+
+  it('rounds coordinates to one decimal', () => {
+    expect(computeDelta('p1', last, { ...last, x: 106.123456, y: 199.98 })).toEqual({
+      id: 'p1',
+      x: 106.1,
+      y: 200,
+    });
+  });
+});
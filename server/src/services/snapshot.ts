@@ -0,0 +1,61 @@
+/**
+ * Snapshots
+ *
+ * Per-tick player deltas. Instead of relaying every `move` message as its own
+ * frame, the server runs a fixed-rate tick that compares each player with the
+ * state sent on the previous tick and packs only the changed fields into one
+ * `snapshot` message per client.
+ */
+
+export const TICK_RATE = 20; // Hz
+export const TICK_INTERVAL_MS = 1000 / TICK_RATE;
+
+export interface PlayerState {
+  x: number;
+  y: number;
+  direction: string;
+}
+
+/** Changed fields for one player; omitted fields are unchanged */
+export interface PlayerDelta {
+  id: string;
+  x?: number;
+  y?: number;
+  direction?: string;
+}
+
+// One decimal is sub-pixel and keeps the JSON short
+function roundCoord(value: number): number {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Compare a player with the state sent on the previous tick
+ * @param id - Player id
+ * @param last - State included in the previous snapshot
+ * @param current - Current server state
+ * @returns Delta with only the changed fields, or null if nothing changed
+ */
+export function computeDelta(
+  id: string,
+  last: PlayerState,
+  current: PlayerState
+): PlayerDelta | null {
+  const delta: PlayerDelta = { id };
+  let changed = false;
+
+  if (current.x !== last.x) {
+    delta.x = roundCoord(current.x);
+    changed = true;
+  }
+  if (current.y !== last.y) {
+    delta.y = roundCoord(current.y);
+    changed = true;
+  }
+  if (current.direction !== last.direction) {
+    delta.direction = current.direction;
+    changed = true;
+  }
+
+  return changed ? delta : null;
+}
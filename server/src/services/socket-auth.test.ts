@@ -0,0 +1,69 @@
+import { IncomingMessage } from 'http';
+import jwt from 'jsonwebtoken';
+import { getInstanceId, getResumeToken, getUpgradeToken, verifyAccessToken } from './socket-auth';
+
+function upgradeRequest(url: string, cookie?: string): IncomingMessage {
+  return { url, headers: cookie ? { cookie } : {} } as IncomingMessage;
+}
+
+describe('getUpgradeToken', () => {
+  it('reads the auth cookie', () => {
+    const req = upgradeRequest('/', 'theme=dark; sb-access-token=abc.def.ghi');
+    expect(getUpgradeToken(req)).toBe('abc.def.ghi');
+  });
+
+  it('falls back to the token query param', () => {
+    expect(getUpgradeToken(upgradeRequest('/?token=abc.def.ghi'))).toBe('abc.def.ghi');
+  });
+
+  it('prefers the cookie over the query param', () => {
+    const req = upgradeRequest('/?token=from-query', 'sb-access-token=from-cookie');
+    expect(getUpgradeToken(req)).toBe('from-cookie');
+  });
+
+  it('returns null without a token', () => {
+    expect(getUpgradeToken(upgradeRequest('/', 'theme=dark'))).toBeNull();
+  });
+});
+
+describe('getResumeToken', () => {
+  it('reads the resume query param alongside the access token', () => {
+    expect(getResumeToken(upgradeRequest('/?token=abc&resume=r-1'))).toBe('r-1');
+  });
+
+  it('returns null for a fresh connection', () => {
+    expect(getResumeToken(upgradeRequest('/?token=abc'))).toBeNull();
+  });
+});
+
+describe('getInstanceId', () => {
+  it('reads the instance query param', () => {
+    expect(getInstanceId(upgradeRequest('/?resume=r-1&instance=offsite'))).toBe('offsite');
+  });
+
+  it('returns null when no instance was asked for', () => {
+    expect(getInstanceId(upgradeRequest('/?instance='))).toBeNull();
+  });
+});
+
+describe('verifyAccessToken', () => {
+  const secret = 'test-secret';
+
+  it('returns the claims of a valid token', () => {
+    const token = jwt.sign({ sub: 'user-1', email: 'a@epcvip.com' }, secret);
+    expect(verifyAccessToken(token, secret)).toMatchObject({
+      sub: 'user-1',
+      email: 'a@epcvip.com',
+    });
+  });
+
+  it('rejects tokens signed with another secret', () => {
+    const token = jwt.sign({ sub: 'user-1' }, 'other-secret');
+    expect(() => verifyAccessToken(token, secret)).toThrow(jwt.JsonWebTokenError);
+  });
+
+  it('rejects expired tokens', () => {
+    const token = jwt.sign({ sub: 'user-1', exp: Math.floor(Date.now() / 1000) - 60 }, secret);
+    expect(() => verifyAccessToken(token, secret)).toThrow(jwt.TokenExpiredError);
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Socket Auth
+ *
+ * Reads and verifies the Supabase access token on WebSocket upgrade requests.
+ * The HTTP auth middleware uses the same verifyAccessToken() so both paths
+ * accept exactly the same tokens.
+ *
+ * The token comes from the sb-access-token cookie when the game is served by
+ * this server, or from a `token` query param when it connects cross-origin
+ * (cookies aren't sent to another host, e.g. ws://localhost during dev).
+ *
+ * The upgrade URL can also carry a `resume` token so a returning client takes
+ * over its previous player instead of joining as a new one, and an `instance`
+ * id picking which world instance to join (see world-instance.ts).
+ */
+
+import { IncomingMessage } from 'http';
+import jwt from 'jsonwebtoken';
+
+export const AUTH_COOKIE = 'sb-access-token';
+
+export interface TokenClaims {
+  sub?: string; // Supabase user id (players.id)
+  email?: string;
+}
+
+/**
+ * Parse a Cookie header (cookie-parser only runs for Express routes)
+ */
+function parseCookies(header: string | undefined): Record<string, string> {
+  const cookies: Record<string, string> = {};
+  if (!header) return cookies;
+
+  for (const part of header.split(';')) {
+    const eq = part.indexOf('=');
+    if (eq < 0) continue;
+    const name = part.slice(0, eq).trim();
+    try {
+      cookies[name] = decodeURIComponent(part.slice(eq + 1).trim());
+    } catch {
+      // Malformed encoding - ignore this cookie
+    }
+  }
+  return cookies;
+}
+
+/**
+ * Get the access token from an upgrade request
+ * @param req - WebSocket upgrade request
+ * @returns Token from the auth cookie, else the `token` query param, else null
+ */
+export function getUpgradeToken(req: IncomingMessage): string | null {
+  const cookieToken = parseCookies(req.headers.cookie)[AUTH_COOKIE];
+  if (cookieToken) return cookieToken;
+
+  const url = new URL(req.url || '/', 'http://localhost');
+  return url.searchParams.get('token') || null;
+}
+
+/**
+ * Verify a Supabase access token's signature and expiry
+ * @param token - JWT from the cookie or query param
+ * @param secret - SUPABASE_JWT_SECRET
+ * @returns Token claims
+ * @throws jsonwebtoken errors (TokenExpiredError, JsonWebTokenError)
+ */
+export function verifyAccessToken(token: string, secret: string): TokenClaims {
+  return jwt.verify(token, secret) as TokenClaims;
+}
+
+/**
+ * Get the session resume token from an upgrade request
+ * @param req - WebSocket upgrade request
+ * @returns Token from the `resume` query param, or null
+ */
+export function getResumeToken(req: IncomingMessage): string | null {
+  const url = new URL(req.url || '/', 'http://localhost');
+  return url.searchParams.get('resume') || null;
+}
+
+/**
+ * Get the world instance a client asked to join
+ * @param req - WebSocket upgrade request
+ * @returns Id from the `instance` query param, or null for the default instance
+ */
+export function getInstanceId(req: IncomingMessage): string | null {
+  const url = new URL(req.url || '/', 'http://localhost');
+  return url.searchParams.get('instance') || null;
+}
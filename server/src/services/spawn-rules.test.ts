@@ -0,0 +1,87 @@
+import { MapData, SpawnRulesModule, loadSpawnRules } from './game-data';
+
+const TILE = 24;
+
+function mapWith(spawns?: MapData['spawns']): MapData {
+  return { name: 'test', width: 20, height: 10, tileSize: 16, spawns };
+}
+
+// Deterministic random source cycling through the given values
+function sequence(...values: number[]) {
+  let i = 0;
+  return () => values[i++ % values.length];
+}
+
+describe('spawn rules (js/spawn-rules.js)', () => {
+  let spawn: SpawnRulesModule;
+
+  beforeAll(async () => {
+    spawn = await loadSpawnRules();
+  });
+
+  it('uses the whole map minus the edge margin without zones', () => {
+    const rules = spawn.getSpawnRules(mapWith(), TILE);
+    expect(rules.maxCount).toBe(spawn.DEFAULT_SPAWN_RULES.maxCount);
+    expect(rules.goldenChance).toBe(spawn.DEFAULT_SPAWN_RULES.goldenChance);
+    expect(rules.spawnZones).toEqual([
+      { x: 2 * TILE, y: 2 * TILE, width: 16 * TILE, height: 6 * TILE },
+    ]);
+    expect(rules.exclusions).toEqual([]);
+  });
+
+  it('converts zones to pixels and skips invalid ones', () => {
+    const rules = spawn.getSpawnRules(
+      mapWith({
+        maxCount: 3,
+        goldenChance: 0.5,
+        zones: [
+          { id: 'a', kind: 'spawn', x: 1, y: 1, width: 2, height: 2 },
+          { id: 'b', kind: 'exclude', x: 1, y: 1, width: 1, height: 1 },
+          { id: 'c', kind: 'spawn', x: 5, y: 5, width: 0, height: 2 },
+        ],
+      }),
+      TILE
+    );
+    expect(rules.maxCount).toBe(3);
+    expect(rules.goldenChance).toBe(0.5);
+    expect(rules.spawnZones).toEqual([{ x: TILE, y: TILE, width: 2 * TILE, height: 2 * TILE }]);
+    expect(spawn.isExcluded(rules, TILE * 1.5, TILE * 1.5)).toBe(true);
+    expect(spawn.isExcluded(rules, TILE * 2.5, TILE * 2.5)).toBe(false);
+  });
+
+  it('falls back to defaults for out-of-range values', () => {
+    const rules = spawn.getSpawnRules(mapWith({ maxCount: 2.5, goldenChance: 3 }), TILE);
+    expect(rules.maxCount).toBe(spawn.DEFAULT_SPAWN_RULES.maxCount);
+    expect(rules.goldenChance).toBe(spawn.DEFAULT_SPAWN_RULES.goldenChance);
+  });
+
+  it('picks positions inside spawn zones and outside exclusions', () => {
+    const rules = spawn.getSpawnRules(
+      mapWith({
+        zones: [
+          { id: 'a', kind: 'spawn', x: 0, y: 0, width: 2, height: 1 },
+          { id: 'b', kind: 'exclude', x: 0, y: 0, width: 1, height: 1 },
+        ],
+      }),
+      TILE
+    );
+    // First try lands in the left (excluded) half, the second in the right half
+    const position = spawn.pickSpawnPosition(
+      rules,
+      undefined,
+      sequence(0, 0.25, 0.5, 0, 0.75, 0.5)
+    );
+    expect(position).toEqual({ x: 1.5 * TILE, y: 0.5 * TILE });
+  });
+
+  it('returns null when every spot is blocked', () => {
+    const rules = spawn.getSpawnRules(mapWith(), TILE);
+    expect(spawn.pickSpawnPosition(rules, () => true)).toBeNull();
+  });
+
+  it('rolls golden with the map chance', () => {
+    const rules = spawn.getSpawnRules(mapWith({ goldenChance: 0.1 }), TILE);
+    expect(spawn.rollGolden(rules, () => 0.05)).toBe(true);
+    expect(spawn.rollGolden(rules, () => 0.2)).toBe(false);
+  });
+});
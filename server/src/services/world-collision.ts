@@ -0,0 +1,118 @@
+/**
+ * World Collision
+ *
+ * Builds world-space collision shapes for map entities, mirroring how
+ * js/entities/building.js turns normalized asset shapes into static bodies
+ * and js/entities/npc.js gives NPCs the player's body.
+ * Used by the server to reject positions inside buildings, decorations and NPCs.
+ */
+
+import { AssetDef, CollisionShape, EntityBodies, MapEntity } from './game-data';
+
+// Fallback used by entity-loader.js when an asset has no collision shapes
+const FULL_RECT: CollisionShape = { type: 'rect', x: 0, y: 0, w: 1, h: 1 };
+
+// The player's collision box (area Rect(-5,-2,10,14) scaled 2.4x) is centred
+// 12px below the sprite anchor - test that point rather than the sprite centre
+export const PLAYER_BODY_OFFSET_Y = 12;
+
+type Point = [number, number];
+
+export type WorldShape =
+  | { type: 'rect'; x: number; y: number; w: number; h: number }
+  | { type: 'polygon'; points: Point[] };
+
+/**
+ * Convert map entities to world-space collision shapes
+ * @param entities - Entities from the map JSON
+ * @param getAsset - Asset lookup (unknown assets are skipped, like the client does)
+ * @param tileSize - World pixels per map tile (GAME_CONFIG.tileSize)
+ * @param bodies - Building sprite scale and NPC body, loaded from js/config.js
+ */
+export function buildCollisionShapes(
+  entities: MapEntity[],
+  getAsset: (assetId: string) => AssetDef | null,
+  tileSize: number,
+  bodies: EntityBodies
+): WorldShape[] {
+  const shapes: WorldShape[] = [];
+
+  for (const entity of entities) {
+    const asset = getAsset(entity.assetId);
+    if (!asset) continue;
+
+    const originX = entity.x * tileSize;
+    const originY = entity.y * tileSize;
+
+    // NPCs stand in the middle of their footprint
+    if (entity.type === 'npcs') {
+      const center = (bodies.npcFootprintTiles / 2) * tileSize;
+      const { npcBody } = bodies;
+      shapes.push({
+        type: 'rect',
+        x: originX + center + npcBody.x,
+        y: originY + center + npcBody.y,
+        w: npcBody.w,
+        h: npcBody.h,
+      });
+      continue;
+    }
+
+    let width = asset.width;
+    let height = asset.height;
+    const piece = entity.pieceId ? asset.pieces?.find((p) => p.id === entity.pieceId) : null;
+    if (piece) {
+      width = piece.width;
+      height = piece.height;
+    }
+
+    const bWidth = width * bodies.buildingSpriteScale;
+    const bHeight = height * bodies.buildingSpriteScale;
+
+    for (const shape of asset.collisionShapes || [FULL_RECT]) {
+      if (shape.type === 'rect') {
+        shapes.push({
+          type: 'rect',
+          x: originX + shape.x * bWidth,
+          y: originY + shape.y * bHeight,
+          w: shape.w * bWidth,
+          h: shape.h * bHeight,
+        });
+      } else {
+        shapes.push({
+          type: 'polygon',
+          points: shape.points.map(([px, py]) => [originX + px * bWidth, originY + py * bHeight]),
+        });
+      }
+    }
+  }
+
+  return shapes;
+}
+
+/**
+ * Ray-casting point-in-polygon test
+ */
+function isInsidePolygon(x: number, y: number, points: Point[]): boolean {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [xi, yi] = points[i];
+    const [xj, yj] = points[j];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Check whether a point lies inside any collision shape
+ */
+export function isPointBlocked(shapes: WorldShape[], x: number, y: number): boolean {
+  return shapes.some((shape) => {
+    if (shape.type === 'rect') {
+      return x > shape.x && x < shape.x + shape.w && y > shape.y && y < shape.y + shape.h;
+    }
+    return isInsidePolygon(x, y, shape.points);
+  });
+}
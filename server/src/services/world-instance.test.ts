@@ -0,0 +1,43 @@
+import { DEFAULT_MAP, parseInstanceDefs } from './world-instance';
+
+describe('parseInstanceDefs', () => {
+  it('defaults the map to the village and combat to off', () => {
+    expect(parseInstanceDefs([{ id: 'main', name: ' Village ' }])).toEqual([
+      { id: 'main', name: 'Village', map: DEFAULT_MAP, combat: false },
+    ]);
+  });
+
+  it('lets an instance opt in to combat', () => {
+    expect(parseInstanceDefs([{ id: 'arena', name: 'Arena', combat: true }])[0].combat).toBe(true);
+    expect(() => parseInstanceDefs([{ id: 'arena', name: 'Arena', combat: 'yes' }])).toThrow(
+      'combat must be true or false'
+    );
+  });
+
+  it('keeps a custom map', () => {
+    expect(parseInstanceDefs([{ id: 'offsite', name: 'Offsite', map: 'beach' }])[0].map).toBe(
+      'beach'
+    );
+  });
+
+  it('rejects an empty list', () => {
+    expect(() => parseInstanceDefs([])).toThrow('non-empty array');
+    expect(() => parseInstanceDefs({ id: 'main' })).toThrow('non-empty array');
+  });
+
+  it('rejects bad and duplicate ids', () => {
+    expect(() => parseInstanceDefs([{ id: 'Main Room', name: 'Main' }])).toThrow('instance 0');
+    expect(() =>
+      parseInstanceDefs([
+        { id: 'main', name: 'Village' },
+        { id: 'main', name: 'Again' },
+      ])
+    ).toThrow('duplicate id main');
+  });
+
+  it('rejects map paths', () => {
+    expect(() => parseInstanceDefs([{ id: 'main', name: 'Village', map: '../secrets' }])).toThrow(
+      'file name under maps/'
+    );
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * World Instances
+ *
+ * Named copies of the overworld, listed in maps/instances.json. Each instance
+ * has its own players, fritelles and chat history, and can run on its own map
+ * from maps/ (the village by default), so a team can get a space of its own
+ * for an offsite or a demo without sharing the main village.
+ *
+ * Clients pick an instance with the `instance` query param on the socket
+ * upgrade; `GET /api/instances` lists them with player counts. Snowball-fight
+ * combat (see combat.ts) is off unless an instance sets `"combat": true`.
+ */
+
+export const DEFAULT_MAP = 'village';
+
+const INSTANCE_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/;
+const MAP_NAME_PATTERN = /^[A-Za-z0-9_-]+$/; // A file name under maps/, never a path
+
+export interface InstanceDef {
+  id: string;
+  name: string;
+  map: string; // maps/<map>.json
+  combat: boolean; // Thrown fritelles hit players
+}
+
+/** Entry in the GET /api/instances listing */
+export interface InstanceSummary extends InstanceDef {
+  players: number;
+}
+
+/**
+ * Check and normalize the contents of maps/instances.json
+ * The first instance is the default for clients that don't ask for one.
+ * @param raw - Parsed JSON
+ * @returns Instance definitions (map defaults to DEFAULT_MAP, combat to false)
+ * @throws Error describing the first invalid entry
+ */
+export function parseInstanceDefs(raw: unknown): InstanceDef[] {
+  if (!Array.isArray(raw) || raw.length === 0) {
+    throw new Error('instances.json must be a non-empty array');
+  }
+
+  const seen = new Set<string>();
+  return raw.map((entry, i) => {
+    const {
+      id,
+      name,
+      map = DEFAULT_MAP,
+      combat = false,
+    } = (entry ?? {}) as Record<string, unknown>;
+    if (typeof id !== 'string' || !INSTANCE_ID_PATTERN.test(id)) {
+      throw new Error(`instance ${i}: id must be lowercase letters, digits and dashes`);
+    }
+    if (seen.has(id)) {
+      throw new Error(`instance ${i}: duplicate id ${id}`);
+    }
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new Error(`instance ${id}: name is required`);
+    }
+    if (typeof map !== 'string' || !MAP_NAME_PATTERN.test(map)) {
+      throw new Error(`instance ${id}: map must be a file name under maps/ (without .json)`);
+    }
+    if (typeof combat !== 'boolean') {
+      throw new Error(`instance ${id}: combat must be true or false`);
+    }
+    seen.add(id);
+    return { id, name: name.trim(), map, combat };
+  });
+}
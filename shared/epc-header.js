@@ -19,6 +19,7 @@
  *   window.epcHeader.toggleSidebar()
  *   window.epcHeader.openSwitcher()
  *   window.epcHeader.closeSwitcher()
+ *   window.epcHeader.getNavItems()  — apps the switcher lists ({ id, appId, icon, label, url })
  */
 (function () {
   'use strict';
@@ -80,6 +81,7 @@
   /* ── Shared state ──────────────────────────────── */
   var _switcherBtn = null;
   var _dropdown = null;
+  var _currentTool = '';
 
   /* ── Dropdown ───────────────────────────────────── */
   function populateDropdown(currentTool) {
@@ -118,6 +120,13 @@
     if (_dropdown.hidden) { openSwitcher(); } else { closeSwitcher(); }
   }
 
+  /* ── Nav items for other UIs (copies) ──────────── */
+  function getNavItems() {
+    return getFilteredNavItems(_currentTool).map(function (item) {
+      return { id: item.id, appId: item.appId, icon: item.icon, label: item.label, url: item.url };
+    });
+  }
+
   /* ── Sidebar toggle ────────────────────────────── */
   function toggleSidebar() {
     document.dispatchEvent(new CustomEvent('epc-header:sidebar-toggle'));
@@ -134,6 +143,7 @@
 
   /* ── Wire up behavior on existing DOM ──────────── */
   function initBehavior(currentTool) {
+    _currentTool = currentTool;
     _switcherBtn = document.getElementById('epc-app-switcher');
     _dropdown = document.getElementById('epc-app-switcher-dropdown');
 
@@ -220,5 +230,6 @@
     toggleSidebar: toggleSidebar,
     openSwitcher: openSwitcher,
     closeSwitcher: closeSwitcher,
+    getNavItems: getNavItems,
   };
 })();
@@ -0,0 +1,110 @@
+-- Fritelle scores: per-session and lifetime totals for logged-in players
+-- Written by the overworld WebSocket server (service role) in batches.
+-- Run this in Supabase SQL Editor: https://supabase.com/dashboard/project/yuithqxycicgokkgmpzg/sql/new
+
+-- One row per WebSocket session (server-generated id)
+CREATE TABLE IF NOT EXISTS fritelle_sessions (
+  id UUID PRIMARY KEY,
+  player_id UUID NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+  score INTEGER NOT NULL DEFAULT 0,        -- Points collected (golden = 15)
+  collections INTEGER NOT NULL DEFAULT 0,  -- Fritelles picked up
+  hits_landed INTEGER NOT NULL DEFAULT 0,  -- Throws that hit another player
+  times_hit INTEGER NOT NULL DEFAULT 0,    -- Times hit by another player
+  started_at TIMESTAMPTZ DEFAULT NOW(),
+  last_active_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Lifetime totals (one row per player)
+CREATE TABLE IF NOT EXISTS fritelle_stats (
+  player_id UUID PRIMARY KEY REFERENCES players(id) ON DELETE CASCADE,
+  lifetime_score BIGINT NOT NULL DEFAULT 0,
+  lifetime_collections BIGINT NOT NULL DEFAULT 0,
+  lifetime_hits_landed BIGINT NOT NULL DEFAULT 0,
+  lifetime_times_hit BIGINT NOT NULL DEFAULT 0,
+  best_session_score INTEGER NOT NULL DEFAULT 0,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Row Level Security: scores are public, only the server (service role) writes
+ALTER TABLE fritelle_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE fritelle_stats ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Public read" ON fritelle_sessions
+  FOR SELECT USING (true);
+
+CREATE POLICY "Public read" ON fritelle_stats
+  FOR SELECT USING (true);
+
+-- Indexes for daily/weekly leaderboard windows
+CREATE INDEX IF NOT EXISTS idx_fritelle_sessions_last_active ON fritelle_sessions(last_active_at);
+CREATE INDEX IF NOT EXISTS idx_fritelle_sessions_player ON fritelle_sessions(player_id);
+CREATE INDEX IF NOT EXISTS idx_fritelle_stats_score ON fritelle_stats(lifetime_score DESC);
+
+-- Add a batch of score changes to a session and the player's lifetime totals
+CREATE OR REPLACE FUNCTION record_fritelle_score(
+  p_player_id UUID,
+  p_session_id UUID,
+  p_points INTEGER,
+  p_collections INTEGER,
+  p_hits_landed INTEGER,
+  p_times_hit INTEGER
+)
+RETURNS VOID AS $$
+DECLARE
+  v_session_score INTEGER;
+BEGIN
+  INSERT INTO fritelle_sessions (id, player_id, score, collections, hits_landed, times_hit)
+  VALUES (p_session_id, p_player_id, p_points, p_collections, p_hits_landed, p_times_hit)
+  ON CONFLICT (id) DO UPDATE SET
+    score = fritelle_sessions.score + EXCLUDED.score,
+    collections = fritelle_sessions.collections + EXCLUDED.collections,
+    hits_landed = fritelle_sessions.hits_landed + EXCLUDED.hits_landed,
+    times_hit = fritelle_sessions.times_hit + EXCLUDED.times_hit,
+    last_active_at = NOW()
+  RETURNING score INTO v_session_score;
+
+  INSERT INTO fritelle_stats (
+    player_id, lifetime_score, lifetime_collections, lifetime_hits_landed,
+    lifetime_times_hit, best_session_score
+  )
+  VALUES (p_player_id, p_points, p_collections, p_hits_landed, p_times_hit, v_session_score)
+  ON CONFLICT (player_id) DO UPDATE SET
+    lifetime_score = fritelle_stats.lifetime_score + EXCLUDED.lifetime_score,
+    lifetime_collections = fritelle_stats.lifetime_collections + EXCLUDED.lifetime_collections,
+    lifetime_hits_landed = fritelle_stats.lifetime_hits_landed + EXCLUDED.lifetime_hits_landed,
+    lifetime_times_hit = fritelle_stats.lifetime_times_hit + EXCLUDED.lifetime_times_hit,
+    best_session_score = GREATEST(fritelle_stats.best_session_score, v_session_score),
+    updated_at = NOW();
+END;
+$$ LANGUAGE plpgsql;
+
+-- Only the server may write scores
+REVOKE EXECUTE ON FUNCTION record_fritelle_score(UUID, UUID, INTEGER, INTEGER, INTEGER, INTEGER)
+  FROM PUBLIC, anon, authenticated;
+
+-- Top players for a period: 'daily', 'weekly' or 'all'
+-- Daily/weekly sum sessions active in the window; all-time reads lifetime totals.
+CREATE OR REPLACE FUNCTION get_fritelle_leaderboard(p_period TEXT DEFAULT 'all', p_limit INTEGER DEFAULT 10)
+RETURNS TABLE (player_id UUID, display_name TEXT, character_id TEXT, score BIGINT) AS $$
+BEGIN
+  IF p_period = 'all' THEN
+    RETURN QUERY
+      SELECT s.player_id, p.display_name, p.character_id, s.lifetime_score
+      FROM fritelle_stats s
+      JOIN players p ON p.id = s.player_id
+      WHERE s.lifetime_score > 0
+      ORDER BY s.lifetime_score DESC
+      LIMIT p_limit;
+  ELSE
+    RETURN QUERY
+      SELECT s.player_id, p.display_name, p.character_id, SUM(s.score)::BIGINT AS total
+      FROM fritelle_sessions s
+      JOIN players p ON p.id = s.player_id
+      WHERE s.last_active_at >= date_trunc(CASE WHEN p_period = 'weekly' THEN 'week' ELSE 'day' END, NOW())
+      GROUP BY s.player_id, p.display_name, p.character_id
+      HAVING SUM(s.score) > 0
+      ORDER BY total DESC
+      LIMIT p_limit;
+  END IF;
+END;
+$$ LANGUAGE plpgsql STABLE;
@@ -0,0 +1,6 @@
+-- Gamepad button bindings per player ({ "interact": 0, "throw": 1, "pause": 9 },
+-- standard-mapping button indices), remapped from the pause menu.
+-- Guests keep theirs in localStorage only.
+-- Run this in Supabase SQL Editor: https://supabase.com/dashboard/project/yuithqxycicgokkgmpzg/sql/new
+
+ALTER TABLE players ADD COLUMN IF NOT EXISTS gamepad_bindings JSONB;
@@ -0,0 +1,7 @@
+-- Player settings from the pause menu's Settings screen (js/systems/settings.js):
+-- { "keys": { "up": "w", ... }, "uiScale": 1, "reducedMotion": false,
+--   "highContrast": false, "volume": { "effects": 1, "players": 1 } }
+-- Guests keep theirs in localStorage only.
+-- Run this in Supabase SQL Editor: https://supabase.com/dashboard/project/yuithqxycicgokkgmpzg/sql/new
+
+ALTER TABLE players ADD COLUMN IF NOT EXISTS settings JSONB;
@@ -38,6 +38,23 @@ export const COLLISION_PRESETS = {
   windmill: [{ type: 'rect', x: 0.15, y: 0.4, w: 0.7, h: 0.5 }],
 };
 
+// NPC asset for a character sheet (64x64 frames, same ids as CHARACTERS in js/config.js).
+// The one piece is the first frame (idle, facing down) for editor previews. No
+// collision shapes: in game the NPC blocks with a player-sized body instead.
+function characterNpc(characterId, name, category, rows, cols = 6) {
+  return {
+    id: `NPC_${characterId}`,
+    name,
+    file: `../assets/sprites/${characterId}.png`,
+    width: cols * 64,
+    height: rows * 64,
+    category,
+    spriteName: characterId,
+    collisionShapes: [],
+    pieces: [{ id: 'idle', name, col: 0, width: 64, height: 64, tileWidth: 6, tileHeight: 6 }],
+  };
+}
+
 export const ASSET_LIBRARY = {
   buildings: [
     // Houses
@@ -688,8 +705,17 @@ export const ASSET_LIBRARY = {
     },
   ],
 
-  // NPCs (for future use)
-  npcs: [],
+  // NPCs: the player character sheets (see js/entities/npc.js)
+  npcs: [
+    characterNpc('Farmer_Bob', 'Farmer Bob', 'villagers', 13),
+    characterNpc('Farmer_Buba', 'Farmer Buba', 'villagers', 13),
+    characterNpc('Lumberjack_Jack', 'Jack', 'villagers', 10),
+    characterNpc('Miner_Mike', 'Miner Mike', 'villagers', 10),
+    characterNpc('Fisherman_Fin', 'Fin', 'villagers', 13, 9),
+    characterNpc('Chef_Chloe', 'Chef Chloe', 'merchants', 7),
+    characterNpc('Bartender_Bruno', 'Bruno', 'merchants', 7),
+    characterNpc('Bartender_Katy', 'Katy', 'merchants', 7),
+  ],
 
   // Items (for future use)
   items: [],
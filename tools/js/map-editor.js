@@ -1,4 +1,6 @@
 import { getAssetsByType, getAssetById } from './asset-library.js';
+import { DEFAULT_SPAWN_RULES, MAX_SPAWN_COUNT } from '../../js/spawn-rules.js';
+import { validateDialogTree } from '../../js/systems/dialog-tree.js';
 
 // ===================
 // EDITOR CONFIGURATION
@@ -17,6 +19,10 @@ const EDITOR_CONFIG = {
   // Colors
   PLACEHOLDER_COLOR: 'rgba(100, 100, 200, 0.5)',
   ENTITY_LABEL_BG: 'rgba(0, 0, 0, 0.7)',
+  ZONE_COLORS: {
+    spawn: { fill: 'rgba(46, 204, 113, 0.25)', stroke: '#2ecc71' },
+    exclude: { fill: 'rgba(231, 76, 60, 0.3)', stroke: '#e74c3c' },
+  },
 
   // Timing
   BUTTON_FEEDBACK_MS: 1500,
@@ -46,8 +52,20 @@ function showNotification(message, type = 'info') {
 // STATE
 // ===================
 const TILE_SIZE = 16;
+
+// Dialog tree for newly placed NPCs (format: js/systems/dialog-tree.js)
+const DEFAULT_NPC_DIALOG = {
+  start: 'start',
+  nodes: {
+    start: {
+      lines: ['Hello! I just moved into the village.'],
+      choices: [{ text: 'Welcome!' }],
+    },
+  },
+};
+
 let zoom = 2;
-let currentMode = 'tiles'; // 'tiles' or 'entities'
+let currentMode = 'tiles'; // 'tiles', 'entities' or 'spawns'
 let currentLayer = 'ground';
 let isEraser = false;
 let eraserSize = 1; // Independent eraser size (1-8)
@@ -291,6 +309,11 @@ let dragOffsetY = 0;
 let dragPreviewX = 0;
 let dragPreviewY = 0;
 
+// Spawn zone state
+let zoneKind = 'spawn'; // Kind of zone drawn next: 'spawn' or 'exclude'
+let zoneDrag = null; // { startX, startY, endX, endY } in tiles while drawing
+let zoneIdCounter = 0;
+
 // Map data (new format with entities and multi-tileset support)
 // Tiles are stored as [tilesetIndex, tileIndex] or 0 for empty
 let mapData = {
@@ -305,6 +328,7 @@ let mapData = {
     decorations: [],
   },
   entities: [],
+  spawns: { ...DEFAULT_SPAWN_RULES, zones: [] }, // Fritelle spawn rules (see js/spawn-rules.js)
 };
 
 // ===================
@@ -347,8 +371,8 @@ function resizeMapCanvas() {
 let currentEntityType = 'buildings'; // Track current entity type
 
 function loadAssetLibrary() {
-  // Load all entity types: buildings, decorations, trees
-  const entityTypes = ['buildings', 'decorations', 'trees'];
+  // Load all entity types: buildings, decorations, trees, NPCs
+  const entityTypes = ['buildings', 'decorations', 'trees', 'npcs'];
 
   for (const type of entityTypes) {
     const assets = getAssetsByType(type);
@@ -509,7 +533,8 @@ function getAnyAssetById(assetId) {
   return (
     getAssetById('buildings', assetId) ||
     getAssetById('decorations', assetId) ||
-    getAssetById('trees', assetId)
+    getAssetById('trees', assetId) ||
+    getAssetById('npcs', assetId)
   );
 }
 
@@ -871,12 +896,21 @@ function renderMap() {
     renderEntity(entity);
   }
 
+  // Spawn zones (only while editing them)
+  if (currentMode === 'spawns') {
+    renderSpawnZones();
+  }
+
   // Mode indicator
   mapCtx.fillStyle = 'rgba(233, 69, 96, 0.2)';
   mapCtx.fillRect(0, 0, EDITOR_CONFIG.LAYER_INFO_WIDTH, EDITOR_CONFIG.LAYER_INFO_HEIGHT);
   mapCtx.fillStyle = '#e94560';
   mapCtx.font = '12px sans-serif';
-  const modeText = currentMode === 'tiles' ? `Tiles: ${currentLayer}` : 'Entities';
+  const modeText = {
+    tiles: `Tiles: ${currentLayer}`,
+    entities: 'Entities',
+    spawns: `Spawns: ${zoneKind}`,
+  }[currentMode];
   mapCtx.fillText(modeText, 8, 16);
 
   // Draw hover preview (after all tiles/entities)
@@ -1012,6 +1046,41 @@ function renderEntity(entity) {
   }
 }
 
+function drawZone(zone, kind, dashed) {
+  const colors = EDITOR_CONFIG.ZONE_COLORS[kind];
+  const px = zone.x * TILE_SIZE * zoom;
+  const py = zone.y * TILE_SIZE * zoom;
+  const pw = zone.width * TILE_SIZE * zoom;
+  const ph = zone.height * TILE_SIZE * zoom;
+
+  mapCtx.fillStyle = colors.fill;
+  mapCtx.fillRect(px, py, pw, ph);
+  mapCtx.strokeStyle = colors.stroke;
+  mapCtx.lineWidth = 2;
+  mapCtx.setLineDash(dashed ? [5, 3] : []);
+  mapCtx.strokeRect(px, py, pw, ph);
+  mapCtx.setLineDash([]);
+  mapCtx.lineWidth = 1;
+}
+
+function renderSpawnZones() {
+  for (const zone of mapData.spawns.zones) {
+    drawZone(zone, zone.kind, false);
+    mapCtx.fillStyle = EDITOR_CONFIG.ENTITY_LABEL_BG;
+    mapCtx.font = '11px sans-serif';
+    const label = `${zone.kind} ${zone.id}`;
+    const px = zone.x * TILE_SIZE * zoom;
+    const py = zone.y * TILE_SIZE * zoom;
+    mapCtx.fillRect(px, py, mapCtx.measureText(label).width + 8, 16);
+    mapCtx.fillStyle = '#fff';
+    mapCtx.fillText(label, px + 4, py + 12);
+  }
+
+  if (zoneDrag) {
+    drawZone(getZoneDragRect(), zoneKind, true);
+  }
+}
+
 // ===================
 // MAP INTERACTION
 // ===================
@@ -1057,6 +1126,16 @@ mapCanvas.addEventListener('mousedown', (e) => {
         deleteSelectedEntity();
       }
     }
+  } else if (currentMode === 'spawns') {
+    if (e.button === 0) {
+      const x = Math.max(0, Math.min(mapData.width - 1, tileX));
+      const y = Math.max(0, Math.min(mapData.height - 1, tileY));
+      zoneDrag = { startX: x, startY: y, endX: x, endY: y };
+      renderMap();
+    } else if (e.button === 2) {
+      const zone = findZoneAt(tileX, tileY);
+      if (zone) deleteZone(zone.id);
+    }
   }
 });
 
@@ -1083,6 +1162,13 @@ mapCanvas.addEventListener('mousemove', (e) => {
     paintTile(tileX, tileY);
   }
 
+  // Zone drawing
+  if (zoneDrag) {
+    zoneDrag.endX = Math.max(0, Math.min(mapData.width - 1, tileX));
+    zoneDrag.endY = Math.max(0, Math.min(mapData.height - 1, tileY));
+    renderMap();
+  }
+
   // Entity dragging
   if (isDragging && dragEntity) {
     const asset = getAnyAssetById(dragEntity.assetId);
@@ -1111,6 +1197,10 @@ mapCanvas.addEventListener('mouseup', () => {
     updatePropertiesPanel();
     mapCanvas.style.cursor = 'crosshair';
   }
+  if (zoneDrag) {
+    addZone(getZoneDragRect());
+    zoneDrag = null;
+  }
   isPainting = false;
   isDragging = false;
   dragEntity = null;
@@ -1128,6 +1218,7 @@ mapCanvas.addEventListener('mouseleave', () => {
     dragEntity = null;
     mapCanvas.style.cursor = 'crosshair';
   }
+  zoneDrag = null; // Cancel zone drawing on leave
   renderMap();
 });
 
@@ -1314,7 +1405,7 @@ function placeEntity(tileX, tileY) {
 
   const entity = {
     id: `entity-${++entityIdCounter}`,
-    type: entityType, // 'buildings', 'decorations', or 'trees'
+    type: entityType, // 'buildings', 'decorations', 'trees' or 'npcs'
     assetId: selectedAsset.parentAssetId || selectedAsset.id,
     x: tileX,
     y: tileY,
@@ -1325,6 +1416,10 @@ function placeEntity(tileX, tileY) {
     },
   };
 
+  if (entityType === 'npcs') {
+    entity.properties.dialog = structuredClone(DEFAULT_NPC_DIALOG);
+  }
+
   // Store piece info for sprite sheet pieces
   if (selectedAsset.isSpritePiece && selectedAsset.piece) {
     entity.pieceId = selectedAsset.piece.id;
@@ -1351,10 +1446,23 @@ function updatePropertiesPanel() {
     panel.classList.remove('hidden');
     document.getElementById('propName').value = selectedEntity.properties?.name || '';
     document.getElementById('propUrl').value = selectedEntity.properties?.url || '';
+    document.getElementById('propInterior').value = selectedEntity.properties?.interior || '';
+    document.getElementById('propStatusKey').value = selectedEntity.properties?.statusKey || '';
     document.getElementById('propInteractive').checked =
       selectedEntity.properties?.interactive || false;
     document.getElementById('propPosition').textContent =
       `${selectedEntity.x}, ${selectedEntity.y}`;
+
+    const isNpc = selectedEntity.type === 'npcs';
+    document.getElementById('propDialogRow').classList.toggle('hidden', !isNpc);
+    if (isNpc) {
+      document.getElementById('propDialog').value = JSON.stringify(
+        selectedEntity.properties.dialog || DEFAULT_NPC_DIALOG,
+        null,
+        2
+      );
+      document.getElementById('propDialogErrors').textContent = '';
+    }
   } else {
     panel.classList.add('hidden');
   }
@@ -1374,12 +1482,47 @@ document.getElementById('propUrl').addEventListener('input', (e) => {
   }
 });
 
+// Optional: empty values are removed rather than saved as ''
+for (const [inputId, key] of [
+  ['propInterior', 'interior'],
+  ['propStatusKey', 'statusKey'],
+]) {
+  document.getElementById(inputId).addEventListener('input', (e) => {
+    if (!selectedEntity) return;
+    const value = e.target.value.trim();
+    if (value) {
+      selectedEntity.properties[key] = value;
+    } else {
+      delete selectedEntity.properties[key];
+    }
+  });
+}
+
 document.getElementById('propInteractive').addEventListener('change', (e) => {
   if (selectedEntity) {
     selectedEntity.properties.interactive = e.target.checked;
   }
 });
 
+// Dialog tree: only valid JSON trees are saved; problems are listed under the box
+document.getElementById('propDialog').addEventListener('input', (e) => {
+  if (!selectedEntity) return;
+  const errorsEl = document.getElementById('propDialogErrors');
+
+  let tree;
+  try {
+    tree = JSON.parse(e.target.value);
+  } catch (err) {
+    errorsEl.textContent = `Invalid JSON: ${err.message}`;
+    return;
+  }
+  const errors = validateDialogTree(tree);
+  errorsEl.textContent = errors.join('\n');
+  if (errors.length === 0) {
+    selectedEntity.properties.dialog = tree;
+  }
+});
+
 document.getElementById('deleteEntityBtn').addEventListener('click', deleteSelectedEntity);
 
 // Edit sprite pieces button - opens slicer with selected asset's sprite
@@ -1400,6 +1543,96 @@ document.getElementById('editSpriteBtn').addEventListener('click', () => {
   select.dispatchEvent(new Event('change'));
 });
 
+// ===================
+// SPAWN ZONES
+// ===================
+// Zones are stored in tiles, like entities; the game scales them by its own tile size
+function getZoneDragRect() {
+  return {
+    x: Math.min(zoneDrag.startX, zoneDrag.endX),
+    y: Math.min(zoneDrag.startY, zoneDrag.endY),
+    width: Math.abs(zoneDrag.endX - zoneDrag.startX) + 1,
+    height: Math.abs(zoneDrag.endY - zoneDrag.startY) + 1,
+  };
+}
+
+function findZoneAt(tileX, tileY) {
+  const zones = mapData.spawns.zones;
+  // Reverse order for the top-most (last drawn) zone
+  for (let i = zones.length - 1; i >= 0; i--) {
+    const z = zones[i];
+    if (tileX >= z.x && tileX < z.x + z.width && tileY >= z.y && tileY < z.y + z.height) {
+      return z;
+    }
+  }
+  return null;
+}
+
+function addZone(rect) {
+  mapData.spawns.zones.push({ id: `zone-${++zoneIdCounter}`, kind: zoneKind, ...rect });
+  updateSpawnsPanel();
+  renderMap();
+}
+
+function deleteZone(zoneId) {
+  mapData.spawns.zones = mapData.spawns.zones.filter((z) => z.id !== zoneId);
+  updateSpawnsPanel();
+  renderMap();
+}
+
+function updateSpawnsPanel() {
+  document.getElementById('spawnMaxCount').value = mapData.spawns.maxCount;
+  document.getElementById('spawnGoldenChance').value = +(mapData.spawns.goldenChance * 100).toFixed(
+    2
+  );
+
+  const list = document.getElementById('zoneList');
+  list.innerHTML = '';
+  if (mapData.spawns.zones.length === 0) {
+    list.innerHTML = '<div class="map-info">No zones - fritelles spawn anywhere</div>';
+    return;
+  }
+  for (const zone of mapData.spawns.zones) {
+    const item = document.createElement('div');
+    item.className = `zone-item ${zone.kind}`;
+    const label = document.createElement('span');
+    label.textContent = `${zone.kind} ${zone.id}: ${zone.x},${zone.y} ${zone.width}x${zone.height}`;
+    const deleteBtn = document.createElement('button');
+    deleteBtn.textContent = 'x';
+    deleteBtn.title = 'Delete zone';
+    deleteBtn.addEventListener('click', () => deleteZone(zone.id));
+    item.append(label, deleteBtn);
+    list.appendChild(item);
+  }
+}
+
+document.querySelectorAll('.zone-kind-btn').forEach((btn) => {
+  btn.addEventListener('click', () => {
+    document.querySelectorAll('.zone-kind-btn').forEach((b) => b.classList.remove('active'));
+    btn.classList.add('active');
+    zoneKind = btn.dataset.kind;
+    renderMap();
+  });
+});
+
+document.getElementById('spawnMaxCount').addEventListener('change', (e) => {
+  const value = parseInt(e.target.value);
+  mapData.spawns.maxCount = Number.isNaN(value)
+    ? DEFAULT_SPAWN_RULES.maxCount
+    : Math.max(0, Math.min(MAX_SPAWN_COUNT, value));
+  updateSpawnsPanel();
+});
+
+document.getElementById('spawnGoldenChance').addEventListener('change', (e) => {
+  const percent = parseFloat(e.target.value);
+  mapData.spawns.goldenChance = Number.isNaN(percent)
+    ? DEFAULT_SPAWN_RULES.goldenChance
+    : Math.max(0, Math.min(100, percent)) / 100;
+  updateSpawnsPanel();
+});
+
+updateSpawnsPanel();
+
 // ===================
 // MODE SWITCHING
 // ===================
@@ -1411,6 +1644,7 @@ document.querySelectorAll('.mode-tab').forEach((tab) => {
 
     document.getElementById('tilesPanel').classList.toggle('hidden', currentMode !== 'tiles');
     document.getElementById('entitiesPanel').classList.toggle('hidden', currentMode !== 'entities');
+    document.getElementById('spawnsPanel').classList.toggle('hidden', currentMode !== 'spawns');
 
     renderMap();
   });
@@ -1486,6 +1720,16 @@ document.getElementById('resizeBtn').addEventListener('click', () => {
   // Keep entities within bounds
   mapData.entities = oldEntities.filter((e) => e.x < newWidth && e.y < newHeight);
 
+  // Clip spawn zones to the new size (drop ones left outside)
+  mapData.spawns.zones = mapData.spawns.zones
+    .filter((z) => z.x < newWidth && z.y < newHeight)
+    .map((z) => ({
+      ...z,
+      width: Math.min(z.width, newWidth - z.x),
+      height: Math.min(z.height, newHeight - z.y),
+    }));
+  updateSpawnsPanel();
+
   resizeMapCanvas();
   renderMap();
 });
@@ -1497,6 +1741,9 @@ document.getElementById('newMapBtn').addEventListener('click', () => {
     mapData.tilesets = currentTilesetName ? [currentTilesetName] : ['Grass_Tiles_1'];
     entityIdCounter = 0;
     selectedEntity = null;
+    mapData.spawns = { ...DEFAULT_SPAWN_RULES, zones: [] };
+    zoneIdCounter = 0;
+    updateSpawnsPanel();
     document.getElementById('mapWidth').value = 50;
     document.getElementById('mapHeight').value = 45;
     updatePropertiesPanel();
@@ -1537,6 +1784,13 @@ document.getElementById('fileInput').addEventListener('change', (e) => {
           tilesets: data.tilesets || ['Grass_Tiles_1'],
           tileLayers: data.tileLayers || { ground: [], paths: [], decorations: [] },
           entities: data.entities || [],
+          spawns: {
+            ...DEFAULT_SPAWN_RULES,
+            ...data.spawns,
+            zones: data.spawns?.zones || [],
+          },
+          // Building interiors: lobby layout and changelog (js/scenes/interior.js), kept as-is
+          ...(data.interior && { interior: data.interior }),
         };
 
         // Update entity ID counter
@@ -1544,6 +1798,11 @@ document.getElementById('fileInput').addEventListener('change', (e) => {
           const num = parseInt(e.id.split('-')[1]) || 0;
           return Math.max(max, num);
         }, 0);
+        zoneIdCounter = mapData.spawns.zones.reduce((max, z) => {
+          const num = parseInt(z.id.split('-')[1]) || 0;
+          return Math.max(max, num);
+        }, 0);
+        updateSpawnsPanel();
 
         // Load all tilesets used by this map
         for (const tsName of mapData.tilesets) {